@@ -0,0 +1,454 @@
+/**
+ * @fileOverview In-memory fake of the Optimizely REST API for offline tests
+ * @name Optimizely Fake Server
+ */
+
+/** @access private */
+var Promise = require("bluebird");
+var crypto = require("crypto");
+var http = require("http");
+var url = require("url");
+var _ = require("lodash");
+
+/** @const*/
+var API_PATH = "/experiment/v1";
+
+/** @const*/
+var collections = ["projects", "experiments", "variations", "audiences",
+  "dimensions", "goals"
+];
+
+/**
+ * @private
+ * @description An error answered as an API error response
+ */
+var HttpError = function(status, message) {
+  this.status = status;
+  this.message = message;
+}
+
+/**
+ * @private
+ * @description Throw a 400 unless every named field of body is present
+ */
+var requireFields = function(body, fields) {
+  fields.forEach(function(field) {
+    if (body[field] === undefined || body[field] === null || body[field] === "") {
+      throw new HttpError(400, "Missing required field: " + field);
+    }
+  });
+}
+
+/**
+ * @private
+ * @description Deterministic pseudo random integer in [0, max) for a seed
+ */
+var seeded = function(seed, max) {
+  var x = Math.sin(Number(seed) || String(seed).length) * 10000;
+  return Math.floor((x - Math.floor(x)) * max);
+}
+
+/**
+ * @public
+ * @Constructor
+ * @name FakeServer
+ * @since 0.7.0
+ * @description A real HTTP listener backed by an in-memory store, answering
+ * the projects, experiments, variations, audiences, dimensions, goals,
+ * results and stats endpoints with the status codes and error bodies of
+ * the Optimizely REST API. Like the API, it creates an "Original" and a
+ * "Variation #1" variation with every new experiment. GET responses carry
+ * an ETag and answer a matching If-None-Match with 304. `requests` counts
+ * the requests answered.
+ * @param {object} [options] An object with the following properties:
+ * {
+ *   @param {string} [token] When set, requests must send it as the Token
+ *                   header or a Bearer Authorization, else they get a 401
+ * }
+ * @example
+ * var server = new FakeServer({token: "abc"});
+ * server.listen().then(function(baseUrl){
+ *   var oc = new OptimizelyClient("abc", {url: baseUrl});
+ *   //...
+ *   return server.close();
+ * });
+ */
+var FakeServer = function(options) {
+  options = options || {};
+  this.token = options.token;
+  this.server = null;
+  this.reset();
+}
+
+/**
+ * @public
+ * @name FakeServer#reset
+ * @description Empty the store
+ */
+FakeServer.prototype.reset = function() {
+  var self = this;
+  this.nextId = 2000000000;
+  this.store = {};
+  collections.forEach(function(collection) {
+    self.store[collection] = {};
+  });
+  this.results = {};
+  this.stats = {};
+  this.requests = 0;
+}
+
+/**
+ * @public
+ * @name FakeServer#seed
+ * @description Put resources straight into the store, keeping their ids
+ * @param {string} collection One of projects, experiments, variations,
+ * audiences, dimensions or goals
+ * @param {object|Array} resources
+ * @return {Array} The stored resources
+ */
+FakeServer.prototype.seed = function(collection, resources) {
+  var self = this;
+  if (!this.store[collection]) throw new Error("Unknown collection: " + collection);
+  return [].concat(resources).map(function(resource) {
+    var stored = _.assign({}, resource);
+    if (stored.id === undefined) stored.id = self.nextId++;
+    self.store[collection][stored.id] = stored;
+    return stored;
+  });
+}
+
+/**
+ * @public
+ * @name FakeServer#setResults
+ * @description Replace the generated results or stats of an experiment
+ * @param {string|number} experimentId
+ * @param {Array} rows The payload to answer with
+ * @param {boolean} [stats = false] Set the stats payload instead
+ */
+FakeServer.prototype.setResults = function(experimentId, rows, stats) {
+  (stats ? this.stats : this.results)[experimentId] = rows;
+}
+
+/**
+ * @public
+ * @name FakeServer#listen
+ * @description Start listening on 127.0.0.1
+ * @param {number} [port = 0] 0 picks a free port
+ * @return {promise} A promise fulfilled with the base url to pass to
+ * OptimizelyClient as options.url
+ */
+FakeServer.prototype.listen = function(port) {
+  var self = this;
+  this.server = http.createServer(function(request, response) {
+    self._handle(request, response);
+  });
+  return new Promise(function(resolve, reject) {
+    self.server.once("error", reject);
+    self.server.listen(port || 0, "127.0.0.1", function() {
+      resolve("http://127.0.0.1:" + self.server.address().port + API_PATH + "/");
+    });
+  });
+}
+
+/**
+ * @public
+ * @name FakeServer#close
+ * @description Stop listening
+ * @return {promise}
+ */
+FakeServer.prototype.close = function() {
+  var server = this.server;
+  this.server = null;
+  if (!server) return Promise.resolve();
+  return new Promise(function(resolve) {
+    server.close(function() {
+      resolve();
+    });
+  });
+}
+
+/**
+ * @private
+ * @description Read, route and answer one request
+ */
+FakeServer.prototype._handle = function(request, response) {
+  var self = this;
+  var chunks = [];
+  request.on("data", function(chunk) {
+    chunks.push(chunk);
+  });
+  request.on("end", function() {
+    var status = 200;
+    var payload;
+    try {
+      self._authenticate(request);
+      var body = Buffer.concat(chunks).toString("utf8");
+      try {
+        body = body ? JSON.parse(body) : {};
+      } catch (e) {
+        throw new HttpError(400, "Request body is not valid JSON");
+      }
+      var parsed = url.parse(request.url, true);
+      if (parsed.pathname.indexOf(API_PATH + "/") !== 0) {
+        throw new HttpError(404, "Not found");
+      }
+      var route = parsed.pathname.substr(API_PATH.length + 1)
+        .split("/").filter(Boolean);
+      var answer = self._route(request.method, route, body, parsed.query);
+      status = answer.status;
+      payload = answer.body;
+    } catch (error) {
+      if (!(error instanceof HttpError)) error = new HttpError(500, error.message);
+      status = error.status;
+      payload = {
+        status: error.status,
+        message: error.message,
+        uuid: String(self.nextId++)
+      };
+    }
+    var text = payload === undefined ? "" : JSON.stringify(payload);
+    var headers = {
+      "Content-Type": "application/json"
+    };
+    if (request.method === "GET" && status === 200) {
+      headers.ETag = '"' + crypto.createHash("md5").update(text)
+        .digest("hex") + '"';
+      if (request.headers["if-none-match"] === headers.ETag) {
+        status = 304;
+        text = "";
+      }
+    }
+    headers["Content-Length"] = Buffer.byteLength(text);
+    self.requests++;
+    response.writeHead(status, headers);
+    response.end(text);
+  });
+}
+
+/**
+ * @private
+ * @description Check the API token headers
+ */
+FakeServer.prototype._authenticate = function(request) {
+  if (!this.token) return;
+  var bearer = "Bearer " + this.token;
+  if (request.headers.token !== this.token &&
+    request.headers.authorization !== bearer) {
+    throw new HttpError(401, "Authentication failed");
+  }
+}
+
+/**
+ * @private
+ * @description Look a resource up, answering 404 when it does not exist
+ */
+FakeServer.prototype._find = function(collection, id) {
+  var resource = this.store[collection][id];
+  if (!resource) throw new HttpError(404, collection + "/" + id + " not found");
+  return resource;
+}
+
+/**
+ * @private
+ * @description Store a new resource with a fresh id and timestamps
+ */
+FakeServer.prototype._create = function(collection, body, defaults) {
+  var now = new Date().toISOString();
+  var resource = _.assign({}, defaults, body, {
+    id: this.nextId++,
+    created: now,
+    last_modified: now
+  });
+  this.store[collection][resource.id] = resource;
+  return resource;
+}
+
+/**
+ * @private
+ * @description One page of items when page/per_page are given
+ */
+var paginate = function(items, query) {
+  if (!query.per_page) return items;
+  var perPage = Number(query.per_page);
+  var start = ((Number(query.page) || 1) - 1) * perPage;
+  return items.slice(start, start + perPage);
+}
+
+/**
+ * @private
+ * @description The resources of a collection whose field matches a value
+ */
+FakeServer.prototype._list = function(collection, field, value, query) {
+  return paginate(_.values(this.store[collection]).filter(function(resource) {
+    return String(resource[field]) === String(value);
+  }), query);
+}
+
+/**
+ * @private
+ * @description Build results (or stats) for every variation and goal
+ */
+FakeServer.prototype._results = function(experiment, dimension, stats) {
+  var self = this;
+  var variations = (experiment.variation_ids || []).map(function(id) {
+    return self.store.variations[id];
+  }).filter(Boolean);
+  var goals = _.values(this.store.goals).filter(function(goal) {
+    return (goal.experiment_ids || []).map(String)
+      .indexOf(String(experiment.id)) > -1;
+  });
+  var rows = [];
+  goals.forEach(function(goal) {
+    variations.forEach(function(variation) {
+      var seed = String(variation.id) + goal.id + (dimension || "");
+      var visitors = 1000 + seeded(seed, 9000);
+      var conversions = seeded(seed + "c", Math.floor(visitors / 5));
+      var row = {
+        variation_id: String(variation.id),
+        variation_name: variation.description,
+        goal_id: goal.id,
+        goal_name: goal.title,
+        baseline_id: String(variations[0].id),
+        visitors: visitors,
+        conversions: conversions,
+        conversion_rate: conversions / visitors,
+        status: variation === variations[0] ? "baseline" : "inconclusive",
+        begin_time: experiment.created,
+        end_time: new Date().toISOString()
+      };
+      if (stats) row.statistical_significance = seeded(seed + "s", 100) / 100;
+      if (dimension) row.dimension = dimension;
+      rows.push(row);
+    });
+  });
+  return rows;
+}
+
+/** @const*/
+var DEFAULT_VARIATIONS = ["Original", "Variation #1"];
+
+/**
+ * @private
+ * @description Create the variations the API adds to a new experiment,
+ * splitting the traffic evenly between them
+ */
+FakeServer.prototype._createDefaultVariations = function(experiment) {
+  var self = this;
+  experiment.variation_ids = DEFAULT_VARIATIONS.map(function(description) {
+    return self._create("variations", {
+      experiment_id: experiment.id,
+      description: description,
+      js_component: "",
+      weight: 10000 / DEFAULT_VARIATIONS.length
+    }).id;
+  });
+  return experiment;
+}
+
+/**
+ * @private
+ * @description Answer a request; returns {status, body} or throws HttpError
+ */
+FakeServer.prototype._route = function(method, route, body, query) {
+  var ok = function(status, payload) {
+    return {
+      status: status,
+      body: payload
+    };
+  }
+  var parent = route[0];
+  var id = route[1];
+  var child = route[2];
+  var pathKey = method + " " + [parent, id ? ":id" : null, child]
+    .filter(Boolean).join("/");
+
+  switch (pathKey) {
+    case "GET projects":
+      return ok(200, paginate(_.values(this.store.projects), query));
+    case "POST projects":
+      requireFields(body, ["project_name"]);
+      return ok(201, this._create("projects", body, {
+        project_status: "Active",
+        include_jquery: false,
+        ip_filter: ""
+      }));
+    case "GET projects/:id/experiments":
+    case "GET projects/:id/audiences":
+    case "GET projects/:id/dimensions":
+    case "GET projects/:id/goals":
+      this._find("projects", id);
+      return ok(200, this._list(child, "project_id", id, query));
+    case "POST projects/:id/experiments":
+      this._find("projects", id);
+      requireFields(body, ["edit_url"]);
+      return ok(201, this._createDefaultVariations(this._create("experiments",
+        body, {
+          project_id: Number(id),
+          status: "Not started",
+          description: "",
+          custom_css: "",
+          custom_js: "",
+          audience_ids: []
+        })));
+    case "POST projects/:id/audiences":
+    case "POST projects/:id/dimensions":
+      this._find("projects", id);
+      requireFields(body, ["name"]);
+      return ok(201, this._create(child, _.omit(body, "id"), {
+        project_id: Number(id),
+        description: ""
+      }));
+    case "POST projects/:id/goals":
+      this._find("projects", id);
+      requireFields(body, ["title", "goal_type"]);
+      return ok(201, this._create("goals", body, {
+        project_id: Number(id),
+        experiment_ids: []
+      }));
+    case "GET experiments/:id/variations":
+      this._find("experiments", id);
+      return ok(200, this._list("variations", "experiment_id", id, query));
+    case "POST experiments/:id/variations":
+      var experiment = this._find("experiments", id);
+      requireFields(body, ["description"]);
+      var variation = this._create("variations", body, {
+        experiment_id: Number(id),
+        js_component: "",
+        weight: 0
+      });
+      experiment.variation_ids = (experiment.variation_ids || []).concat(variation.id);
+      return ok(201, variation);
+    case "GET experiments/:id/results":
+    case "GET experiments/:id/stats":
+      var isStats = child === "stats";
+      var canned = (isStats ? this.stats : this.results)[id];
+      var target = this._find("experiments", id);
+      if (query.dimension_id) this._find("dimensions", query.dimension_id);
+      return ok(200, canned ||
+        this._results(target, query.dimension_value, isStats));
+  }
+
+  if (collections.indexOf(parent) > -1 && id && !child) {
+    var resource = this._find(parent, id);
+    if (method === "GET") return ok(200, resource);
+    if (method === "PUT") {
+      _.assign(resource, _.omit(body, ["id", "created"]), {
+        last_modified: new Date().toISOString()
+      });
+      return ok(202, resource);
+    }
+    if (method === "DELETE" && parent !== "projects") {
+      delete this.store[parent][id];
+      if (parent === "variations") {
+        var owner = this.store.experiments[resource.experiment_id];
+        if (owner) owner.variation_ids = _.without(owner.variation_ids,
+          resource.id);
+      }
+      return ok(204);
+    }
+    throw new HttpError(405, "Method not allowed");
+  }
+  throw new HttpError(404, "Not found");
+}
+
+module.exports = FakeServer;
@@ -7,52 +7,319 @@
 
 /** @access private */
 var Promise = require("bluebird");
-var rest = require('restler');
+var fs = require("fs");
+var _ = require("lodash");
+var errors = require("./errors");
+var retry = require("./retry");
+var RequestScheduler = require("./scheduler");
+var HttpTransport = require("./transport");
+var ResponseCache = require("./cache");
+var middleware = require("./middleware");
+var abort = require("./abort");
+var pagination = require("./pagination");
+var parseBody = require("./parse");
+var models = require("./models");
+var snapshot = require("./snapshot");
+var templates = require("./templates");
+var code = require("./code");
+var Conditions = require("./conditions");
+var analysis = require("./analysis");
+var exporters = require("./exporters");
+var OptimizelyError = errors.OptimizelyError;
+var ValidationError = errors.ValidationError;
+var ConflictError = errors.ConflictError;
 
-/** @const*/
-var methodNamesToPromisify =
-  "get post put del head patch json postJson putJson".split(" ");
-
-var EventEmitterPromisifier = function(originalMethod) {
-  // return a function
-  return function promisified() {
-    var args = [].slice.call(arguments);
-    // Needed so that the original method can be called with the correct receiver
-    var self = this;
-    // which returns a promise
-    return new Promise(function(resolve, reject) {
-      // We call the originalMethod here because if it throws,
-      // it will reject the returned promise with the thrown error
-      var emitter = originalMethod.apply(self, args);
-
-      emitter
-        .on("success", function(data) {
-          resolve(data);
-        })
-        .on("fail", function(data) {
-          //Failed Responses including 400 status codes
-          reject(data);
-        })
-        .on("error", function(err) {
-          //Internal Error
-          reject(err);
-        })
-        .on("abort", function() {
-          reject(new Promise.CancellationError());
-        })
-        .on("timeout", function() {
-          reject(new Promise.TimeoutError());
+/**
+ * @private
+ * @description Send a request on behalf of a client through its middleware
+ * and its scheduler, applying its retry policy. Every attempt passes through
+ * the middleware.
+ * @param {OptimizelyClient} client The client issuing the request
+ * @param {string} method One of GET, POST, PUT or DELETE
+ * @param {string} url The absolute URL
+ * @param {string} [body] The serialized request body
+ * @param {object} [headers] Headers to send besides the client's
+ * @param {AbortSignal} [signal] Stops retries, drops the request from the
+ * scheduler's queue or aborts it in the transport
+ * @return {promise} A promise fulfilled with the response: {number} status,
+ * {object} headers and {*} body
+ */
+var transmit = function(client, method, url, body, headers, signal) {
+  return retry.run(client.retryPolicy, method, function() {
+    var request = {
+      method: method,
+      url: url,
+      headers: _.assign({}, client.baseHeaders, headers),
+      body: body
+    };
+    // Transports and middleware answer failed statuses like any other; the
+    // middleware sees them as rejections
+    var check = function(request) {
+      return function(response) {
+        if (response.status >= 400) throw OptimizelyError.fromResponse(
+          response.body, {
+            statusCode: response.status,
+            headers: response.headers
+          }, request);
+        return response;
+      };
+    }
+    return middleware.run(client.middleware, request, function(request) {
+      return client.scheduler.schedule(function() {
+        return client.transport.request(request.method, request.url,
+          request.headers, request.body, signal);
+      }, signal).then(check(request));
+    }).then(check(request));
+  }, signal);
+}
+
+/**
+ * @private
+ * @description Send a request through the client's cache when it has one:
+ * GETs are answered from it, and writes invalidate it
+ */
+var dispatch = function(client, method, url, body, uncached, signal) {
+  var cache = client.cache;
+  if (cache && method === "GET" && !uncached) {
+    return cache.fetch(url, client.baseUrl, function(etag) {
+      return transmit(client, method, url, body, etag ? {
+        "If-None-Match": etag
+      } : undefined, signal).then(function(response) {
+        return {
+          status: response.status,
+          etag: (response.headers || {}).etag,
+          body: parseBody(response.body)
+        };
+      });
+    }, client.apiToken);
+  }
+  return transmit(client, method, url, body, undefined, signal).then(
+    function(response) {
+      var parsed = parseBody(response.body);
+      if (!cache) return parsed;
+      return cache.invalidate(url, client.baseUrl, parsed, client.apiToken)
+        .then(function() {
+          return parsed;
         });
     });
+}
+
+/**
+ * @private
+ * @description Send a request on behalf of a client. GETs are answered from
+ * the client's cache when it has one, and writes invalidate it. The request
+ * is aborted when a signal of the call aborts, or when the client's timeout
+ * or the deadline of the call passes, whichever comes first.
+ * @param {OptimizelyClient} client The client issuing the request, or one
+ * scoped to a call (see scopeCall)
+ * @param {string} method One of get, post, put or delete
+ * @param {string} url The absolute URL
+ * @param {object} [data] The request body, serialized as JSON
+ * @param {boolean} [uncached = false] Send a GET even if it is cached
+ * @return {promise} A promise fulfilled with the parsed response body, or
+ * rejected with an AbortError or a TimeoutError
+ */
+var sendRequest = function(client, method, url, data, uncached) {
+  method = method.toUpperCase();
+  var body = data === undefined ? undefined : JSON.stringify(data);
+  var context = client.callContext || {
+    signals: []
   };
+  if (context.error) return Promise.reject(context.error);
+  var deadline = context.deadline;
+  if (client.timeout) deadline = abort.earliest(deadline, {
+    at: Date.now() + client.timeout,
+    timeout: client.timeout
+  });
+  if (!context.signals.length && !deadline) {
+    return dispatch(client, method, url, body, uncached);
+  }
+  var controller = abort.link(context.signals, deadline, {
+    method: method,
+    url: url
+  });
+  var signal = controller.signal;
+  return new Promise(function(resolve, reject) {
+    if (signal.aborted) return reject(signal.reason);
+    signal.addEventListener("abort", function() {
+      reject(signal.reason);
+    });
+    dispatch(client, method, url, body, uncached, signal).then(resolve, reject);
+  }).finally(controller.dispose);
+}
+
+/**
+ * @private
+ * @description Create a fulfillment handler wrapping a response in a model
+ * class when the client was created with the 'models' option
+ * @param {OptimizelyClient} client
+ * @param {function} ModelClass One of the constructors in models.js
+ * @return {function}
+ */
+var toModel = function(client, ModelClass) {
+  // Models keep the client itself, not one scoped to the call's signal
+  var owner = abort.unscoped(client);
+  return function(data) {
+    return client.useModels ? models.wrap(ModelClass, data, owner) : data;
+  };
+}
+
+/**
+ * @private
+ * @description Read a resource around the client's cache, for the checks
+ * that decide a write: a stale copy would hide concurrent changes
+ * @param {OptimizelyClient} client
+ * @param {string} path The path below the base url, e.g. "goals/1"
+ * @return {promise} A promise fulfilled with the parsed resource
+ */
+var readFresh = function(client, path) {
+  return sendRequest(client, 'get', client.baseUrl + path, undefined, true);
+}
+
+/** @const*/
+var readOnlyFields = ["created", "last_modified"];
+
+/**
+ * @private
+ * @description Update a resource, sending only the fields the caller passed.
+ * With options.readModifyWrite the current resource is fetched first and the
+ * changes are merged over it; if options.last_modified is also passed and no
+ * longer matches the resource, the update is rejected with a ConflictError.
+ * @param {OptimizelyClient} client
+ * @param {string} resource The collection path, e.g. "experiments"
+ * @param {object} options The update options, including the id
+ * @param {function} ModelClass One of the constructors in models.js
+ * @param {function} [validate] Called with the body about to be sent, the
+ * merged resource with readModifyWrite, and {boolean} whether it is partial;
+ * throws to refuse the update
+ * @return {promise} A promise fulfilled with the updated resource
+ */
+var updateResource = function(client, resource, options, ModelClass, validate) {
+  var theUrl = client.baseUrl + resource + '/' + options.id;
+  var changes = _.omit(options, ["readModifyWrite", "last_modified"]);
+  var send = function(body) {
+    if (validate) validate(body, !options.readModifyWrite);
+    return sendRequest(client, 'put', theUrl, body)
+      .then(toModel(client, ModelClass));
+  }
+  if (!options.readModifyWrite) return send(changes);
+  // Read around the cache, or a stale copy would hide concurrent changes
+  return readFresh(client, resource + '/' + options.id).then(function(current) {
+    if (options.last_modified &&
+      current.last_modified !== options.last_modified) {
+      throw new ConflictError(resource + "/" + options.id +
+        " was modified at " + current.last_modified +
+        ", expected " + options.last_modified, {
+          url: theUrl,
+          body: current
+        });
+    }
+    return send(_.assign(_.omit(current, readOnlyFields), changes));
+  });
+}
+
+/** @const*/
+var codeLanguages = {
+  js_component: "javascript",
+  custom_js: "javascript",
+  custom_css: "css"
 };
 
-Promise.promisifyAll(rest, {
-  filter: function(name) {
-    return methodNamesToPromisify.indexOf(name) > -1;
-  },
-  promisifier: EventEmitterPromisifier
-});
+/**
+ * @private
+ * @description Replace the {string} <field>_file options of code fields
+ * with the contents of the files, once their syntax is checked
+ * @param {object} options
+ * @param {Array} fields Code fields, keys of codeLanguages
+ * @return {object} options
+ * @throws {ValidationError} For unreadable code
+ */
+var readCodeFiles = function(options, fields) {
+  fields.forEach(function(field) {
+    var file = options[field + "_file"];
+    if (file === undefined) return;
+    options[field] = code.readFile(file, codeLanguages[field]);
+    delete options[field + "_file"];
+  });
+  return options;
+}
+
+/**
+ * @private
+ * @description Diff the live code of a resource against local code passed
+ * as <field>_file or <field> options
+ * @param {OptimizelyClient} client
+ * @param {string} resource The collection path, e.g. "variations"
+ * @param {object} options The id and the local code
+ * @param {Array} fields Code fields, keys of codeLanguages
+ * @return {promise} A promise fulfilled with the unified diff of every field
+ * passed, or "" when the live code is the same
+ */
+var diffCode = function(client, resource, options, fields) {
+  if (!options.id) throw new ValidationError("Required: options.id");
+  var passed = fields.filter(function(field) {
+    return options[field + "_file"] !== undefined ||
+      options[field] !== undefined;
+  });
+  if (!passed.length) throw new ValidationError("Required: one of options." +
+    fields.map(function(field) {
+      return field + "_file";
+    }).join(", options."));
+  var files = _.pick(options, passed.map(function(field) {
+    return field + "_file";
+  }));
+  var local = readCodeFiles(_.pick(options, passed.concat(_.keys(files))),
+    passed);
+  return readFresh(client, resource + '/' + options.id).then(function(live) {
+    return passed.map(function(field) {
+      return code.diff(live[field], local[field], {
+        fromName: resource + "/" + options.id + " " + field,
+        toName: files[field + "_file"] || field
+      });
+    }).join("");
+  });
+}
+
+/** @access private */
+var deprecationsShown = {};
+
+/**
+ * @private
+ * @description Warn once per process about a deprecated usage
+ * @param {string} message
+ */
+var deprecate = function(message) {
+  if (deprecationsShown[message]) return;
+  deprecationsShown[message] = true;
+  if (process.emitWarning) return process.emitWarning(message,
+    "DeprecationWarning");
+  console.warn("DeprecationWarning: " + message);
+}
+
+/**
+ * @private
+ * @description Read the project a call is scoped to from options.project_id,
+ * or from the deprecated options.id alias
+ * @param {string} methodName For messages
+ * @param {object} options
+ * @return {string|number} The project id
+ * @throws {ValidationError} If there is no project id, or if options.id is
+ * passed along with a different options.project_id
+ */
+var projectScope = function(methodName, options) {
+  if (options.project_id) {
+    if (options.id !== undefined && String(options.id) !== String(options.project_id)) {
+      throw new ValidationError(methodName + ": options.id " + options.id +
+        " conflicts with options.project_id " + options.project_id);
+    }
+    return options.project_id;
+  }
+  if (!options.id) throw new ValidationError("Required: options.project_id");
+  deprecate(methodName + ": options.id as the project ID is deprecated, " +
+    "use options.project_id");
+  return options.id;
+}
+
 ////////////////
 //0. Constructor
 ////////////////
@@ -63,18 +330,54 @@ Promise.promisifyAll(rest, {
  * @since 0.0.1
  * @description Optimizely Client Constructor
  * @param {string} apiToken The Optimizely API Token
- * @param {object} options to define custom {string} 'url' or {boolean} OAuth2
+ * @param {object} options to define custom {string} 'url', {boolean} OAuth2,
+ * a {boolean|object} 'retry' policy (see retry.normalize) or {object}
+ * 'scheduler' limits (see RequestScheduler), or a RequestScheduler instance
+ * to share between clients, {boolean} 'models' to resolve resources as
+ * model objects (see models.js), {boolean|object} 'cache' options (see
+ * ResponseCache) or a ResponseCache instance to cache GET responses, an
+ * {Array} of 'middleware' to add with use, a 'transport': options of the
+ * default HttpTransport (timeout, keepAlive, agent, proxy) or any object
+ * with a request(method, url, headers, body, signal) method returning a
+ * promise for {status, headers, body}, and a {number} 'timeout' in
+ * milliseconds for each request, from queueing to the last retry
+ * (0 waits forever)
  * @return {OptimizelyClient} The newly created optimizely client.
  * @throws {error} Throws an error if apiToken is not provided
+ * @throws {ValidationError} If the timeout is not a non-negative number
  * @example
  * var apiToken = "*";//Get token from www.optimizely.com/tokens
  * var oc = new OptimizelyClient(API_TOKEN);
+ * var patient = new OptimizelyClient(API_TOKEN, {retry: {maxAttempts: 5}});
+ * var polite = new OptimizelyClient(API_TOKEN, {
+ *   scheduler: {maxConcurrency: 4, requestsPerSecond: 10}
+ * });
  */
 var OptimizelyClient = function(apiToken, options) {
     //initialize
     if (!apiToken) throw new Error("Required: apiToken");
     this.apiToken = String(apiToken);
     this.baseUrl = (options && options.url) ? options.url : 'https://www.optimizelyapis.com/experiment/v1/';
+    this.retryPolicy = retry.normalize(options && options.retry);
+    this.scheduler = (options && options.scheduler instanceof RequestScheduler) ?
+      options.scheduler : new RequestScheduler(options && options.scheduler);
+    this.useModels = !!(options && options.models);
+    this.cache = null;
+    if (options && options.cache) this.cache = options.cache instanceof ResponseCache ?
+      options.cache : new ResponseCache(options.cache === true ? {} : options.cache);
+    this.middleware = [];
+    var timeout = options && options.timeout;
+    if (timeout !== undefined && timeout !== null &&
+      !(typeof timeout === "number" && timeout >= 0)) {
+      throw new ValidationError(
+        "options.timeout must be a number of milliseconds");
+    }
+    this.timeout = timeout || 0;
+    this.callContext = null;
+    var transport = options && options.transport;
+    this.transport = transport && typeof transport.request === "function" ?
+      transport : new HttpTransport(transport);
+    ((options && options.middleware) || []).forEach(this.use, this);
     if(options && options.OAuth2){
       this.baseHeaders = {
         'Authorization': 'Bearer ' + this.apiToken,
@@ -120,7 +423,7 @@ var OptimizelyClient = function(apiToken, options) {
  *     //handle error
  * })
  */
-OptimizelyClient.prototype.createProject = function(options) {
+OptimizelyClient.prototype.createProject = Promise.method(function(options) {
     options = options || {};
     options.project_name = options.project_name || "";
     options.project_status = options.project_status || "Active";
@@ -128,12 +431,9 @@ OptimizelyClient.prototype.createProject = function(options) {
     //TODO:Check for truthiness
     options.ip_filter = options.ip_filter || "";
     var postUrl = this.baseUrl + 'projects/';
-    return rest.postAsync(postUrl, {
-      method: 'post',
-      headers: this.baseHeaders,
-      data: JSON.stringify(options)
-    })
-  }
+    return sendRequest(this, 'post', postUrl, options)
+      .then(toModel(this, models.Project));
+  })
 /**
  * @pubilc
  * @name OptimizelyClient#getProject
@@ -145,19 +445,17 @@ OptimizelyClient.prototype.createProject = function(options) {
  * }
  * @note the id may be passed as a string instead of a member of an object
  */
-OptimizelyClient.prototype.getProject = function(options) {
+OptimizelyClient.prototype.getProject = Promise.method(function(options) {
     if (typeof options === "string" || typeof options === "number") options = {
       id: options
     };
     options = options || {};
     options.id = String(options.id || "");
-    if (!options.id) throw new Error("required: options.id");
+    if (!options.id) throw new ValidationError("required: options.id");
     var theUrl = this.baseUrl + 'projects/' + options.id;
-    return rest.getAsync(theUrl, {
-      method: 'get',
-      headers: this.baseHeaders
-    });
-  }
+    return sendRequest(this, 'get', theUrl)
+      .then(toModel(this, models.Project));
+  })
 /**
  * @public
  * @name  OptimizelyClient#updateProject
@@ -176,34 +474,58 @@ OptimizelyClient.prototype.getProject = function(options) {
  *   @param {Boolean} [ip_anonymization]  
  *   @param {String}  [ip_filtering] 
  * }
+ * @note only the fields passed are sent. Pass {boolean} readModifyWrite to
+ * merge them over the current resource instead, and {string} last_modified
+ * to reject the update if the resource changed since it was read.
  * @return {promise}  A promise fulfilled with the updated project
  */
-OptimizelyClient.prototype.updateProject = function(options) {
+OptimizelyClient.prototype.updateProject = Promise.method(function(options) {
+    options = options || {};
+    if(!options.id) throw new ValidationError('required: options.id');
+    return updateResource(this, 'projects', options, models.Project);
+  })
+/**
+ * @public
+ * @name  OptimizelyClient#archiveProject
+ * @since  0.7.0
+ * @description Archive a project. The REST API does not delete projects;
+ * archiving is the supported way to retire one.
+ * @param {object} options An object with the following properties:
+ * {
+ *   @param {string|number} id
+ * }
+ * @return {promise} A promise fulfilled with the archived project
+ * @note the id may be passed as a string/number instead of a member of an object
+ */
+OptimizelyClient.prototype.archiveProject = Promise.method(function(options) {
+    if (typeof options === "string" || typeof options === "number") options = {
+      id: options
+    };
     options = options || {};
-    options.id = options.id || false;
-    if(!options.id) throw new Error('required: options.id');
-    var putUrl = this.baseUrl + 'projects/' + options.id;
-    return rest.putAsync(putUrl, {
-      method: 'put',
-      headers: this.baseHeaders,
-      data: JSON.stringify(options)
+    if (!options.id) throw new ValidationError("Required: options.id");
+    return this.updateProject({
+      id: options.id,
+      project_status: "Archived"
     });
-  }
+  })
 /**
  * @public
  * @name  OptimizelyClient#getProjectList
  * @since  0.1.0
  * @description Retrieves a list of projects from Optimizely
+ * @param {object} [options] An object with the following properties:
+ * {
+ *   @param {number} [page] 1 based page number
+ *   @param {number} [per_page] Number of projects per page
+ * }
  * @return {promise} A promise fulfilled with an array of all projects
  *
  */
-OptimizelyClient.prototype.getProjects = function(){
-    var theUrl = this.baseUrl + 'projects/';
-    return rest.getAsync(theUrl, {
-      method: 'get',
-      headers: this.baseHeaders
-    });
-  }
+OptimizelyClient.prototype.getProjects = Promise.method(function(options){
+    var theUrl = this.baseUrl + 'projects/' + pagination.queryString(options);
+    return sendRequest(this, 'get', theUrl)
+      .then(toModel(this, models.Project));
+  })
 
 ////////////////
 //2. Experiments
@@ -214,25 +536,24 @@ OptimizelyClient.prototype.getProjects = function(){
  *@name OptimizelyClient#createExperiment
  *@since 0.0.1
  *@description create an experiment in Optimizely
+ *@note custom_js and custom_css may be read from local files passed as
+ *{string} custom_js_file and custom_css_file; their syntax is checked first.
  */
-OptimizelyClient.prototype.createExperiment = function(options) {
-    options = options || {};
+OptimizelyClient.prototype.createExperiment = Promise.method(function(options) {
+    options = readCodeFiles(options || {}, ["custom_js", "custom_css"]);
     options.description = options.description || "";
     options.project_id = options.project_id || "";
     options.edit_url = options.edit_url || "";
     options.custom_css = options.custom_css || "";
     options.custom_js = options.custom_js || "";
-    if (!options.edit_url) throw new Error("Required: options.edit_url");
-    if (!options.project_id) throw new Error("Required: options.project_id");
+    if (!options.edit_url) throw new ValidationError("Required: options.edit_url");
+    if (!options.project_id) throw new ValidationError("Required: options.project_id");
     var postUrl = this.baseUrl + 'projects/' + options.project_id +
       '/experiments/';
     delete options.project_id;
-    return rest.postAsync(postUrl, {
-      method: 'post',
-      headers: this.baseHeaders,
-      data: JSON.stringify(options)
-    })
-  }
+    return sendRequest(this, 'post', postUrl, options)
+      .then(toModel(this, models.Experiment));
+  })
 /**
  *@pubilc
  *@name OptimizelyClient#getExperiment
@@ -244,19 +565,17 @@ OptimizelyClient.prototype.createExperiment = function(options) {
  *}
  *@note the id may be passed as a string instead of a member of an object
  */
-OptimizelyClient.prototype.getExperiment = function(options) {
+OptimizelyClient.prototype.getExperiment = Promise.method(function(options) {
     if (typeof options === "string" || typeof options === "number") options = {
       id: options
     };
     options = options || {};
     options.id = String(options.id || "");
-    if (!options.id) throw new Error("required: options.id");
+    if (!options.id) throw new ValidationError("required: options.id");
     var theUrl = this.baseUrl + 'experiments/' + options.id;
-    return rest.getAsync(theUrl, {
-      method: 'get',
-      headers: this.baseHeaders
-    });
-  }
+    return sendRequest(this, 'get', theUrl)
+      .then(toModel(this, models.Experiment));
+  })
 /**
  *@pubilc
  *@name OptimizelyClient#updateExperiment
@@ -265,27 +584,44 @@ OptimizelyClient.prototype.getExperiment = function(options) {
  *@param {object} options An object with the following properties:
  *{
  *  @param id
- *  @param {string} [status = "Draft|Active"]
- *  @param {boolean} [include_jquery = false]
- *  @param {string} [ip_filter=""]
+ *  @param {string} [description]
+ *  @param {string} [edit_url]
+ *  @param {string} [custom_css]
+ *  @param {string} [custom_js]
+ *  @param {string} [custom_css_file] A .css file to read custom_css from
+ *  @param {string} [custom_js_file] A .js file to read custom_js from
  *}
+ *@note only the fields passed are sent. Pass {boolean} readModifyWrite to
+ *merge them over the current resource instead, and {string} last_modified
+ *to reject the update if the resource changed since it was read.
  */
-OptimizelyClient.prototype.updateExperiment = function(options) {
-    options = options || {};
-    options.id = String(options.id || "");
-    options.description = options.description || "";
-    options.edit_url = options.edit_url || "";
-    options.custom_css = options.custom_css || "";
-    options.custom_js = options.custom_js || "";
-    if (!options.id) throw new Error("required: options.id");
-    var theUrl = this.baseUrl + 'experiments/' + options.id;
-    delete options.id
-    return rest.putAsync(theUrl, {
-      method: 'put',
-      headers: this.baseHeaders,
-      data: JSON.stringify(options)
-    })
-  }
+OptimizelyClient.prototype.updateExperiment = Promise.method(function(options) {
+    options = readCodeFiles(options || {}, ["custom_js", "custom_css"]);
+    if (!options.id) throw new ValidationError("required: options.id");
+    return updateResource(this, 'experiments', options, models.Experiment);
+  })
+/**
+ * @public
+ * @name OptimizelyClient#diffExperiment
+ * @since 0.7.0
+ * @description Compare the live custom_js and custom_css of an experiment
+ * with local code
+ * @param {object} options An object with the following properties:
+ * {
+ *   @param {string|number} id
+ *   @param {string} [custom_js_file] A .js file, syntax checked
+ *   @param {string} [custom_css_file] A .css file, syntax checked
+ *   @param {string} [custom_js] Or the code itself
+ *   @param {string} [custom_css]
+ * }
+ * @return {promise} A promise fulfilled with a unified diff of each field
+ * passed, or "" when the live code is the same
+ */
+OptimizelyClient.prototype.diffExperiment = Promise.method(function(options) {
+    return diffCode(this, 'experiments', options || {}, ["custom_js",
+      "custom_css"
+    ]);
+  })
 /**
  *@pubilc
  *@name OptimizelyClient#pushExperiment
@@ -297,13 +633,13 @@ OptimizelyClient.prototype.updateExperiment = function(options) {
 
  *}
  */
-OptimizelyClient.prototype.pushExperiment = function(options) {
+OptimizelyClient.prototype.pushExperiment = Promise.method(function(options) {
       options = options || {};
       options.id = options.id || "";
       return options.id ?
         this.updateExperiment(options):
         this.createExperiment(options);
-    }
+    })
 /**
  *@pubilc
  *@name OptimizelyClient#getExperiments
@@ -312,23 +648,23 @@ OptimizelyClient.prototype.pushExperiment = function(options) {
  *@param {object} options An object with the following properties:
  *{
  *  @param {string} project_id
+ *  @param {number} [page] 1 based page number
+ *  @param {number} [per_page] Number of experiments per page
  *}
  *@note the id may be passed as a string instead of a member of an object
  */
-OptimizelyClient.prototype.getExperiments = function(options) {
+OptimizelyClient.prototype.getExperiments = Promise.method(function(options) {
     if (typeof options === "string" || typeof options === "number") options = {
       project_id: options
     };
     options = options || {};
     options.project_id = String(options.project_id || "");
-    if (!options.project_id) throw new Error("required: options.project_id");
+    if (!options.project_id) throw new ValidationError("required: options.project_id");
     var theUrl = this.baseUrl + 'projects/' + options.project_id +
-      '/experiments/';
-    return rest.getAsync(theUrl, {
-      method: 'get',
-      headers: this.baseHeaders
-    })
-  }
+      '/experiments/' + pagination.queryString(options);
+    return sendRequest(this, 'get', theUrl)
+      .then(toModel(this, models.Experiment));
+  })
 
 /**
  *@pubilc
@@ -343,17 +679,16 @@ OptimizelyClient.prototype.getExperiments = function(options) {
  *  @param {string} [ip_filter=""]
  *}
  */
-OptimizelyClient.prototype.getExperimentByDescription = function(options) {
+OptimizelyClient.prototype.getExperimentByDescription = Promise.method(function(options) {
     if (typeof options === "string") options = {
       project_id: options
     };
     options = options || {};
     options.project_id = String(options.project_id || "");
     options.description = options.description || arguments[1];
-    if (!options.project_id) throw new Error("Required: options.project_id");
-    if (!options.description) throw new Error("Required: options.description");
+    if (!options.project_id) throw new ValidationError("Required: options.project_id");
+    if (!options.description) throw new ValidationError("Required: options.description");
     return this.getExperiments(options.project_id).then(function(data) {
-      if (typeof data === "string") data = JSON.parse(data);
       for (var i in data) {
         if (data[i]['description'] ===
           options.description) {
@@ -362,7 +697,7 @@ OptimizelyClient.prototype.getExperimentByDescription = function(options) {
       }
       return null;
     })
-  }
+  })
 /**
  *@pubilc
  *@name OptimizelyClient#deleteExperiment
@@ -374,19 +709,227 @@ OptimizelyClient.prototype.getExperimentByDescription = function(options) {
  *}
  *@note the id may be passed as a string/number instead of a member of an object
  */
-OptimizelyClient.prototype.deleteExperiment = function(options) {
+OptimizelyClient.prototype.deleteExperiment = Promise.method(function(options) {
     if (typeof options === "string" || typeof options === "number") options = {
       id: options
     };
     options = options || {};
     options.id = String(options.id || "");
-    if (!options.id) throw new Error("required: options.id");
+    if (!options.id) throw new ValidationError("required: options.id");
     var theUrl = this.baseUrl + 'experiments/' + options.id;
-    return rest.delAsync(theUrl, {
-      method: 'delete',
-      headers: this.baseHeaders
-    });
+    return sendRequest(this, 'delete', theUrl);
+  })
+/** @const*/
+var experimentLifecycle = {
+  start: {
+    status: "Running",
+    from: ["Not started", "Paused"]
+  },
+  pause: {
+    status: "Paused",
+    from: ["Running"]
+  },
+  archive: {
+    status: "Archived",
+    from: ["Not started", "Running", "Paused"]
+  },
+  unarchive: {
+    status: "Paused",
+    from: ["Archived"]
   }
+};
+
+/**
+ * @private
+ * @description Move an experiment to the status of a lifecycle action,
+ * sending only the status field. An experiment already in that status is
+ * resolved untouched; a transition the action does not allow is rejected
+ * with a ConflictError.
+ * @param {OptimizelyClient} client
+ * @param {object|string|number} options The experiment id or {id}
+ * @param {string} action A key of experimentLifecycle
+ * @return {promise} A promise fulfilled with the experiment
+ */
+var transitionExperiment = function(client, options, action) {
+  if (typeof options === "string" || typeof options === "number") options = {
+    id: options
+  };
+  options = options || {};
+  if (!options.id) throw new ValidationError("Required: options.id");
+  var transition = experimentLifecycle[action];
+  return readFresh(client, 'experiments/' + options.id).then(function(experiment) {
+    if (experiment.status === transition.status) {
+      return toModel(client, models.Experiment)(experiment);
+    }
+    if (transition.from.indexOf(experiment.status) === -1) {
+      throw new ConflictError("Cannot " + action + " experiment " +
+        options.id + " while it is " + experiment.status, {
+          body: experiment
+        });
+    }
+    var theUrl = client.baseUrl + 'experiments/' + options.id;
+    return sendRequest(client, 'put', theUrl, {
+      status: transition.status
+    }).then(toModel(client, models.Experiment));
+  });
+}
+
+/**
+ * @public
+ * @name  OptimizelyClient#startExperiment
+ * @since  0.7.0
+ * @description Start a paused or not yet started experiment
+ * @param {object} options An object with the following properties:
+ * {
+ *   @param {string|number} id
+ * }
+ * @return {promise} A promise fulfilled with the updated experiment
+ * @note the id may be passed as a string/number instead of a member of an object
+ */
+OptimizelyClient.prototype.startExperiment = Promise.method(function(options) {
+    return transitionExperiment(this, options, "start");
+  })
+/**
+ * @public
+ * @name  OptimizelyClient#pauseExperiment
+ * @since  0.7.0
+ * @description Pause a running experiment
+ * @param {object} options See startExperiment
+ * @return {promise} A promise fulfilled with the updated experiment
+ */
+OptimizelyClient.prototype.pauseExperiment = Promise.method(function(options) {
+    return transitionExperiment(this, options, "pause");
+  })
+/**
+ * @public
+ * @name  OptimizelyClient#archiveExperiment
+ * @since  0.7.0
+ * @description Archive an experiment that is not archived yet
+ * @param {object} options See startExperiment
+ * @return {promise} A promise fulfilled with the updated experiment
+ */
+OptimizelyClient.prototype.archiveExperiment = Promise.method(function(options) {
+    return transitionExperiment(this, options, "archive");
+  })
+/**
+ * @public
+ * @name  OptimizelyClient#unarchiveExperiment
+ * @since  0.7.0
+ * @description Restore an archived experiment; it comes back paused
+ * @param {object} options See startExperiment
+ * @return {promise} A promise fulfilled with the updated experiment
+ */
+OptimizelyClient.prototype.unarchiveExperiment = Promise.method(function(options) {
+    return transitionExperiment(this, options, "unarchive");
+  })
+/** @const*/
+var DEFAULT_SEGMENT_CONCURRENCY = 4;
+
+/**
+ * @private
+ * @description Fetch one results or stats payload, for one dimension value
+ * at most
+ */
+var fetchResults = function(client, endpoint, id, dimension) {
+  var theUrl = client.baseUrl + 'experiments/' + id + '/' + endpoint;
+  if (dimension) {
+    var urlParameters = "?";
+    if (!dimension.id) throw new ValidationError("required: options.dimension.id");
+    if (!dimension.value) throw new ValidationError("required: options.dimension.value");
+    urlParameters += "dimension_id=" + encodeURIComponent(dimension.id);
+    urlParameters += "&dimension_value=" + encodeURIComponent(dimension.value);
+    theUrl += urlParameters;
+  }
+  return sendRequest(client, 'get', theUrl);
+}
+
+/**
+ * @private
+ * @description Whether options.dimension asks for more than one segment:
+ * a list of dimensions, a list of values, or a dimension without a value
+ */
+var isSegmented = function(dimension) {
+  if (!dimension) return false;
+  return Array.isArray(dimension) || Array.isArray(dimension.value) ||
+    Array.isArray(dimension.values) ||
+    (!!dimension.id && dimension.value === undefined);
+}
+
+/**
+ * @private
+ * @description Expand options.dimension into {id, value} segments, reading
+ * the known values of dimensions given without values from getDimension
+ */
+var segmentsOf = function(client, dimension) {
+  return Promise.map([].concat(dimension), function(spec) {
+    if (!spec || !spec.id) throw new ValidationError(
+      "required: options.dimension.id");
+    var values = spec.values || spec.value;
+    var known = values !== undefined ? Promise.resolve([].concat(values)) :
+      client.getDimension({
+        id: spec.id
+      }).then(function(theDimension) {
+        if (!Array.isArray(theDimension.values) || !theDimension.values.length) {
+          throw new ValidationError("Dimension " + spec.id +
+            " has no known values; pass options.dimension.values");
+        }
+        return theDimension.values;
+      });
+    return known.then(function(theValues) {
+      return theValues.map(function(value) {
+        return {
+          id: spec.id,
+          value: value
+        };
+      });
+    });
+  }).then(function(segments) {
+    return _.flatten(segments, true);
+  });
+}
+
+/**
+ * @private
+ * @description Fetch one payload per segment, at most options.concurrency
+ * at a time, collecting failures instead of rejecting
+ */
+var segmentedResults = function(client, endpoint, options) {
+  return segmentsOf(client, options.dimension).then(function(segments) {
+    return Promise.map(segments, function(segment) {
+      return fetchResults(client, endpoint, options.id, segment)
+        .then(function(rows) {
+          return {
+            dimension: segment,
+            results: rows
+          };
+        }, function(error) {
+          return {
+            dimension: segment,
+            error: error
+          };
+        });
+    }, {
+      concurrency: options.concurrency || DEFAULT_SEGMENT_CONCURRENCY
+    });
+  }).then(function(segments) {
+    var succeeded = segments.filter(function(segment) {
+      return !segment.error;
+    });
+    return {
+      experiment_id: options.id,
+      segments: segments,
+      rows: _.flatten(succeeded.map(function(segment) {
+        return exporters.flatten(segment.results, {
+          dimension: segment.dimension
+        });
+      }), true),
+      errors: segments.filter(function(segment) {
+        return segment.error;
+      })
+    };
+  });
+}
+
 /**
  * @public
  * @name  OptimizelyClient#getResults
@@ -395,72 +938,168 @@ OptimizelyClient.prototype.deleteExperiment = function(options) {
  * @param {object} options An object with the following properties: 
  * {
  *   @param {String} id Experiment ID
- *   @param {object} [dimension = {}] An object with the following properties:
+ *   @param {object|Array} [dimension = {}] An object with the following properties:
  *   {
  *     @param {String} id Dimension ID
- *     @param {String} value Dimension Value
+ *     @param {String|Array} [value] Dimension Value, or several
+ *     @param {Array} [values] Several Dimension Values
  *   }
+ *   or a list of them. Without a value, every value the dimension lists
+ *   in getDimension is fetched.
+ *   @param {number} [concurrency = 4] Segments fetched at once
  * }
  * @note the id may be passed as a string/number instead of a member of an object
+ * @return {promise} A promise fulfilled with the results. When several
+ * segments are asked for, with {string} experiment_id, {Array} segments
+ * each with a {object} dimension {id, value} and its {Array} results or
+ * {Error} error, {Array} rows of every segment's results tagged with
+ * dimension_id and dimension_value, and {Array} errors, the failed segments
  */
-OptimizelyClient.prototype.getResults = function(options) {
+OptimizelyClient.prototype.getResults = Promise.method(function(options) {
     if (typeof options === "string" || typeof options === "number") options = {
       id: options
     };
     options = options || {};
     options.id = String(options.id || "");
-    if (!options.id) throw new Error("required: options.id");
-    var theUrl = this.baseUrl + 'experiments/' + options.id + '/results';
-    if (options.dimension) {
-      var urlParameters = "?";
-      if (!options.dimension.id) throw new Error("required: options.dimension.id");
-      if (!options.dimension.value) throw new Error("required: options.dimension.value");
-      urlParameters += "dimension_id=" + encodeURIComponent(options.dimension.id);
-      urlParameters += "&dimension_value=" + encodeURIComponent(options.dimension.value);
-      theUrl += urlParameters;
+    if (!options.id) throw new ValidationError("required: options.id");
+    if (isSegmented(options.dimension)) {
+      return segmentedResults(this, 'results', options);
     }
-    return rest.getAsync(theUrl, {
-      method: 'GET',
-      headers: this.baseHeaders
-    });
-  }
+    return fetchResults(this, 'results', options.id, options.dimension);
+  })
 /**
  * @public
  * @name  OptimizelyClient#getStats
  * @since  0.4.0
  * @description get stats engine results
- * @param {object} options An object with the following properties: 
+ * @param {object} options As for getResults
+ * @note the id may be passed as a string/number instead of a member of an object
+ * @return {promise} As for getResults
+ */
+OptimizelyClient.prototype.getStats = Promise.method(function(options) {
+    if (typeof options === "string" || typeof options === "number") options = {
+      id: options
+    };
+    options = options || {};
+    options.id = String(options.id || "");
+    if (!options.id) throw new ValidationError("required: options.id");
+    if (isSegmented(options.dimension)) {
+      return segmentedResults(this, 'stats', options);
+    }
+    return fetchResults(this, 'stats', options.id, options.dimension);
+  })
+/**
+ * @public
+ * @name  OptimizelyClient#getAnalysis
+ * @since  0.7.0
+ * @description Fetch an experiment's results and summarize them per goal
+ * and variation: lift, confidence intervals, p-values, probability to beat
+ * baseline, power, sample size and a verdict (see analysis.analyze)
+ * @param {object} options An object with the following properties:
  * {
  *   @param {String} id Experiment ID
- *   @param {object} [dimension = {}] An object with the following properties:
- *   {
- *     @param {String} id Dimension ID
- *     @param {String} value Dimension Value
- *   }
+ *   @param {object} [dimension] As for getResults
+ *   @param {boolean} [stats = false] Analyze the getStats payload instead
+ *   @param {object} [analysis] Thresholds overriding analysis.DEFAULTS
  * }
  * @note the id may be passed as a string/number instead of a member of an object
+ * @return {promise} A promise fulfilled with one summary per goal, or for
+ * several dimension segments the segmented results of getResults with an
+ * {Array} analysis added to each segment
  */
-OptimizelyClient.prototype.getStats = function(options) {
+OptimizelyClient.prototype.getAnalysis = Promise.method(function(options) {
     if (typeof options === "string" || typeof options === "number") options = {
       id: options
     };
     options = options || {};
-    options.id = String(options.id || "");
-    if (!options.id) throw new Error("required: options.id");
-    var theUrl = this.baseUrl + 'experiments/' + options.id + '/stats';
-    if (options.dimension) {
-      var urlParameters = "?";
-      if (!options.dimension.id) throw new Error("required: options.dimension.id");
-      if (!options.dimension.value) throw new Error("required: options.dimension.value");
-      urlParameters += "dimension_id=" + encodeURIComponent(options.dimension.id);
-      urlParameters += "&dimension_value=" + encodeURIComponent(options.dimension.value);
-      theUrl += urlParameters;
-    }
-    return rest.getAsync(theUrl, {
-      method: 'GET',
-      headers: this.baseHeaders
+    var fetchOptions = _.omit(options, ["stats", "analysis"]);
+    var results = options.stats ? this.getStats(fetchOptions) :
+      this.getResults(fetchOptions);
+    return results.then(function(rows) {
+      if (Array.isArray(rows)) return analysis.analyze(rows, options.analysis);
+      // Segmented results: one analysis per segment
+      rows.segments.forEach(function(segment) {
+        if (segment.error) return;
+        try {
+          segment.analysis = analysis.analyze(segment.results, options.analysis);
+        } catch (error) {
+          segment.error = error;
+          rows.errors.push(segment);
+        }
+      });
+      return rows;
     });
-  }
+  })
+/**
+ * @public
+ * @name  OptimizelyClient#exportProjectResults
+ * @since  0.7.0
+ * @description Fetch the results of every experiment in a project and
+ * render them as one CSV, TSV or newline delimited JSON document, one line
+ * per experiment, variation and goal (see exporters.js)
+ * @param {object} options An object with the following properties:
+ * {
+ *   @param {String}  project_id
+ *   @param {String}  [format = "csv"] csv, tsv or ndjson
+ *   @param {boolean} [stats = false] Export the getStats payloads instead
+ *   @param {object}  [dimension] As for getResults
+ *   @param {Array}   [columns] See exporters.toCsv
+ *   @param {boolean} [header = true] Write a header line (csv, tsv)
+ *   @param {String}  [file] Also write the document to this path
+ *   @param {boolean} [skipErrors = false] Leave out experiments whose
+ *                    results cannot be fetched instead of rejecting
+ * }
+ * @note the project id may be passed as a string/number instead of a member of an object
+ * @return {promise} A promise fulfilled with the document
+ * @example
+ * oc.exportProjectResults({project_id: projectId, file: "results.csv"});
+ */
+OptimizelyClient.prototype.exportProjectResults = Promise.method(function(options) {
+    if (typeof options === "string" || typeof options === "number") options = {
+      project_id: options
+    };
+    options = options || {};
+    if (!options.project_id) throw new ValidationError("Required: options.project_id");
+    if (!exporters.FORMATS[options.format || "csv"]) throw new ValidationError(
+      "Unknown format: " + options.format);
+    var self = this;
+    return this.getAllExperiments({
+      project_id: options.project_id
+    }).then(function(experiments) {
+      return Promise.map(experiments, function(experiment) {
+        var fetchOptions = {
+          id: experiment.id,
+          dimension: options.dimension
+        };
+        var results = options.stats ? self.getStats(fetchOptions) :
+          self.getResults(fetchOptions);
+        return results.then(function(rows) {
+          if (Array.isArray(rows)) return exporters.flatten(rows, {
+            experiment: experiment,
+            dimension: options.dimension
+          });
+          // Segmented results are already tagged with their dimension
+          if (rows.errors.length && !options.skipErrors) throw rows.errors[0].error;
+          return exporters.flatten(rows.rows, {
+            experiment: experiment
+          });
+        }, function(error) {
+          if (options.skipErrors) return [];
+          throw error;
+        });
+      });
+    }).then(function(records) {
+      var document = exporters.format(_.flatten(records, true), options.format, {
+        columns: options.columns,
+        header: options.header
+      });
+      if (!options.file) return document;
+      return Promise.promisify(fs.writeFile)(options.file, document)
+        .then(function() {
+          return document;
+        });
+    });
+  })
 ////////////////
 //3. Variations
 ////////////////
@@ -473,23 +1112,22 @@ OptimizelyClient.prototype.getStats = function(options) {
  *{
  *  @param {string|number} experiment_id
  *  @param {string} [descriptions = ""]
+ *  @param {string} [js_component_file] A .js file to read js_component from,
+ *                  once its syntax is checked
  *}
  */
-OptimizelyClient.prototype.createVariation = function(options) {
-    options = options || {};
+OptimizelyClient.prototype.createVariation = Promise.method(function(options) {
+    options = readCodeFiles(options || {}, ["js_component"]);
     options.experiment_id = String(options.experiment_id || "");
     options.description = options.description || "";
-    if (!options.experiment_id) throw new Error(
+    if (!options.experiment_id) throw new ValidationError(
       "Required: options.experiment_id");
     var postUrl = this.baseUrl + 'experiments/' + options.experiment_id +
       '/variations/';
     delete options.experiment_id;
-    return rest.postAsync(postUrl, {
-      method: 'post',
-      headers: this.baseHeaders,
-      data: JSON.stringify(options)
-    })
-  }
+    return sendRequest(this, 'post', postUrl, options)
+      .then(toModel(this, models.Variation));
+  })
 /**
  *@pubilc
  *@name OptimizelyClient#getVariation
@@ -500,17 +1138,41 @@ OptimizelyClient.prototype.createVariation = function(options) {
  *  @param {string|number} id
  *}
  */
-OptimizelyClient.prototype.getVariation = function(options) {
+OptimizelyClient.prototype.getVariation = Promise.method(function(options) {
     if (typeof options === "string") options = {
       id: options
     };
-    if (!options.id) throw new Error("Required: options.id");
+    options = options || {};
+    if (!options.id) throw new ValidationError("Required: options.id");
     var theUrl = this.baseUrl + 'variations/' + options.id;
-    return rest.getAsync(theUrl, {
-      method: 'get',
-      headers: this.baseHeaders
-    })
-  }
+    return sendRequest(this, 'get', theUrl)
+      .then(toModel(this, models.Variation));
+  })
+
+/**
+ * @public
+ * @name OptimizelyClient#getVariations
+ * @since 0.7.0
+ * @description Retrieve the variations of an experiment
+ * @param {object} options An object with the following properties:
+ * {
+ *   @param {string|number} experiment_id
+ * }
+ * @note the experiment id may be passed as a string/number instead of a member of an object
+ * @return {promise} A promise fulfilled with an array of variations
+ */
+OptimizelyClient.prototype.getVariations = Promise.method(function(options) {
+    if (typeof options === "string" || typeof options === "number") options = {
+      experiment_id: options
+    };
+    options = options || {};
+    if (!options.experiment_id) throw new ValidationError(
+      "Required: options.experiment_id");
+    var theUrl = this.baseUrl + 'experiments/' + options.experiment_id +
+      '/variations/';
+    return sendRequest(this, 'get', theUrl)
+      .then(toModel(this, models.Variation));
+  })
 
 /**
  * @pubilc
@@ -521,40 +1183,72 @@ OptimizelyClient.prototype.getVariation = function(options) {
  * {
  *   @param {string|number} id
  *   @param {string} [description]
+ *   @param {string} [js_component]
+ *   @param {string} [js_component_file] A .js file to read js_component
+ *                   from, once its syntax is checked
+ *   @param {number} [weight]
  * }
+ * @note only the fields passed are sent. Pass {boolean} readModifyWrite to
+ * merge them over the current resource instead, and {string} last_modified
+ * to reject the update if the resource changed since it was read.
  */
-OptimizelyClient.prototype.updateVariation = function(options) {
-    var optionsToUpdate = {};
-    options = options || {};
-    if (!options.id) throw new Error(
+OptimizelyClient.prototype.updateVariation = Promise.method(function(options) {
+    options = readCodeFiles(options || {}, ["js_component"]);
+    if (!options.id) throw new ValidationError(
       "Required: options.id");
-    optionsToUpdate.id = options.id || "";
-    optionsToUpdate.description = options.description || "";
-    optionsToUpdate.js_component = options.js_component || "";
-    var theUrl = this.baseUrl + 'variations/' + options.id;
-    return rest.putAsync(theUrl, {
-      method: 'put',
-      headers: this.baseHeaders,
-      data: JSON.stringify(optionsToUpdate)
-    })
-  }
+    return updateResource(this, 'variations', options, models.Variation);
+  })
 /**
  * @pubilc
  * @name OptimizelyClient#pushVariation
  * @since 0.2.0
- * @description Create or update a variation based on the presence of an id
+ * @description Create or update a variation based on the presence of an id.
+ * Pass dryRun to preview, as a unified diff, the live code an update would
+ * overwrite; nothing is written then.
  * @param {object} options An object with the following properties:
  * {
  *    @param See createVariation and updateVariaion
+ *    @param {boolean} [dryRun = false] Resolve with the diff of the code
+ *                     fields passed (see diffVariation) instead of writing;
+ *                     needs the id
  * }
+ * @return {promise} A promise fulfilled with the variation, or the diff
  */
-OptimizelyClient.prototype.pushVariation = function(options) {
+OptimizelyClient.prototype.pushVariation = Promise.method(function(options) {
     options = options || {};
+    var dryRun = options.dryRun;
+    options = _.omit(options, "dryRun");
     options.id = options.id || "";
+    if (dryRun) {
+      if (!options.id) throw new ValidationError(
+        "Required: options.id with options.dryRun");
+      return this.diffVariation(options);
+    }
     return options.id ?
       this.updateVariation(options):
       this.createVariation(options);
-  }
+  })
+/**
+ * @public
+ * @name OptimizelyClient#diffVariation
+ * @since 0.7.0
+ * @description Compare the live js_component of a variation with local code,
+ * e.g. before pushVariation overwrites it
+ * @param {object} options An object with the following properties:
+ * {
+ *   @param {string|number} id
+ *   @param {string} [js_component_file] A .js file, syntax checked
+ *   @param {string} [js_component] Or the code itself
+ * }
+ * @return {promise} A promise fulfilled with a unified diff from the live
+ * code to the local code, or "" when they have the same lines
+ * @example
+ * oc.diffVariation({id: variationId, js_component_file: "hero.js"})
+ *   .then(function(diff){ process.stdout.write(diff); });
+ */
+OptimizelyClient.prototype.diffVariation = Promise.method(function(options) {
+    return diffCode(this, 'variations', options || {}, ["js_component"]);
+  })
 /**
  * @pubilc
  * @name OptimizelyClient#deleteVariation
@@ -565,17 +1259,187 @@ OptimizelyClient.prototype.pushVariation = function(options) {
  *   @param {string|number} id
  * }
  */
-OptimizelyClient.prototype.deleteVariation = function(options) {
+OptimizelyClient.prototype.deleteVariation = Promise.method(function(options) {
     if (typeof options === "string") options = {
       id: options
     };
-    if (!options.id) throw new Error("Required: options.id");
+    options = options || {};
+    if (!options.id) throw new ValidationError("Required: options.id");
     var theUrl = this.baseUrl + 'variations/' + options.id;
-    return rest.delAsync(theUrl, {
-      method: 'delete',
-      headers: this.baseHeaders
-    })
+    return sendRequest(this, 'delete', theUrl);
+  })
+
+/** @const*/
+var TOTAL_WEIGHT = 10000;
+
+/**
+ * @private
+ * @description A weight in basis points, from a number of basis points or a
+ * percentage string such as "33.5%"
+ */
+var basisPoints = function(variationId, weight) {
+  var points = typeof weight === "string" && /%$/.test(weight) ?
+    Math.round(parseFloat(weight) * 100) : weight;
+  if (typeof points !== "number" || points % 1 !== 0 || points < 0 ||
+    points > TOTAL_WEIGHT) throw new ValidationError("Invalid weight for variation " +
+    variationId + ": " + weight + ", expected an integer from 0 to " +
+    TOTAL_WEIGHT + " or a percentage");
+  return points;
+}
+
+/**
+ * @private
+ * @description The weight every variation should end up with
+ * @param {Array} variations The current variations of the experiment
+ * @param {object} weights Weights by variation id
+ * @param {boolean} rebalance Split what the given weights leave evenly
+ * between the variations they do not name
+ * @return {object} Weights in basis points by variation id
+ * @throws {ValidationError} For unknown variations, invalid weights, or
+ * weights not adding up to 10000
+ */
+var allocationFor = function(variations, weights, rebalance) {
+  var ids = variations.map(function(variation) {
+    return String(variation.id);
+  });
+  var allocation = {};
+  Object.keys(weights).forEach(function(id) {
+    if (ids.indexOf(String(id)) === -1) throw new ValidationError(
+      "Variation " + id + " is not part of the experiment");
+    allocation[id] = basisPoints(id, weights[id]);
+  });
+  var unnamed = variations.filter(function(variation) {
+    return allocation[variation.id] === undefined;
+  });
+  if (rebalance && unnamed.length) {
+    var remaining = TOTAL_WEIGHT - _.reduce(allocation, function(sum, weight) {
+      return sum + weight;
+    }, 0);
+    if (remaining < 0) throw new ValidationError("Weights sum to " +
+      (TOTAL_WEIGHT - remaining) + ", more than " + TOTAL_WEIGHT);
+    unnamed.forEach(function(variation, index) {
+      allocation[variation.id] = Math.floor(remaining / unnamed.length) +
+        (index < remaining % unnamed.length ? 1 : 0);
+    });
+  } else {
+    unnamed.forEach(function(variation) {
+      allocation[variation.id] = variation.weight || 0;
+    });
   }
+  var total = _.reduce(allocation, function(sum, weight) {
+    return sum + weight;
+  }, 0);
+  if (total !== TOTAL_WEIGHT) throw new ValidationError("Weights sum to " +
+    total + ", expected " + TOTAL_WEIGHT + " (100%)");
+  return allocation;
+}
+
+/**
+ * @public
+ * @name OptimizelyClient#setTrafficAllocation
+ * @since 0.7.0
+ * @description Set the traffic weights of an experiment's variations.
+ * Weights are basis points or percentage strings and must add up to 10000
+ * (100%) across every variation; variations not named keep their weight,
+ * or with options.rebalance share what is left evenly. Only changed weights
+ * are written, lowered ones first so the total never exceeds 100%. If a
+ * write fails, the ones already made are reverted and the call is rejected
+ * with an OptimizelyError whose body reports {string} failed, {Array}
+ * rolledBack and {Array} rollbackFailed variation ids, and whose cause is
+ * the original error. A cancelled or timed out call is reverted the same
+ * way, including the write in progress, and rejected with its AbortError or
+ * TimeoutError carrying that body.
+ * @param {string|number} experimentId
+ * @param {object} [weights] Weights by variation id
+ * @param {object} [options] An object with the following properties:
+ * {
+ *   @param {boolean} [rebalance = false] Split the rest evenly between the
+ *                    variations not named in weights (all of them when
+ *                    weights is omitted)
+ * }
+ * @return {promise} A promise fulfilled with the experiment's variations
+ * @example
+ * oc.setTrafficAllocation(experimentId, {"111": 8000, "222": "20%"});
+ * oc.setTrafficAllocation(experimentId, null, {rebalance: true});
+ */
+OptimizelyClient.prototype.setTrafficAllocation = Promise.method(function(
+  experimentId, weights, options) {
+    options = options || {};
+    if (!experimentId) throw new ValidationError("Required: experimentId");
+    if (!weights && !options.rebalance) throw new ValidationError(
+      "Required: weights, or options.rebalance");
+    if (weights && typeof weights !== "object") throw new ValidationError(
+      "Expected weights to be an object of weights by variation id");
+    var self = this;
+    var path = 'experiments/' + experimentId + '/variations/';
+    // Read around the cache: rolling back needs the weights as they are
+    return readFresh(this, path).then(function(variations) {
+      var allocation = allocationFor(variations, weights || {},
+        options.rebalance);
+      var changes = variations.filter(function(variation) {
+        return allocation[variation.id] !== (variation.weight || 0);
+      }).sort(function(a, b) {
+        return (allocation[a.id] - (a.weight || 0)) -
+          (allocation[b.id] - (b.weight || 0));
+      });
+      var putWeight = function(client, id, weight) {
+        return sendRequest(client, 'put', self.baseUrl + 'variations/' + id, {
+          weight: weight
+        });
+      }
+      var updated = {};
+      var applied = [];
+      var rollBack = function(variation, error) {
+        var report = {
+          failed: String(variation.id),
+          rolledBack: [],
+          rollbackFailed: []
+        };
+        var cancelled = error instanceof errors.AbortError ||
+          error instanceof errors.TimeoutError;
+        // A cancelled write may still have landed, so it is undone as well
+        var undo = (cancelled ? applied.concat(variation) : applied).slice()
+          .reverse();
+        // Undo outside of the call, whose signal or deadline already fired
+        var owner = abort.unscoped(self);
+        return Promise.each(undo, function(done) {
+          return putWeight(owner, done.id, done.weight || 0).then(function() {
+            report.rolledBack.push(String(done.id));
+          }, function() {
+            report.rollbackFailed.push(String(done.id));
+          });
+        }).then(function() {
+          if (cancelled) {
+            error.body = report;
+            throw error;
+          }
+          throw new OptimizelyError("Could not set the weight of variation " +
+            variation.id + ": " + error.message + "; rolled back " +
+            report.rolledBack.length + " of " + applied.length +
+            " earlier changes", {
+              status: error.status,
+              method: error.method,
+              url: error.url,
+              body: report,
+              cause: error
+            });
+        });
+      }
+      return Promise.each(changes, function(variation) {
+        var weight = allocation[variation.id];
+        return putWeight(self, variation.id, weight).then(function(result) {
+          applied.push(variation);
+          updated[variation.id] = result;
+        }, function(error) {
+          return rollBack(variation, error);
+        });
+      }).then(function() {
+        return toModel(self, models.Variation)(variations.map(function(variation) {
+          return updated[variation.id] || variation;
+        }));
+      });
+    });
+  })
 
 ////////////////
 //4. Audiences
@@ -592,17 +1456,28 @@ OptimizelyClient.prototype.deleteVariation = function(options) {
  * @returns {promise} A promise fulfilled with the Audience
  * @note the id may be passed as a string instead of a member of an object
  */
-OptimizelyClient.prototype.getAudience = function(options) {
+OptimizelyClient.prototype.getAudience = Promise.method(function(options) {
     if (typeof options === "string") options = {
       id: options
     };
-    if (!options.id) throw new Error("Required: options.id");
+    options = options || {};
+    if (!options.id) throw new ValidationError("Required: options.id");
     var theUrl = this.baseUrl + 'audiences/' + options.id;
-    return rest.getAsync(theUrl, {
-      method: 'get',
-      headers: this.baseHeaders
-    });
-  }
+    return sendRequest(this, 'get', theUrl)
+      .then(toModel(this, models.Audience));
+  })
+/**
+ * @private
+ * @description Validate audience conditions before they are sent, rendering
+ * builder trees to the API's JSON string; arrays and strings are sent as given
+ * @throws {ValidationError}
+ */
+var normalizeConditions = function(conditions) {
+  var tree = Conditions.validate(conditions);
+  return (conditions instanceof Conditions.Condition ||
+    conditions instanceof Conditions.Group) ? tree.toString() : conditions;
+}
+
 /**
  * @pubilc
  * @name OptimizelyClient#createAudience
@@ -610,33 +1485,34 @@ OptimizelyClient.prototype.getAudience = function(options) {
  * @description Create an Audience in Optimizely
  * @param {object} options An object with the following properties:
  * {
- *   @param {String}   id             Project ID
+ *   @param {String}   project_id     Project ID
+ *   @param {String}   [id]           Deprecated alias of project_id
  *   @param {String}   name
  *   @param {String}   [description] 
  *   @param {Boolean}  [segmentation] Only available for platinum
- *   @param {Array}    [conditions]   See http://developers.optimizely.com/rest/conditions/
+ *   @param {Array|String|Conditions.Group} [conditions] See
+ *                    http://developers.optimizely.com/rest/conditions/ or
+ *                    build them with OptimizelyClient.Conditions
  * }
+ * @throws {ValidationError} If the conditions use an unknown type or operator
  * @returns {promise} A promise fulfilled with the created project
  */
-OptimizelyClient.prototype.createAudience = function(options) {
+OptimizelyClient.prototype.createAudience = Promise.method(function(options) {
     var optionsToSend = {};
     options = options || {};
-    if (!options.name) throw new Error("Required: options.name");
-    if (!options.id) throw new Error("Required: options.id");
+    if (!options.name) throw new ValidationError("Required: options.name");
+    var projectId = projectScope("createAudience", options);
 
     optionsToSend.name = options.name;
-    optionsToSend.id = options.id;
     optionsToSend.description = options.description || "";
     optionsToSend.segmentation = options.segmentation || false;
-    optionsToSend.conditions = options.conditions || [];
+    optionsToSend.conditions = options.conditions ?
+      normalizeConditions(options.conditions) : [];
 
-    var postUrl = this.baseUrl + 'projects/' + options.id + '/audiences/';
-    return rest.postAsync(postUrl, {
-      method: 'post',
-      headers: this.baseHeaders,
-      data: JSON.stringify(optionsToSend)
-    })
-  }
+    var postUrl = this.baseUrl + 'projects/' + projectId + '/audiences/';
+    return sendRequest(this, 'post', postUrl, optionsToSend)
+      .then(toModel(this, models.Audience));
+  })
 /**
  * @public
  * @name  OptimizelyClient#updateAudience
@@ -646,22 +1522,23 @@ OptimizelyClient.prototype.createAudience = function(options) {
  * {
  *   @param {String}  id 
  *   @param {String}  [name]
- *   @param {Array}   [conditions]   See http://developers.optimizely.com/rest/conditions/
+ *   @param {Array|String|Conditions.Group} [conditions] As for createAudience
  *   @param {Boolean} [segmentation] Platinum Customers only
  * }
+ * @throws {ValidationError} If the conditions use an unknown type or operator
+ * @note only the fields passed are sent. Pass {boolean} readModifyWrite to
+ * merge them over the current resource instead, and {string} last_modified
+ * to reject the update if the resource changed since it was read.
  * @return {promise}  A promise fulfilled with the updated audience
  */
-OptimizelyClient.prototype.updateAudience = function(options) {
+OptimizelyClient.prototype.updateAudience = Promise.method(function(options) {
     options = options || {};
-    options.id = options.id || false;
-    if(!options.id) throw new Error('required: options.id');
-    var putUrl = this.baseUrl + 'audiences/' + options.id;
-    return rest.putAsync(putUrl, {
-      method: 'put',
-      headers: this.baseHeaders,
-      data: JSON.stringify(options)
+    if(!options.id) throw new ValidationError('required: options.id');
+    if (options.conditions !== undefined) options = _.assign({}, options, {
+      conditions: normalizeConditions(options.conditions)
     });
-  }
+    return updateResource(this, 'audiences', options, models.Audience);
+  })
 /**
  * @public
  * @name  OptimizelyClient#getAudiences
@@ -669,24 +1546,113 @@ OptimizelyClient.prototype.updateAudience = function(options) {
  * @description Retrieves a list of Audiences in a project from Optimizely
  * @param {object} options An object with the following properties:
  * {
- *   @param {string|number} id The Project ID
+ *   @param {string|number} project_id The Project ID
+ *   @param {string|number} [id] Deprecated alias of project_id
+ *   @param {number} [page] 1 based page number
+ *   @param {number} [per_page] Number of items per page
  * }
  * @return {promise} A promise fulfilled with an array of all Audiences
  *
  */
-OptimizelyClient.prototype.getAudiences = function(options){
+OptimizelyClient.prototype.getAudiences = Promise.method(function(options){
+    if (typeof options === "string" || typeof options === "number") options = {
+      project_id: options
+    };
+    options = options || {};
+    var projectId = projectScope("getAudiences", options);
+    var theUrl = this.baseUrl + 'projects/' + projectId + '/audiences/' +
+      pagination.queryString(options);
+    return sendRequest(this, 'get', theUrl)
+      .then(toModel(this, models.Audience));
+  })
+/**
+ * @private
+ * @description Find the running experiments of a project matching a predicate
+ * @param {OptimizelyClient} client
+ * @param {string|number} projectId
+ * @param {function} predicate Called with each running experiment, returns
+ * a boolean or a promise for one
+ * @return {promise} A promise fulfilled with the matching experiments
+ */
+var runningExperiments = function(client, projectId, predicate) {
+  return pagination.collect(pagination.iterate(function(page, perPage) {
+    return readFresh(client, 'projects/' + projectId + '/experiments/' +
+      pagination.queryString({
+        page: page,
+        per_page: perPage
+      }));
+  })).then(function(experiments) {
+    var running = experiments.filter(function(experiment) {
+      return experiment.status === "Running";
+    });
+    return Promise.filter(running, predicate);
+  });
+}
+
+/**
+ * @private
+ * @description Reject the deletion of a resource still in use
+ */
+var refuseDeletion = function(resource, id, experiments) {
+  var experimentIds = experiments.map(function(experiment) {
+    return experiment.id;
+  });
+  throw new ConflictError(resource + " " + id +
+    " is used by running experiments " + experimentIds.join(", ") +
+    "; pass force: true to delete it anyway", {
+      body: {
+        experiment_ids: experimentIds
+      }
+    });
+}
+
+/**
+ * @private
+ * @description Check whether audience conditions, as an array or its JSON
+ * string, contain a dimension condition on the given dimension
+ */
+var conditionsUseDimension = function(conditions, dimensionId) {
+  conditions = parseBody(conditions);
+  if (Array.isArray(conditions)) return conditions.some(function(condition) {
+    return conditionsUseDimension(condition, dimensionId);
+  });
+  return !!conditions && typeof conditions === "object" &&
+    conditions.type === "dimension" && String(conditions.id) === String(dimensionId);
+}
+
+/**
+ * @public
+ * @name  OptimizelyClient#deleteAudience
+ * @since  0.7.0
+ * @description Delete an Audience in Optimizely. Unless force is set, the
+ * deletion is refused with a ConflictError while a running experiment of
+ * the audience's project targets it.
+ * @param {object} options An object with the following properties:
+ * {
+ *   @param {string|number} id The Audience ID
+ *   @param {boolean} [force = false] Skip the running experiment check
+ * }
+ * @note the id may be passed as a string/number instead of a member of an object
+ */
+OptimizelyClient.prototype.deleteAudience = Promise.method(function(options) {
     if (typeof options === "string" || typeof options === "number") options = {
       id: options
     };
     options = options || {};
-    options.id = options.id || "";
-    if (!options.id) throw new Error("required: options.id");
-    var theUrl = this.baseUrl + 'projects/' + options.id + '/audiences/';
-    return rest.getAsync(theUrl, {
-      method: 'get',
-      headers: this.baseHeaders
+    if (!options.id) throw new ValidationError("Required: options.id");
+    var self = this;
+    var theUrl = this.baseUrl + 'audiences/' + options.id;
+    if (options.force) return sendRequest(this, 'delete', theUrl);
+    return this.getAudience(options.id).then(function(audience) {
+      return runningExperiments(self, audience.project_id, function(experiment) {
+        return (experiment.audience_ids || []).map(String)
+          .indexOf(String(options.id)) > -1;
+      });
+    }).then(function(experiments) {
+      if (experiments.length) refuseDeletion("Audience", options.id, experiments);
+      return sendRequest(self, 'delete', theUrl);
     });
-  }
+  })
 
 ////////////////
 //5. Dimensions
@@ -703,17 +1669,16 @@ OptimizelyClient.prototype.getAudiences = function(options){
  * @returns {promise} A promise fulfilled with the Dimension
  * @note the id may be passed as a string instead of a member of an object
  */
-OptimizelyClient.prototype.getDimension = function(options) {
+OptimizelyClient.prototype.getDimension = Promise.method(function(options) {
     if (typeof options === "string") options = {
       id: options
     };
-    if (!options.id) throw new Error("Required: options.id");
+    options = options || {};
+    if (!options.id) throw new ValidationError("Required: options.id");
     var theUrl = this.baseUrl + 'dimensions/' + options.id;
-    return rest.getAsync(theUrl, {
-      method: 'get',
-      headers: this.baseHeaders
-    });
-  }
+    return sendRequest(this, 'get', theUrl)
+      .then(toModel(this, models.Dimension));
+  })
 /**
  * @pubilc
  * @name OptimizelyClient#createDimension
@@ -721,31 +1686,28 @@ OptimizelyClient.prototype.getDimension = function(options) {
  * @description Create an Dimension in Optimizely
  * @param {object} options An object with the following properties:
  * {
- *   @param {String}   id             Project ID
+ *   @param {String}   project_id     Project ID
+ *   @param {String}   [id]           Deprecated alias of project_id
  *   @param {String}   name
  *   @param {String}   [description] 
  *   @param {Boolean}  [client_api_name] A unique name to refer to this dimension
  * }
  * @returns {promise} A promise fulfilled with the created project
  */
-OptimizelyClient.prototype.createDimension = function(options) {
+OptimizelyClient.prototype.createDimension = Promise.method(function(options) {
     var optionsToSend = {};
     options = options || {};
-    if (!options.name) throw new Error("Required: options.name");
-    if (!options.id) throw new Error("Required: options.id");
+    if (!options.name) throw new ValidationError("Required: options.name");
+    var projectId = projectScope("createDimension", options);
 
     optionsToSend.name = options.name;
-    optionsToSend.id = options.id;
     optionsToSend.description = options.description || "";
     optionsToSend.client_api_name = options.client_api_name || "";
 
-    var postUrl = this.baseUrl + 'projects/' + options.id + '/dimensions/';
-    return rest.postAsync(postUrl, {
-      method: 'post',
-      headers: this.baseHeaders,
-      data: JSON.stringify(optionsToSend)
-    })
-  }
+    var postUrl = this.baseUrl + 'projects/' + projectId + '/dimensions/';
+    return sendRequest(this, 'post', postUrl, optionsToSend)
+      .then(toModel(this, models.Dimension));
+  })
 /**
  * @public
  * @name  OptimizelyClient#updateDimension
@@ -758,19 +1720,16 @@ OptimizelyClient.prototype.createDimension = function(options) {
  *   @param {String}  [description] 
  *   @param {Boolean} [client_api_name] A unique name to refer to this dimension
  * }
+ * @note only the fields passed are sent. Pass {boolean} readModifyWrite to
+ * merge them over the current resource instead, and {string} last_modified
+ * to reject the update if the resource changed since it was read.
  * @return {promise}  A promise fulfilled with the updated audience
  */
-OptimizelyClient.prototype.updateDimension = function(options) {
+OptimizelyClient.prototype.updateDimension = Promise.method(function(options) {
     options = options || {};
-    options.id = options.id || false;
-    if(!options.id) throw new Error('required: options.id');
-    var putUrl = this.baseUrl + 'dimensions/' + options.id;
-    return rest.putAsync(putUrl, {
-      method: 'put',
-      headers: this.baseHeaders,
-      data: JSON.stringify(options)
-    });
-  }
+    if(!options.id) throw new ValidationError('required: options.id');
+    return updateResource(this, 'dimensions', options, models.Dimension);
+  })
 /**
  * @public
  * @name  OptimizelyClient#getDimensions
@@ -778,24 +1737,67 @@ OptimizelyClient.prototype.updateDimension = function(options) {
  * @description Retrieves a list of Dimensions in a project from Optimizely
  * @param {object} options An object with the following properties:
  * {
- *   @param {string|number} id The Project ID
+ *   @param {string|number} project_id The Project ID
+ *   @param {string|number} [id] Deprecated alias of project_id
+ *   @param {number} [page] 1 based page number
+ *   @param {number} [per_page] Number of items per page
  * }
  * @return {promise} A promise fulfilled with an array of all Audiences
  *
  */
-OptimizelyClient.prototype.getDimensions = function(options){
+OptimizelyClient.prototype.getDimensions = Promise.method(function(options){
+    if (typeof options === "string" || typeof options === "number") options = {
+      project_id: options
+    };
+    options = options || {};
+    var projectId = projectScope("getDimensions", options);
+    var theUrl = this.baseUrl + 'projects/' + projectId + '/dimensions/' +
+      pagination.queryString(options);
+    return sendRequest(this, 'get', theUrl)
+      .then(toModel(this, models.Dimension));
+  })
+/**
+ * @public
+ * @name  OptimizelyClient#deleteDimension
+ * @since  0.7.0
+ * @description Delete a Dimension in Optimizely. Unless force is set, the
+ * deletion is refused with a ConflictError while a running experiment of
+ * the dimension's project targets an audience whose conditions use it.
+ * @param {object} options An object with the following properties:
+ * {
+ *   @param {string|number} id The Dimension ID
+ *   @param {boolean} [force = false] Skip the running experiment check
+ * }
+ * @note the id may be passed as a string/number instead of a member of an object
+ */
+OptimizelyClient.prototype.deleteDimension = Promise.method(function(options) {
     if (typeof options === "string" || typeof options === "number") options = {
       id: options
     };
     options = options || {};
-    options.id = options.id || "";
-    if (!options.id) throw new Error("required: options.id");
-    var theUrl = this.baseUrl + 'projects/' + options.id + '/dimensions/';
-    return rest.getAsync(theUrl, {
-      method: 'get',
-      headers: this.baseHeaders
+    if (!options.id) throw new ValidationError("Required: options.id");
+    var self = this;
+    var theUrl = this.baseUrl + 'dimensions/' + options.id;
+    if (options.force) return sendRequest(this, 'delete', theUrl);
+    var audiences = {};
+    var audienceUsesDimension = function(audienceId) {
+      if (!audiences[audienceId]) audiences[audienceId] =
+        readFresh(self, 'audiences/' + audienceId).then(function(audience) {
+          return conditionsUseDimension(audience.conditions, options.id);
+        });
+      return audiences[audienceId];
+    }
+    return this.getDimension(options.id).then(function(dimension) {
+      return runningExperiments(self, dimension.project_id, function(experiment) {
+        return Promise.reduce(experiment.audience_ids || [], function(used, audienceId) {
+          return used || audienceUsesDimension(audienceId);
+        }, false);
+      });
+    }).then(function(experiments) {
+      if (experiments.length) refuseDeletion("Dimension", options.id, experiments);
+      return sendRequest(self, 'delete', theUrl);
     });
-  }
+  })
 
 ////////////////
 //6. Goals
@@ -808,22 +1810,578 @@ OptimizelyClient.prototype.getDimensions = function(options){
  * @description Retrieves a list of Goals in a project from Optimizely
  * @param {object} options An object with the following properties:
  * {
- *   @param {string|number} id The Project ID
+ *   @param {string|number} project_id The Project ID
+ *   @param {string|number} [id] Deprecated alias of project_id
+ *   @param {number} [page] 1 based page number
+ *   @param {number} [per_page] Number of items per page
  * }
  * @return {promise} A promise fulfilled with an array of all Goals
  *
  */
-OptimizelyClient.prototype.getGoals = function(options){
+OptimizelyClient.prototype.getGoals = Promise.method(function(options){
+    if (typeof options === "string" || typeof options === "number") options = {
+      project_id: options
+    };
+    options = options || {};
+    var projectId = projectScope("getGoals", options);
+    var theUrl = this.baseUrl + 'projects/' + projectId + '/goals/' +
+      pagination.queryString(options);
+    return sendRequest(this, 'get', theUrl)
+      .then(toModel(this, models.Goal));
+  })
+/** @const*/
+var goalTypes = {
+  click: 0,
+  custom_event: 1,
+  engagement: 2,
+  pageview: 3,
+  revenue: 4
+};
+
+/**
+ * @private
+ * @description Resolve a goal_type given as a name or number to its number
+ * @throws {ValidationError} If the goal type is unknown
+ */
+var goalTypeNumber = function(goalType) {
+  if (goalTypes.hasOwnProperty(goalType)) return goalTypes[goalType];
+  var number = Number(goalType);
+  if (goalType === "" || goalType === null || isNaN(number) ||
+    _.values(goalTypes).indexOf(number) === -1) {
+    throw new ValidationError("Invalid: options.goal_type " + goalType);
+  }
+  return number;
+}
+
+/**
+ * @private
+ * @description Check the fields each goal type depends on
+ * @param {object} goal
+ * @param {boolean} [partial = false] Only check the fields the goal has, as
+ * the others keep their current value
+ * @throws {ValidationError} If a required field is missing or malformed
+ */
+var validateGoal = function(goal, partial) {
+  var checked = function(field) {
+    return !partial || goal[field] !== undefined;
+  }
+  if (goal.goal_type === goalTypes.click && checked("selector") &&
+    !goal.selector) {
+    throw new ValidationError("Required: options.selector for click goals");
+  }
+  if (goal.goal_type === goalTypes.custom_event && checked("event") &&
+    !goal.event) {
+    throw new ValidationError("Required: options.event for custom event goals");
+  }
+  if (goal.goal_type === goalTypes.pageview && checked("urls")) {
+    if (!Array.isArray(goal.urls) || !goal.urls.length) {
+      throw new ValidationError("Required: options.urls for pageview goals");
+    }
+    if (goal.url_match_types &&
+      goal.url_match_types.length !== goal.urls.length) {
+      throw new ValidationError(
+        "Invalid: options.url_match_types must match options.urls");
+    }
+  }
+}
+
+/**
+ * @public
+ * @name  OptimizelyClient#getGoal
+ * @since  0.7.0
+ * @description Read a goal in Optimizely
+ * @param {object} options An object with the following properties:
+ * {
+ *   @param {string|number} id The Goal ID
+ * }
+ * @return {promise} A promise fulfilled with the Goal
+ * @note the id may be passed as a string/number instead of a member of an object
+ */
+OptimizelyClient.prototype.getGoal = Promise.method(function(options) {
     if (typeof options === "string" || typeof options === "number") options = {
       id: options
     };
     options = options || {};
-    options.id = options.id || "";
-    if (!options.id) throw new Error("required: options.id");
-    var theUrl = this.baseUrl + 'projects/' + options.id + '/goals/';
-    return rest.getAsync(theUrl, {
-      method: 'get',
-      headers: this.baseHeaders
+    if (!options.id) throw new ValidationError("Required: options.id");
+    var theUrl = this.baseUrl + 'goals/' + options.id;
+    return sendRequest(this, 'get', theUrl)
+      .then(toModel(this, models.Goal));
+  })
+/**
+ * @public
+ * @name  OptimizelyClient#createGoal
+ * @since  0.7.0
+ * @description Create a Goal in Optimizely
+ * @param {object} options An object with the following properties:
+ * {
+ *   @param {String}        project_id
+ *   @param {String}        title
+ *   @param {String|Number} goal_type "click|custom_event|engagement|pageview|revenue"
+ *                          or the matching number 0-4
+ *   @param {String}        [selector] Required for click goals
+ *   @param {String}        [event] Required for custom event goals
+ *   @param {Array}         [urls] Required for pageview goals
+ *   @param {Array}         [url_match_types] One per url
+ *   @param {Array}         [experiment_ids]
+ * }
+ * @return {promise} A promise fulfilled with the created Goal
+ */
+OptimizelyClient.prototype.createGoal = Promise.method(function(options) {
+    options = options || {};
+    if (!options.project_id) throw new ValidationError("Required: options.project_id");
+    if (!options.title) throw new ValidationError("Required: options.title");
+    if (options.goal_type === undefined) throw new ValidationError(
+      "Required: options.goal_type");
+    var optionsToSend = _.omit(options, "project_id");
+    optionsToSend.goal_type = goalTypeNumber(options.goal_type);
+    validateGoal(optionsToSend);
+    var postUrl = this.baseUrl + 'projects/' + options.project_id + '/goals/';
+    return sendRequest(this, 'post', postUrl, optionsToSend)
+      .then(toModel(this, models.Goal));
+  })
+/**
+ * @public
+ * @name  OptimizelyClient#updateGoal
+ * @since  0.7.0
+ * @description Update an existing Goal in Optimizely. When goal_type is
+ * passed, the fields that type depends on are validated as for createGoal:
+ * those passed, or with readModifyWrite the goal they are merged into.
+ * @param {object} options An object with the following properties:
+ * {
+ *   @param {String} id
+ *   @param See createGoal
+ * }
+ * @note only the fields passed are sent. Pass {boolean} readModifyWrite to
+ * merge them over the current resource instead, and {string} last_modified
+ * to reject the update if the resource changed since it was read.
+ * @return {promise} A promise fulfilled with the updated Goal
+ */
+OptimizelyClient.prototype.updateGoal = Promise.method(function(options) {
+    options = options || {};
+    if (!options.id) throw new ValidationError("Required: options.id");
+    var optionsToSend = _.clone(options);
+    if (options.goal_type === undefined) {
+      return updateResource(this, 'goals', optionsToSend, models.Goal);
+    }
+    optionsToSend.goal_type = goalTypeNumber(options.goal_type);
+    return updateResource(this, 'goals', optionsToSend, models.Goal,
+      validateGoal);
+  })
+/**
+ * @public
+ * @name  OptimizelyClient#deleteGoal
+ * @since  0.7.0
+ * @description Delete a Goal in Optimizely
+ * @param {object} options An object with the following properties:
+ * {
+ *   @param {string|number} id
+ * }
+ * @note the id may be passed as a string/number instead of a member of an object
+ */
+OptimizelyClient.prototype.deleteGoal = Promise.method(function(options) {
+    if (typeof options === "string" || typeof options === "number") options = {
+      id: options
+    };
+    options = options || {};
+    if (!options.id) throw new ValidationError("Required: options.id");
+    var theUrl = this.baseUrl + 'goals/' + options.id;
+    return sendRequest(this, 'delete', theUrl);
+  })
+/**
+ * @public
+ * @name  OptimizelyClient#attachGoal
+ * @since  0.7.0
+ * @description Add an experiment to the experiment_ids of a Goal
+ * @param {object} options An object with the following properties:
+ * {
+ *   @param {string|number} id The Goal ID
+ *   @param {string|number} experiment_id
+ * }
+ * @return {promise} A promise fulfilled with the updated Goal
+ */
+OptimizelyClient.prototype.attachGoal = Promise.method(function(options) {
+    options = options || {};
+    if (!options.id) throw new ValidationError("Required: options.id");
+    if (!options.experiment_id) throw new ValidationError(
+      "Required: options.experiment_id");
+    var self = this;
+    return readFresh(this, 'goals/' + options.id).then(function(goal) {
+      var experimentIds = (goal.experiment_ids || []).map(String);
+      if (experimentIds.indexOf(String(options.experiment_id)) > -1) {
+        return toModel(self, models.Goal)(goal);
+      }
+      return self.updateGoal({
+        id: options.id,
+        experiment_ids: (goal.experiment_ids || []).concat(options.experiment_id)
+      });
     });
+  })
+/**
+ * @public
+ * @name  OptimizelyClient#detachGoal
+ * @since  0.7.0
+ * @description Remove an experiment from the experiment_ids of a Goal
+ * @param {object} options An object with the following properties:
+ * {
+ *   @param {string|number} id The Goal ID
+ *   @param {string|number} experiment_id
+ * }
+ * @return {promise} A promise fulfilled with the updated Goal
+ */
+OptimizelyClient.prototype.detachGoal = Promise.method(function(options) {
+    options = options || {};
+    if (!options.id) throw new ValidationError("Required: options.id");
+    if (!options.experiment_id) throw new ValidationError(
+      "Required: options.experiment_id");
+    var self = this;
+    return readFresh(this, 'goals/' + options.id).then(function(goal) {
+      var experimentIds = goal.experiment_ids || [];
+      var remaining = experimentIds.filter(function(experimentId) {
+        return String(experimentId) !== String(options.experiment_id);
+      });
+      if (remaining.length === experimentIds.length) {
+        return toModel(self, models.Goal)(goal);
+      }
+      return self.updateGoal({
+        id: options.id,
+        experiment_ids: remaining
+      });
+    });
+  })
+
+////////////////
+//7. Pagination
+////////////////
+/** @const*/
+var paginatedLists = {
+  Projects: null,
+  Experiments: "project_id",
+  Audiences: "project_id",
+  Dimensions: "project_id",
+  Goals: "project_id"
+};
+
+/**
+ * @public
+ * @name OptimizelyClient#iterateProjects
+ * @name OptimizelyClient#iterateExperiments
+ * @name OptimizelyClient#iterateAudiences
+ * @name OptimizelyClient#iterateDimensions
+ * @name OptimizelyClient#iterateGoals
+ * @since 0.7.0
+ * @description Stream every item of a list, one page at a time
+ * @param {object} options The options of the matching get* method, with an
+ * optional {number} per_page (default 100)
+ * @return {object} An async iterator
+ * @note the project id may be passed as a string/number instead of a member of an object
+ * @example
+ * for await (const experiment of oc.iterateExperiments(projectId)) {
+ *   //...
+ * }
+ */
+/**
+ * @public
+ * @name OptimizelyClient#getAllProjects
+ * @name OptimizelyClient#getAllExperiments
+ * @name OptimizelyClient#getAllAudiences
+ * @name OptimizelyClient#getAllDimensions
+ * @name OptimizelyClient#getAllGoals
+ * @since 0.7.0
+ * @description Retrieve every item of a list, following pages until exhausted
+ * @param {object} options As for the matching iterate* method
+ * @return {promise} A promise fulfilled with an array of every item
+ */
+Object.keys(paginatedLists).forEach(function(list) {
+  var idKey = paginatedLists[list];
+  var iterateName = "iterate" + list;
+  OptimizelyClient.prototype[iterateName] = function(options) {
+    var client = this;
+    if (idKey && (typeof options === "string" || typeof options === "number")) {
+      var id = options;
+      options = {};
+      options[idKey] = id;
+    }
+    options = options || {};
+    return pagination.iterate(function(page, perPage) {
+      return client["get" + list](_.assign({}, options, {
+        page: page,
+        per_page: perPage
+      }));
+    }, options.per_page);
   }
+  OptimizelyClient.prototype["getAll" + list] = Promise.method(function(options) {
+    return pagination.collect(this[iterateName](options));
+  })
+});
+
+////////////////
+//8. Snapshots
+////////////////
+/**
+ * @public
+ * @name OptimizelyClient#exportProject
+ * @since 0.7.0
+ * @description Export a project, its experiments with their variations,
+ * audiences, dimensions and goals as one versioned JSON document
+ * @param {object} options An object with the following properties:
+ * {
+ *   @param {string|number} id The Project ID
+ * }
+ * @note the id may be passed as a string/number instead of a member of an object
+ * @return {promise} A promise fulfilled with the snapshot (see snapshot.js)
+ * @example
+ * oc.exportProject(projectId).then(function(snapshot){
+ *   fs.writeFileSync("backup.json", JSON.stringify(snapshot));
+ * });
+ */
+OptimizelyClient.prototype.exportProject = Promise.method(function(options) {
+    if (typeof options === "string" || typeof options === "number") options = {
+      id: options
+    };
+    options = options || {};
+    if (!options.id) throw new ValidationError("Required: options.id");
+    return snapshot.exportProject(this, options.id);
+  })
+/**
+ * @public
+ * @name OptimizelyClient#importProject
+ * @since 0.7.0
+ * @description Recreate an exported project's resources in another project,
+ * mapping the ids they reference to the new ones
+ * @param {object} theSnapshot A document from exportProject
+ * @param {object} options An object with the following properties:
+ * {
+ *   @param {string|number} targetProjectId
+ * }
+ * @return {promise} A promise fulfilled with a report of the created ids and
+ * of what could not be recreated (see snapshot.js)
+ */
+OptimizelyClient.prototype.importProject = Promise.method(function(
+  theSnapshot, options) {
+    return snapshot.importProject(this, theSnapshot, options);
+  })
+
+////////////////
+//9. Templates
+////////////////
+/**
+ * @public
+ * @name OptimizelyClient#cloneExperiment
+ * @since 0.7.0
+ * @description Copy an experiment with its variations (description,
+ * js_component, weight), custom_css/custom_js, audiences and goal
+ * attachments, into its own project or another one. In another project,
+ * audiences and goals are matched by name and title (see templates.clone).
+ * @param {string|number} experimentId
+ * @param {object} [options] An object with the following properties:
+ * {
+ *   @param {string|number} [targetProjectId] Defaults to the experiment's
+ *   @param {object} [overrides] Fields set on the copy instead, e.g.
+ *                   description, edit_url, variations, audience_ids or
+ *                   goal_ids
+ * }
+ * @return {promise} A promise fulfilled with the new experiment
+ * @example
+ * oc.cloneExperiment(experimentId, {
+ *   targetProjectId: otherProjectId,
+ *   overrides: {description: "Hero copy (pricing page)"}
+ * });
+ */
+OptimizelyClient.prototype.cloneExperiment = Promise.method(function(
+  experimentId, options) {
+    return templates.clone(this, experimentId, options)
+      .then(toModel(this, models.Experiment));
+  })
+/**
+ * @public
+ * @name OptimizelyClient#createExperimentFromTemplate
+ * @since 0.7.0
+ * @description Create an experiment from a definition whose strings hold
+ * {{placeholders}}: experiment fields with audience_ids, an array of
+ * variations and an array of goal_ids. The same template can be
+ * instantiated any number of times with different values.
+ * @param {object} template An experiment definition, e.g. from
+ * templates.fromExperiment with placeholders added
+ * @param {object} options An object with the following properties:
+ * {
+ *   @param {string|number} project_id
+ *   @param {object} [values] Values by placeholder name
+ * }
+ * @return {promise} A promise fulfilled with the new experiment
+ * @throws {ValidationError} If a placeholder has no value
+ * @example
+ * var template = {
+ *   description: "Headline on {{page}}",
+ *   edit_url: "https://example.com/{{page}}",
+ *   variations: [
+ *     {description: "Original", weight: 5000},
+ *     {description: "{{copy}}", weight: 5000,
+ *      js_component: "$('{{selector}}').text('{{copy}}');"}
+ *   ]
+ * };
+ * oc.createExperimentFromTemplate(template, {
+ *   project_id: projectId,
+ *   values: {page: "pricing", selector: "h1", copy: "Start free"}
+ * });
+ */
+OptimizelyClient.prototype.createExperimentFromTemplate = Promise.method(
+  function(template, options) {
+    return templates.instantiate(this, template, options)
+      .then(toModel(this, models.Experiment));
+  })
+
+////////////////
+//10. Middleware
+////////////////
+/**
+ * @public
+ * @name OptimizelyClient#use
+ * @since 0.7.0
+ * @description Add a middleware that every request of this client passes
+ * through, including each retry, after the cache and before the scheduler.
+ * It is called with the request ({string} method, {string} url, {object}
+ * headers and the serialized {string} body) and a next function. Call next,
+ * with the request or a replacement, to send it on: the returned promise is
+ * fulfilled with the response ({number} status, {object} headers and {*}
+ * body) or rejected with the error. Resolve with the response, changed or
+ * not, or with one of your own to short-circuit the request; a status of
+ * 400 or above rejects the call with the matching OptimizelyError.
+ * Middleware added first runs outermost.
+ * @param {function} fn The middleware
+ * @return {OptimizelyClient} The client, for chaining
+ * @throws {ValidationError} If fn is not a function
+ * @example
+ * oc.use(function(request, next) {
+ *   var started = Date.now();
+ *   request.headers["X-Trace-Id"] = traceId();
+ *   return next(request).then(function(response) {
+ *     console.log(request.method, request.url, response.status,
+ *       Date.now() - started + "ms");
+ *     return response;
+ *   });
+ * });
+ */
+OptimizelyClient.prototype.use = function(fn) {
+  middleware.validate(fn);
+  this.middleware.push(fn);
+  return this;
+}
+
+////////////////
+//11. Cancellation
+////////////////
+/** @const*/
+var callOptions = ["signal", "timeout"];
+
+/**
+ * @private
+ * @description A client for one call: requests made through it, including
+ * those of the methods the call uses, share the signals of every enclosing
+ * call and the earliest of their deadlines
+ * @param {OptimizelyClient} client The client called, possibly scoped
+ * @param {Array} signals The signals passed to the call
+ * @param {*} [timeout] The timeout passed to the call
+ * @return {OptimizelyClient}
+ */
+var scopeCall = function(client, signals, timeout) {
+  var outer = client.callContext;
+  var context = {
+    client: outer ? outer.client : client,
+    signals: (outer ? outer.signals : []).concat(signals),
+    deadline: outer && outer.deadline,
+    error: outer && outer.error
+  };
+  signals.forEach(function(signal) {
+    if (!abort.isSignal(signal)) context.error = new ValidationError(
+      "options.signal must be an AbortSignal");
+  });
+  if (timeout !== undefined && !(typeof timeout === "number" && timeout >= 0)) {
+    context.error = new ValidationError(
+      "options.timeout must be a number of milliseconds");
+  } else if (timeout) {
+    context.deadline = abort.earliest(context.deadline, {
+      at: Date.now() + timeout,
+      timeout: timeout
+    });
+  }
+  var scoped = Object.create(context.client);
+  scoped.callContext = context;
+  return scoped;
+}
+
+/**
+ * @private
+ * @description Wrap a method so that it accepts the signal and timeout
+ * options in any of its object arguments
+ */
+var cancellable = function(method) {
+  return function() {
+    var signals = [];
+    var timeout;
+    var args = _.map(arguments, function(arg) {
+      if (!_.isPlainObject(arg) || !_.has(arg, "signal") && !_.has(arg,
+          "timeout")) return arg;
+      if (arg.signal !== undefined) signals.push(arg.signal);
+      if (arg.timeout !== undefined) timeout = arg.timeout;
+      return _.omit(arg, callOptions);
+    });
+    if (!signals.length && timeout === undefined) return method.apply(this, args);
+    return method.apply(scopeCall(this, signals, timeout), args);
+  };
+}
+
+/**
+ * @public
+ * @name OptimizelyClient#*
+ * @since 0.7.0
+ * @description Every method but use accepts two more options in its object
+ * arguments: an AbortSignal-like {object} 'signal' (see
+ * OptimizelyClient.AbortController) that cancels the call, and a {number}
+ * 'timeout' in milliseconds for the whole call. Either way, the requests
+ * in flight are aborted, the queued ones are dropped, no more are sent and
+ * the promise is rejected with an AbortError or a TimeoutError. Requests of
+ * a call that already completed are not undone.
+ * @example
+ * var controller = new AbortController();
+ * oc.exportProjectResults({project_id: projectId, signal: controller.signal})
+ *   .then(null, function(error) {
+ *     if (error instanceof OptimizelyClient.AbortError) //...
+ *   });
+ * controller.abort();
+ * oc.getResults({id: experimentId, timeout: 30000});
+ */
+Object.keys(OptimizelyClient.prototype).forEach(function(name) {
+  if (name === "use") return;
+  OptimizelyClient.prototype[name] = cancellable(OptimizelyClient.prototype[name]);
+});
+
+////////////////
+//12. Errors
+////////////////
+/**
+ * @public
+ * @description Expose the error hierarchy so callers can use instanceof
+ * @example
+ * oc.getProject(id).then(null, function(error){
+ *   if (error instanceof OptimizelyClient.NotFoundError) //...
+ * })
+ */
+Object.keys(errors).forEach(function(name) {
+  OptimizelyClient[name] = errors[name];
+});
+OptimizelyClient.RequestScheduler = RequestScheduler;
+OptimizelyClient.ResponseCache = ResponseCache;
+OptimizelyClient.HttpTransport = HttpTransport;
+OptimizelyClient.AbortController = abort.AbortController;
+OptimizelyClient.unscoped = abort.unscoped;
+OptimizelyClient.models = models;
+OptimizelyClient.GOAL_TYPES = goalTypes;
+OptimizelyClient.FakeServer = require("./FakeServer");
+OptimizelyClient.sync = require("./sync");
+OptimizelyClient.snapshot = snapshot;
+OptimizelyClient.templates = templates;
+OptimizelyClient.code = code;
+OptimizelyClient.Conditions = Conditions;
+OptimizelyClient.analysis = analysis;
+OptimizelyClient.exporters = exporters;
 module.exports = OptimizelyClient;
@@ -0,0 +1,177 @@
+/**
+ * @fileOverview AbortSignal-style cancellation and deadlines for the
+ * requests of an Optimizely Client
+ * @name Optimizely Abort
+ */
+
+/** @access private */
+var _ = require("lodash");
+var errors = require("./errors");
+
+/**
+ * @public
+ * @Constructor
+ * @name AbortSignal
+ * @since 0.7.0
+ * @description A minimal AbortSignal: {boolean} aborted, the {*} reason it
+ * was aborted with, and "abort" listeners. The client accepts this or the
+ * AbortSignal of Node and browsers.
+ */
+var AbortSignal = function() {
+  this.aborted = false;
+  this.reason = undefined;
+  this.listeners = [];
+}
+
+/**
+ * @public
+ * @name AbortSignal#addEventListener
+ * @param {string} type "abort"
+ * @param {function} listener
+ */
+AbortSignal.prototype.addEventListener = function(type, listener) {
+  if (type === "abort") this.listeners.push(listener);
+}
+
+/**
+ * @public
+ * @name AbortSignal#removeEventListener
+ * @param {string} type "abort"
+ * @param {function} listener
+ */
+AbortSignal.prototype.removeEventListener = function(type, listener) {
+  if (type === "abort") this.listeners = _.without(this.listeners, listener);
+}
+
+/**
+ * @public
+ * @Constructor
+ * @name AbortController
+ * @since 0.7.0
+ * @description Creates a signal and aborts it, for Node versions without a
+ * global AbortController
+ * @example
+ * var controller = new OptimizelyClient.AbortController();
+ * oc.getResults({id: experimentId, signal: controller.signal});
+ * controller.abort();
+ */
+var AbortController = function() {
+  this.signal = new AbortSignal();
+}
+
+/**
+ * @public
+ * @name AbortController#abort
+ * @description Abort the signal, once; later calls do nothing
+ * @param {*} [reason] Passed on as the cause of the AbortError
+ */
+AbortController.prototype.abort = function(reason) {
+  var signal = this.signal;
+  if (signal.aborted) return;
+  signal.aborted = true;
+  signal.reason = reason;
+  signal.listeners.slice().forEach(function(listener) {
+    listener.call(signal, {
+      type: "abort"
+    });
+  });
+}
+
+/**
+ * @public
+ * @name abort.isSignal
+ * @param {*} value
+ * @return {boolean} Whether value can be listened to like an AbortSignal
+ */
+var isSignal = function(value) {
+  return !!value && typeof value.addEventListener === "function" &&
+    typeof value.removeEventListener === "function" && "aborted" in value;
+}
+
+/**
+ * @public
+ * @name abort.link
+ * @since 0.7.0
+ * @description Create a signal for one request, aborted with an AbortError
+ * when one of the caller's signals aborts, or with a TimeoutError at the
+ * deadline
+ * @param {Array} signals The AbortSignals of the call
+ * @param {object} [deadline] {number} at (a Date.now() time) and the
+ * {number} timeout it was set from, in milliseconds
+ * @param {object} request {string} method and {string} url, for messages
+ * @return {AbortController} A controller whose signal's reason is the
+ * error, with a dispose method to call once the request settles
+ */
+var link = function(signals, deadline, request) {
+  var controller = new AbortController();
+  var cleanUps = [];
+  var details = {
+    method: request.method,
+    url: request.url
+  };
+  signals.forEach(function(signal) {
+    var onAbort = function() {
+      controller.abort(new errors.AbortError(request.method + " " +
+        request.url + " was aborted", _.assign({
+          cause: signal.reason
+        }, details)));
+    }
+    if (signal.aborted) return onAbort();
+    signal.addEventListener("abort", onAbort);
+    cleanUps.push(function() {
+      signal.removeEventListener("abort", onAbort);
+    });
+  });
+  if (deadline && !controller.signal.aborted) {
+    var timer = setTimeout(function() {
+      controller.abort(new errors.TimeoutError(request.method + " " +
+        request.url + " timed out after " + deadline.timeout + "ms", details));
+    }, Math.max(0, deadline.at - Date.now()));
+    cleanUps.push(function() {
+      clearTimeout(timer);
+    });
+  }
+  controller.dispose = function() {
+    cleanUps.forEach(function(cleanUp) {
+      cleanUp();
+    });
+  };
+  return controller;
+}
+
+/**
+ * @public
+ * @name abort.earliest
+ * @description The earlier of two deadlines
+ * @param {object} [a] {number} at and {number} timeout
+ * @param {object} [b]
+ * @return {object} a or b
+ */
+var earliest = function(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return b.at < a.at ? b : a;
+}
+
+/**
+ * @public
+ * @name abort.unscoped
+ * @since 0.7.0
+ * @description The client a call was made on, outside of the signals and
+ * deadline the call scoped it to. Work that must outlive a cancelled call,
+ * like undoing its writes, runs through it.
+ * @param {OptimizelyClient} client A client, possibly scoped to a call
+ * @return {OptimizelyClient}
+ */
+var unscoped = function(client) {
+  return client.callContext ? client.callContext.client : client;
+}
+
+module.exports = {
+  AbortController: AbortController,
+  AbortSignal: AbortSignal,
+  isSignal: isSignal,
+  link: link,
+  earliest: earliest,
+  unscoped: unscoped
+};
@@ -0,0 +1,350 @@
+/**
+ * @fileOverview Statistical analysis of experiment results: lift, confidence
+ * intervals, p-values, probability to beat baseline, power and verdicts
+ * @name Optimizely Analysis
+ */
+
+/** @access private */
+var _ = require("lodash");
+var errors = require("./errors");
+
+/**
+ * @public
+ * @name analysis.DEFAULTS
+ * @description The thresholds analyze uses unless told otherwise
+ */
+var DEFAULTS = {
+  // Two sided confidence of intervals and of the significance test
+  confidenceLevel: 0.95,
+  // Power used for sample size estimates
+  power: 0.8,
+  // Relative lift the sample size estimate should be able to detect
+  minimumDetectableEffect: 0.05,
+  // "frequentist" decides on the p-value, "bayesian" on the probability
+  // to beat baseline
+  method: "frequentist",
+  // Probability to beat baseline above which a variation wins, and below
+  // one minus which it loses, with method "bayesian"
+  probabilityThreshold: 0.95,
+  // Visitors every arm needs before any verdict other than inconclusive
+  minimumVisitors: 100
+};
+
+/** @const*/
+var VERDICTS = {
+  baseline: "baseline",
+  winner: "winner",
+  loser: "loser",
+  inconclusive: "inconclusive"
+};
+
+/**
+ * @public
+ * @name analysis.normalCdf
+ * @description The standard normal cumulative distribution function
+ * (Abramowitz and Stegun 7.1.26, absolute error below 1.5e-7)
+ * @param {number} z
+ * @return {number}
+ */
+var normalCdf = function(z) {
+  var x = Math.abs(z) / Math.SQRT2;
+  var t = 1 / (1 + 0.3275911 * x);
+  var erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 +
+    t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * @public
+ * @name analysis.normalQuantile
+ * @description The inverse of normalCdf (Acklam's rational approximation,
+ * relative error below 1.2e-9)
+ * @param {number} p A probability in (0, 1)
+ * @return {number}
+ */
+var normalQuantile = function(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  var a = [-39.69683028665376, 220.9460984245205, -275.9285104469687,
+    138.3577518672690, -30.66479806614716, 2.506628277459239
+  ];
+  var b = [-54.47609879822406, 161.5858368580409, -155.6989798598866,
+    66.80131188771972, -13.28068155288572
+  ];
+  var c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838,
+    -2.549732539343734, 4.374664141464968, 2.938163982698783
+  ];
+  var d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996,
+    3.754408661907416
+  ];
+  var q, r;
+  if (p < 0.02425) {
+    q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - 0.02425) return -normalQuantile(1 - p);
+  q = p - 0.5;
+  r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * @private
+ * @description log(Gamma(x)) by the Lanczos approximation
+ */
+var logGamma = function(x) {
+  var g = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  var y = x;
+  var tmp = x + 5.5;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  var series = 1.000000000190015;
+  for (var i = 0; i < g.length; i++) series += g[i] / ++y;
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+/**
+ * @private
+ * @description log(Beta(a, b))
+ */
+var logBeta = function(a, b) {
+  return logGamma(a) + logGamma(b) - logGamma(a + b);
+}
+
+/** @const*/
+var EXACT_BAYES_LIMIT = 10000;
+
+/**
+ * @public
+ * @name analysis.probabilityToBeat
+ * @description The probability that the variation's true conversion rate
+ * exceeds the baseline's, under uniform Beta(1, 1) priors. Exact while the
+ * variation has fewer than 10000 conversions, normal approximation beyond.
+ * @param {object} baseline {number} visitors and {number} conversions
+ * @param {object} variation {number} visitors and {number} conversions
+ * @return {number}
+ */
+var probabilityToBeat = function(baseline, variation) {
+  var alphaA = baseline.conversions + 1;
+  var betaA = baseline.visitors - baseline.conversions + 1;
+  var alphaB = variation.conversions + 1;
+  var betaB = variation.visitors - variation.conversions + 1;
+  if (alphaB > EXACT_BAYES_LIMIT) {
+    var mean = function(alpha, beta) {
+      return alpha / (alpha + beta);
+    }
+    var variance = function(alpha, beta) {
+      return alpha * beta / (Math.pow(alpha + beta, 2) * (alpha + beta + 1));
+    }
+    return normalCdf((mean(alphaB, betaB) - mean(alphaA, betaA)) /
+      Math.sqrt(variance(alphaA, betaA) + variance(alphaB, betaB)));
+  }
+  var total = 0;
+  var constant = logBeta(alphaA, betaA);
+  for (var i = 0; i < alphaB; i++) {
+    total += Math.exp(logBeta(alphaA + i, betaB + betaA) - Math.log(betaB + i) -
+      logBeta(1 + i, betaB) - constant);
+  }
+  return Math.min(1, Math.max(0, total));
+}
+
+/**
+ * @public
+ * @name analysis.sampleSize
+ * @description Visitors needed in each arm for a two sided test of two
+ * proportions to detect a relative lift of the baseline rate
+ * @param {number} baselineRate
+ * @param {number} relativeLift e.g. 0.05 for +5%
+ * @param {object} [options] {number} confidenceLevel and {number} power,
+ * see DEFAULTS
+ * @return {number} Visitors per arm, rounded up; Infinity when the rate
+ * or lift is 0
+ */
+var sampleSize = function(baselineRate, relativeLift, options) {
+  options = _.defaults({}, options, DEFAULTS);
+  var p1 = baselineRate;
+  var p2 = Math.min(1, p1 * (1 + relativeLift));
+  var delta = Math.abs(p2 - p1);
+  if (!delta) return Infinity;
+  var zAlpha = normalQuantile(1 - (1 - options.confidenceLevel) / 2);
+  var zBeta = normalQuantile(options.power);
+  var pooled = (p1 + p2) / 2;
+  return Math.ceil(Math.pow(zAlpha * Math.sqrt(2 * pooled * (1 - pooled)) +
+    zBeta * Math.sqrt(p1 * (1 - p1) + p2 * (1 - p2)), 2) / (delta * delta));
+}
+
+/**
+ * @public
+ * @name analysis.power
+ * @description The probability a two sided test of two proportions at the
+ * given sizes detects a true difference between the two rates
+ * @param {object} baseline {number} visitors and {number} conversions, or
+ * a {number} rate
+ * @param {object} variation As baseline
+ * @param {object} [options] {number} confidenceLevel, see DEFAULTS
+ * @return {number}
+ */
+var power = function(baseline, variation, options) {
+  options = _.defaults({}, options, DEFAULTS);
+  var p1 = rateOf(baseline);
+  var p2 = rateOf(variation);
+  var n1 = baseline.visitors;
+  var n2 = variation.visitors;
+  if (!n1 || !n2) return 0;
+  var pooled = (p1 * n1 + p2 * n2) / (n1 + n2);
+  var nullError = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+  var error = Math.sqrt(p1 * (1 - p1) / n1 + p2 * (1 - p2) / n2);
+  if (!error) return p1 === p2 ? 0 : 1;
+  var zAlpha = normalQuantile(1 - (1 - options.confidenceLevel) / 2);
+  return normalCdf((Math.abs(p2 - p1) - zAlpha * nullError) / error);
+}
+
+/**
+ * @private
+ * @description The conversion rate of an arm
+ */
+var rateOf = function(arm) {
+  if (arm.rate !== undefined) return arm.rate;
+  return arm.visitors ? arm.conversions / arm.visitors : 0;
+}
+
+/**
+ * @private
+ * @description Compare one variation to the baseline of its goal
+ */
+var compare = function(baseline, variation, options) {
+  var p1 = rateOf(baseline);
+  var p2 = rateOf(variation);
+  var n1 = baseline.visitors;
+  var n2 = variation.visitors;
+  var difference = p2 - p1;
+  var z = normalQuantile(1 - (1 - options.confidenceLevel) / 2);
+  var error = n1 && n2 ? Math.sqrt(p1 * (1 - p1) / n1 + p2 * (1 - p2) / n2) : NaN;
+  var pooled = (baseline.conversions + variation.conversions) / (n1 + n2);
+  var pooledError = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+  var pValue = pooledError ? 2 * (1 - normalCdf(Math.abs(difference) /
+    pooledError)) : (difference ? 0 : 1);
+  var interval = {
+    lower: difference - z * error,
+    upper: difference + z * error
+  };
+  return {
+    absolute_lift: difference,
+    relative_lift: p1 ? difference / p1 : null,
+    confidence_interval: interval,
+    relative_confidence_interval: p1 ? {
+      lower: interval.lower / p1,
+      upper: interval.upper / p1
+    } : null,
+    p_value: pValue,
+    probability_to_beat_baseline: probabilityToBeat(baseline, variation),
+    power: power(baseline, variation, options)
+  };
+}
+
+/**
+ * @private
+ * @description winner, loser or inconclusive under the configured method
+ */
+var verdictOf = function(summary, baseline, options) {
+  if (summary.visitors < options.minimumVisitors ||
+    baseline.visitors < options.minimumVisitors) return VERDICTS.inconclusive;
+  if (options.method === "bayesian") {
+    if (summary.probability_to_beat_baseline >= options.probabilityThreshold) {
+      return VERDICTS.winner;
+    }
+    if (summary.probability_to_beat_baseline <= 1 - options.probabilityThreshold) {
+      return VERDICTS.loser;
+    }
+    return VERDICTS.inconclusive;
+  }
+  if (summary.p_value >= 1 - options.confidenceLevel) return VERDICTS.inconclusive;
+  return summary.absolute_lift > 0 ? VERDICTS.winner : VERDICTS.loser;
+}
+
+/**
+ * @public
+ * @name analysis.analyze
+ * @since 0.7.0
+ * @description Summarize a getResults or getStats payload per goal and
+ * variation. Every variation is compared to the baseline of its goal: the
+ * row's baseline_id, else options.baselineId, else the goal's first row.
+ * @param {Array} rows The payload of getResults or getStats
+ * @param {object} [options] Thresholds overriding DEFAULTS, and
+ * {string} [baselineId]
+ * @return {Array} One summary per goal: {string} goal_id, goal_name,
+ * baseline_id, {number} sample_size per variation to detect the
+ * minimumDetectableEffect, and {Array} variations each with variation_id,
+ * variation_name, visitors, conversions, conversion_rate, is_baseline and,
+ * for non baselines, absolute_lift, relative_lift, confidence_interval and
+ * relative_confidence_interval {lower, upper}, p_value,
+ * probability_to_beat_baseline, power, visitors_remaining to reach
+ * sample_size, and verdict (baseline, winner, loser or inconclusive)
+ * @throws {ValidationError} If rows is not an array of results
+ */
+var analyze = function(rows, options) {
+  options = _.defaults({}, options, DEFAULTS);
+  if (!Array.isArray(rows)) throw new errors.ValidationError(
+    "Expected an array of results rows");
+  if (!(options.confidenceLevel > 0 && options.confidenceLevel < 1)) {
+    throw new errors.ValidationError("confidenceLevel must be between 0 and 1");
+  }
+  var goalIds = _.uniq(rows.map(function(row) {
+    return String(row.goal_id);
+  }));
+  return goalIds.map(function(goalId) {
+    var goalRows = rows.filter(function(row) {
+      return String(row.goal_id) === goalId;
+    });
+    var baselineId = String(goalRows[0].baseline_id || options.baselineId ||
+      goalRows[0].variation_id);
+    var arms = goalRows.map(function(row) {
+      var visitors = Number(row.visitors) || 0;
+      var conversions = Number(row.conversions) || 0;
+      return {
+        variation_id: String(row.variation_id),
+        variation_name: row.variation_name,
+        visitors: visitors,
+        conversions: conversions,
+        conversion_rate: visitors ? conversions / visitors : 0,
+        is_baseline: String(row.variation_id) === baselineId
+      };
+    });
+    var baseline = _.find(arms, "is_baseline");
+    if (!baseline) throw new errors.ValidationError("Goal " + goalId +
+      " has no row for baseline " + baselineId);
+    var needed = sampleSize(baseline.conversion_rate,
+      options.minimumDetectableEffect, options);
+    arms.forEach(function(arm) {
+      if (arm.is_baseline) {
+        arm.verdict = VERDICTS.baseline;
+        return;
+      }
+      _.assign(arm, compare(baseline, arm, options));
+      arm.visitors_remaining = isFinite(needed) ?
+        Math.max(0, needed - Math.min(arm.visitors, baseline.visitors)) : null;
+      arm.verdict = verdictOf(arm, baseline, options);
+    });
+    return {
+      goal_id: goalRows[0].goal_id,
+      goal_name: goalRows[0].goal_name,
+      baseline_id: baselineId,
+      sample_size: isFinite(needed) ? needed : null,
+      variations: arms
+    };
+  });
+}
+
+module.exports = {
+  DEFAULTS: DEFAULTS,
+  VERDICTS: VERDICTS,
+  normalCdf: normalCdf,
+  normalQuantile: normalQuantile,
+  probabilityToBeat: probabilityToBeat,
+  sampleSize: sampleSize,
+  power: power,
+  analyze: analyze
+};
@@ -0,0 +1,272 @@
+/**
+ * @fileOverview Response cache for GET requests, with per-resource TTLs,
+ * ETag revalidation and invalidation on writes
+ * @name Optimizely Cache
+ */
+
+/** @access private */
+var Promise = require("bluebird");
+var crypto = require("crypto");
+var _ = require("lodash");
+
+/** @const*/
+var DEFAULT_MAX_ENTRIES = 500;
+
+/** @const*/
+var DEFAULT_TTL = 60000;
+
+/**
+ * @public
+ * @Constructor
+ * @name MemoryStore
+ * @since 0.7.0
+ * @description The default cache store: an in-memory map evicting the least
+ * recently used entry beyond a maximum size. Any object with the same four
+ * methods can be used instead, e.g. one backed by Redis or disk; each
+ * method may return a promise.
+ * @param {object} [options] An object with the following properties:
+ * {
+ *   @param {number} [max = 500] Entries kept
+ * }
+ */
+var MemoryStore = function(options) {
+  this.max = (options && options.max) || DEFAULT_MAX_ENTRIES;
+  this.entries = new Map();
+}
+
+/**
+ * @public
+ * @name MemoryStore#get
+ * @param {string} key
+ * @return {object|undefined} The entry
+ */
+MemoryStore.prototype.get = function(key) {
+  if (!this.entries.has(key)) return undefined;
+  var entry = this.entries.get(key);
+  // Re-insert so iteration order is least recently used first
+  this.entries.delete(key);
+  this.entries.set(key, entry);
+  return entry;
+}
+
+/**
+ * @public
+ * @name MemoryStore#set
+ * @param {string} key
+ * @param {object} entry A JSON serializable entry
+ */
+MemoryStore.prototype.set = function(key, entry) {
+  this.entries.delete(key);
+  this.entries.set(key, entry);
+  while (this.entries.size > this.max) {
+    this.entries.delete(this.entries.keys().next().value);
+  }
+}
+
+/**
+ * @public
+ * @name MemoryStore#del
+ * @param {string} key
+ */
+MemoryStore.prototype.del = function(key) {
+  this.entries.delete(key);
+}
+
+/**
+ * @public
+ * @name MemoryStore#keys
+ * @return {Array} Every key
+ */
+MemoryStore.prototype.keys = function() {
+  return Array.from(this.entries.keys());
+}
+
+/**
+ * @private
+ * @description The path of a URL below the API base url, without its query
+ */
+var pathOf = function(url, baseUrl) {
+  var path = url.indexOf(baseUrl) === 0 ? url.substr(baseUrl.length) : url;
+  return path.split("?")[0].replace(/^\/+|\/+$/g, "");
+}
+
+/**
+ * @private
+ * @description The resource a path addresses: "projects/1/experiments" and
+ * "experiments/2" are experiments, "experiments/2/results" is results
+ */
+var resourceOf = function(path) {
+  var segments = path.split("/");
+  return segments[(segments.length - 1) - (segments.length - 1) % 2];
+}
+
+/**
+ * @private
+ * @description The store key of a GET, below a digest of the identity it
+ * was sent with so that clients with different tokens never share entries
+ */
+var keyOf = function(url, identity) {
+  var prefix = identity === undefined ? "" : crypto.createHash("sha256")
+    .update(String(identity)).digest("hex").slice(0, 16) + " ";
+  return prefix + "GET " + url;
+}
+
+/**
+ * @private
+ * @description The URL of a store key
+ */
+var urlOfKey = function(key) {
+  return key.replace(/^(\S+ )?GET /, "");
+}
+
+/**
+ * @public
+ * @Constructor
+ * @name ResponseCache
+ * @since 0.7.0
+ * @description Caches GET responses by URL and by the identity (the API
+ * token) they were read with. A fresh entry is answered without a request;
+ * a stale one carrying an ETag is revalidated with If-None-Match, and kept
+ * on 304 Not Modified.
+ * @param {object} [options] An object with the following properties:
+ * {
+ *   @param {object} [store] A store with get, set, del and keys methods,
+ *                   by default a MemoryStore
+ *   @param {number} [max = 500] Entries kept by the default store
+ *   @param {number|object} [ttl = 60000] Milliseconds entries stay fresh, or
+ *                   an object of them per resource (projects, experiments,
+ *                   variations, audiences, dimensions, goals, results,
+ *                   stats) with a default
+ * }
+ * @example
+ * var oc = new OptimizelyClient(API_TOKEN, {
+ *   cache: {ttl: {default: 60000, results: 300000, stats: 300000}}
+ * });
+ */
+var ResponseCache = function(options) {
+  options = options || {};
+  this.store = options.store || new MemoryStore({
+    max: options.max
+  });
+  this.ttls = options.ttl && typeof options.ttl === "object" ? options.ttl : {
+    "default": options.ttl === undefined || options.ttl === null ? DEFAULT_TTL :
+      options.ttl
+  };
+}
+
+/**
+ * @public
+ * @name ResponseCache#ttl
+ * @param {string} resource
+ * @return {number} The TTL of a resource, in milliseconds
+ */
+ResponseCache.prototype.ttl = function(resource) {
+  if (this.ttls[resource] !== undefined) return this.ttls[resource];
+  return this.ttls["default"] === undefined ? DEFAULT_TTL : this.ttls["default"];
+}
+
+/**
+ * @public
+ * @name ResponseCache#fetch
+ * @description Answer a GET from the cache, or load and remember it
+ * @param {string} url The absolute URL
+ * @param {string} baseUrl The API base url, to tell the resource
+ * @param {function} load Called with the ETag to revalidate, if any;
+ * returns a promise for {number} status, {string} [etag] and {*} body
+ * @param {string} [identity] Who reads, e.g. the API token; only stored as
+ * a digest
+ * @return {promise} A promise fulfilled with a copy of the body
+ */
+ResponseCache.prototype.fetch = function(url, baseUrl, load, identity) {
+  var self = this;
+  var key = keyOf(url, identity);
+  var ttl = this.ttl(resourceOf(pathOf(url, baseUrl)));
+  return Promise.resolve(this.store.get(key)).then(function(entry) {
+    if (entry && entry.expires > Date.now()) return entry;
+    return load(entry && entry.etag).then(function(response) {
+      var fresh = response.status === 304 && entry ? _.assign({}, entry) : {
+        body: response.body,
+        etag: response.etag
+      };
+      fresh.expires = Date.now() + ttl;
+      return Promise.resolve(self.store.set(key, fresh)).then(function() {
+        return fresh;
+      });
+    });
+  }).then(function(entry) {
+    return _.cloneDeep(entry.body);
+  });
+}
+
+/**
+ * @private
+ * @description The paths of the resources owning a resource body
+ */
+var ownersOf = function(body) {
+  var owners = [];
+  if (!body || typeof body !== "object") return owners;
+  if (body.project_id) owners.push("projects/" + body.project_id);
+  if (body.experiment_id) owners.push("experiments/" + body.experiment_id);
+  return owners;
+}
+
+/**
+ * @public
+ * @name ResponseCache#invalidate
+ * @description Forget what a write to a URL may have changed: the resource
+ * and everything below it, its parent (the owner of a collection created
+ * into, or the project or experiment a resource belongs to, read from the
+ * written or the cached resource), and every cached list of resources of
+ * the same type, whoever read them
+ * @param {string} url The absolute URL written to
+ * @param {string} baseUrl The API base url
+ * @param {*} [body] The response to the write
+ * @param {string} [identity] Who wrote, as passed to fetch
+ * @return {promise}
+ */
+ResponseCache.prototype.invalidate = function(url, baseUrl, body, identity) {
+  var store = this.store;
+  var path = pathOf(url, baseUrl);
+  var segments = path.split("/");
+  var resource = resourceOf(path);
+  var parents = ownersOf(body);
+  // A write to a collection (a create) changes the resource owning it
+  if (segments.length % 2 && segments.length > 1) {
+    parents.push(segments.slice(0, -1).join("/"));
+  }
+  var affects = function(cachedPath) {
+    var cachedSegments = cachedPath.split("/");
+    var isList = cachedSegments.length % 2 === 1;
+    return cachedPath === path || cachedPath.indexOf(path + "/") === 0 ||
+      parents.indexOf(cachedPath) > -1 ||
+      (isList && cachedSegments[cachedSegments.length - 1] === resource);
+  }
+  return Promise.resolve(store.get(keyOf(url, identity))).then(function(cached) {
+    parents = parents.concat(ownersOf(cached && cached.body));
+    return store.keys();
+  }).then(function(keys) {
+    return Promise.all(keys.filter(function(key) {
+      return affects(pathOf(urlOfKey(key), baseUrl));
+    }).map(function(key) {
+      return store.del(key);
+    }));
+  });
+}
+
+/**
+ * @public
+ * @name ResponseCache#clear
+ * @description Forget every entry
+ * @return {promise}
+ */
+ResponseCache.prototype.clear = function() {
+  var store = this.store;
+  return Promise.resolve(store.keys()).then(function(keys) {
+    return Promise.all(keys.map(function(key) {
+      return store.del(key);
+    }));
+  });
+}
+
+ResponseCache.MemoryStore = MemoryStore;
+module.exports = ResponseCache;
@@ -0,0 +1,440 @@
+/**
+ * @fileOverview The optimizely command line interface
+ * @name Optimizely CLI
+ */
+
+/** @access private */
+var Promise = require("bluebird");
+var fs = require("fs");
+var path = require("path");
+var _ = require("lodash");
+var OptimizelyClient = require("./OptimizelyClient");
+var sync = require("./sync");
+
+/** @const*/
+var USAGE = [
+  "Usage: optimizely <resource> <action> [id] [--field value ...]",
+  "",
+  "  projects     list | get <id> | create | update <id>",
+  "  experiments  list <projectId> | get <id> | create <projectId> |",
+  "               update <id> | delete <id> | start <id> | pause <id> |",
+  "               diff <id> [--custom_js_file f.js] [--custom_css_file f.css]",
+  "  variations   list <experimentId> | get <id> | create <experimentId> |",
+  "               update <id> | delete <id> |",
+  "               diff <id> --js_component_file <file.js> |",
+  "               push <id> --js_component_file <file.js> [--dry-run]",
+  "  audiences    list <projectId> | get <id> | create <projectId> |",
+  "               update <id> | delete <id>",
+  "  dimensions   list <projectId> | get <id> | create <projectId> |",
+  "               update <id> | delete <id>",
+  "  goals        list <projectId> | get <id> | create <projectId> |",
+  "               update <id> | delete <id>",
+  "  results      <experimentId> [--dimension id[=value]] [--stats] [--analyze]",
+  "               [--format csv|tsv|ndjson]",
+  "  results      --project <projectId> [--format csv|tsv|ndjson] [--out file]",
+  "  sync         plan <file> [--prune] | apply <file> [--prune] [--dry-run]",
+  "",
+  "Options:",
+  "  --token <token>  API token (default: $OPTIMIZELY_API_TOKEN or the",
+  "                   token in ~/.optimizelyrc)",
+  "  --url <url>      API base url",
+  "  --oauth2         Send the token as an OAuth2 bearer token",
+  "  --timeout <ms>   Give up on a request after this many milliseconds",
+  "  --json           Print JSON instead of a table",
+  "  --<field> <value> Any other option is sent as a resource field",
+  ""
+].join("\n");
+
+/** @const*/
+var EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  usage: 2,
+  ValidationError: 2,
+  AuthenticationError: 3,
+  NotFoundError: 4,
+  ConflictError: 5,
+  RateLimitError: 6,
+  ServerError: 7,
+  NetworkError: 8,
+  TimeoutError: 9
+};
+
+/** @const*/
+var BOOLEAN_FLAGS = ["json", "oauth2", "stats", "analyze", "force", "help",
+  "prune", "dry-run"
+];
+
+/** @const*/
+var GLOBAL_FLAGS = ["token", "url", "oauth2", "json", "stats", "analyze",
+  "dimension", "config", "timeout"
+];
+
+/**
+ * @private
+ * @description Resource/action to client method table. `id` names the
+ * option the positional argument fills; `run` replaces the method call for
+ * commands without a matching client method; `raw` commands print their
+ * text result as it is.
+ */
+var commands = {
+  projects: {
+    list: {method: "getAllProjects"},
+    get: {method: "getProject", id: "id"},
+    create: {method: "createProject"},
+    update: {method: "updateProject", id: "id"}
+  },
+  experiments: {
+    list: {method: "getAllExperiments", id: "project_id"},
+    get: {method: "getExperiment", id: "id"},
+    create: {method: "createExperiment", id: "project_id"},
+    update: {method: "updateExperiment", id: "id"},
+    "delete": {method: "deleteExperiment", id: "id"},
+    start: {method: "startExperiment", id: "id"},
+    pause: {method: "pauseExperiment", id: "id"},
+    diff: {method: "diffExperiment", id: "id", raw: true}
+  },
+  variations: {
+    list: {method: "getVariations", id: "experiment_id"},
+    get: {method: "getVariation", id: "id"},
+    create: {method: "createVariation", id: "experiment_id"},
+    update: {method: "updateVariation", id: "id"},
+    "delete": {method: "deleteVariation", id: "id"},
+    diff: {method: "diffVariation", id: "id", raw: true},
+    push: {
+      id: "id",
+      raw: true,
+      run: function(client, options) {
+        var dryRun = options["dry-run"];
+        var fields = _.omit(options, "dry-run");
+        // Show what will be overwritten before writing it
+        return client.pushVariation(_.assign({}, fields, {
+          dryRun: true
+        })).then(function(diff) {
+          if (dryRun || !diff) return diff;
+          return client.pushVariation(fields).then(function() {
+            return diff;
+          });
+        });
+      }
+    }
+  },
+  audiences: {
+    list: {method: "getAllAudiences", id: "project_id"},
+    get: {method: "getAudience", id: "id"},
+    create: {method: "createAudience", id: "project_id"},
+    update: {method: "updateAudience", id: "id"},
+    "delete": {method: "deleteAudience", id: "id"}
+  },
+  dimensions: {
+    list: {method: "getAllDimensions", id: "project_id"},
+    get: {method: "getDimension", id: "id"},
+    create: {method: "createDimension", id: "project_id"},
+    update: {method: "updateDimension", id: "id"},
+    "delete": {method: "deleteDimension", id: "id"}
+  },
+  goals: {
+    list: {method: "getAllGoals", id: "project_id"},
+    get: {method: "getGoal", id: "id"},
+    create: {method: "createGoal", id: "project_id"},
+    update: {method: "updateGoal", id: "id"},
+    "delete": {method: "deleteGoal", id: "id"}
+  },
+  sync: {
+    plan: {
+      id: "file",
+      run: function(client, options) {
+        return sync.plan(client, sync.load(options.file), {
+          prune: options.prune
+        }).then(function(thePlan) {
+          return thePlan.actions;
+        });
+      }
+    },
+    apply: {
+      id: "file",
+      run: function(client, options) {
+        return sync.plan(client, sync.load(options.file), {
+          prune: options.prune
+        }).then(function(thePlan) {
+          return sync.apply(client, thePlan, {
+            dryRun: options["dry-run"]
+          });
+        }).then(function(report) {
+          if (report.failed) throw new OptimizelyClient.OptimizelyError(
+            report.failed + " sync action(s) failed", {
+              body: report
+            });
+          return report.actions;
+        });
+      }
+    }
+  }
+};
+
+/**
+ * @private
+ * @description Turn a flag value into the JSON type it spells
+ */
+var coerce = function(value) {
+  if (value === "true") return true;
+  if (value === "false") return false;
+  if (/^-?\d+$/.test(value) && value.length < 16) return Number(value);
+  if (/^[\[{]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return value;
+    }
+  }
+  return value;
+}
+
+/**
+ * @public
+ * @name cli.parseArgs
+ * @description Split argv into positionals and --flags
+ * @param {Array} argv Arguments, without node and the script
+ * @return {object} {Array} _ positionals and one property per flag
+ */
+var parseArgs = function(argv) {
+  var parsed = {
+    _: []
+  };
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i];
+    if (arg.indexOf("--") !== 0) {
+      parsed._.push(arg);
+      continue;
+    }
+    var name = arg.substr(2);
+    var value = true;
+    var equals = name.indexOf("=");
+    if (equals > -1) {
+      value = coerce(name.substr(equals + 1));
+      name = name.substr(0, equals);
+    } else if (i + 1 < argv.length && argv[i + 1].indexOf("--") !== 0 &&
+      BOOLEAN_FLAGS.indexOf(name) === -1) {
+      value = coerce(argv[++i]);
+    }
+    parsed[name] = value;
+  }
+  return parsed;
+}
+
+/**
+ * @private
+ * @description Read the JSON config file, if there is one
+ */
+var readConfig = function(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return {};
+    throw e;
+  }
+}
+
+/**
+ * @public
+ * @name cli.formatTable
+ * @description Render resources as an aligned text table of their scalar
+ * fields
+ * @param {object|Array} data
+ * @return {string}
+ */
+var formatTable = function(data) {
+  var rows = [].concat(data === undefined || data === null || data === "" ? [] : data);
+  if (!rows.length) return "";
+  if (typeof rows[0] !== "object") return rows.join("\n") + "\n";
+  var columns = [];
+  rows.forEach(function(row) {
+    Object.keys(row).forEach(function(key) {
+      if (row[key] !== null && typeof row[key] === "object") return;
+      if (columns.indexOf(key) === -1) columns.push(key);
+    });
+  });
+  var cells = [columns].concat(rows.map(function(row) {
+    return columns.map(function(column) {
+      return row[column] === undefined || row[column] === null ? "" :
+        String(row[column]).replace(/\s+/g, " ");
+    });
+  }));
+  var widths = columns.map(function(column, index) {
+    return Math.max.apply(Math, cells.map(function(line) {
+      return line[index].length;
+    }));
+  });
+  return cells.map(function(line) {
+    return line.map(function(cell, index) {
+      return cell + new Array(widths[index] - cell.length + 1).join(" ");
+    }).join("  ").replace(/\s+$/, "");
+  }).join("\n") + "\n";
+}
+
+/**
+ * @public
+ * @name cli.exitCode
+ * @description Map a rejection to a process exit code
+ * @param {Error} error
+ * @return {number}
+ */
+var exitCode = function(error) {
+  return EXIT_CODES[error && error.name] || EXIT_CODES.error;
+}
+
+/**
+ * @private
+ * @description Mark a call whose result is a document to print as it is
+ */
+var raw = function(call) {
+  call.raw = true;
+  return call;
+}
+
+/**
+ * @private
+ * @description Build the client call for parsed arguments
+ * @return {function} Called with the client, returns a promise
+ */
+var resolveCommand = function(args) {
+  var resource = args._[0];
+  if (resource === "results") {
+    if (!args._[1] && !args.project) return null;
+    var options = {
+      id: args._[1]
+    };
+    if (typeof args.dimension === "string" || typeof args.dimension === "number") {
+      // id=value for one segment, id alone for every known value
+      var pair = String(args.dimension).split("=");
+      options.dimension = {
+        id: pair[0]
+      };
+      if (pair.length > 1) options.dimension.value = pair.slice(1).join("=");
+    }
+    if (args.project) return raw(function(client) {
+      return client.exportProjectResults({
+        project_id: args.project,
+        format: args.format,
+        stats: !!args.stats,
+        dimension: options.dimension,
+        file: args.out
+      }).then(function(document) {
+        return args.out ? "" : document;
+      });
+    });
+    if (args.format) return raw(function(client) {
+      var results = args.stats ? client.getStats(options) :
+        client.getResults(options);
+      return results.then(function(rows) {
+        var segmented = !Array.isArray(rows);
+        return OptimizelyClient.exporters.format(
+          OptimizelyClient.exporters.flatten(segmented ? rows.rows : rows, {
+            experiment: {
+              id: options.id
+            },
+            dimension: segmented ? undefined : options.dimension
+          }), args.format);
+      });
+    });
+    if (args.analyze) return function(client) {
+      options.stats = !!args.stats;
+      return client.getAnalysis(options).then(function(data) {
+        if (args.json) return data;
+        // One row per segment, goal and variation for the table
+        var segments = Array.isArray(data) ? [{
+          analysis: data
+        }] : data.segments;
+        return _.flatten(segments.map(function(segment) {
+          return _.flatten((segment.analysis || []).map(function(goal) {
+            return goal.variations.map(function(variation) {
+              var row = segment.dimension ? {
+                dimension_value: segment.dimension.value
+              } : {};
+              return _.assign(row, {
+                goal_name: goal.goal_name
+              }, _.pick(variation, ["variation_name", "visitors",
+                "conversions", "conversion_rate", "relative_lift", "p_value",
+                "probability_to_beat_baseline", "verdict"
+              ]));
+            });
+          }), true);
+        }), true);
+      });
+    };
+    return function(client) {
+      var results = args.stats ? client.getStats(options) :
+        client.getResults(options);
+      return results.then(function(data) {
+        // Segmented results print as one table of every segment's rows
+        return args.json || Array.isArray(data) ? data : data.rows;
+      });
+    };
+  }
+  var command = commands[resource] && commands[resource][args._[1]];
+  if (!command) return null;
+  var fields = _.omit(args, GLOBAL_FLAGS.concat("_"));
+  if (command.id) {
+    if (args._[2] === undefined) return null;
+    fields[command.id] = args._[2];
+  }
+  var call = function(client) {
+    return command.run ? command.run(client, fields) :
+      client[command.method](fields);
+  };
+  return command.raw ? raw(call) : call;
+}
+
+/**
+ * @public
+ * @name cli.run
+ * @description Run the CLI
+ * @param {Array} argv Arguments, without node and the script
+ * @param {object} env Environment variables
+ * @param {object} io An object with {stream} stdout and {stream} stderr
+ * @return {promise} A promise fulfilled with the exit code
+ */
+var run = function(argv, env, io) {
+  var args = parseArgs(argv);
+  var call = resolveCommand(args);
+  if (args.help || !call) {
+    (args.help ? io.stdout : io.stderr).write(USAGE);
+    return Promise.resolve(args.help ? EXIT_CODES.ok : EXIT_CODES.usage);
+  }
+  return Promise.try(function() {
+    var configFile = args.config || env.OPTIMIZELY_CONFIG ||
+      path.join(env.HOME || env.USERPROFILE || ".", ".optimizelyrc");
+    var config = readConfig(configFile);
+    var token = args.token || env.OPTIMIZELY_API_TOKEN || config.token;
+    if (!token) throw new OptimizelyClient.AuthenticationError(
+      "No API token: pass --token, set OPTIMIZELY_API_TOKEN or add a token to " +
+      configFile);
+    var client = new OptimizelyClient(token, {
+      url: args.url || env.OPTIMIZELY_API_URL || config.url,
+      OAuth2: !!(args.oauth2 || config.OAuth2),
+      retry: config.retry,
+      scheduler: config.scheduler,
+      transport: config.transport,
+      timeout: args.timeout || config.timeout
+    });
+    return call(client);
+  }).then(function(data) {
+    io.stdout.write(call.raw ? data : args.json ?
+      JSON.stringify(data, null, 2) + "\n" : formatTable(data));
+    return EXIT_CODES.ok;
+  }, function(error) {
+    io.stderr.write("Error: " + error.message + "\n");
+    if (args.json && error.body) {
+      io.stderr.write(JSON.stringify(error.body, null, 2) + "\n");
+    }
+    return exitCode(error);
+  });
+}
+
+module.exports = {
+  EXIT_CODES: EXIT_CODES,
+  parseArgs: parseArgs,
+  formatTable: formatTable,
+  exitCode: exitCode,
+  run: run
+};
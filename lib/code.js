@@ -0,0 +1,271 @@
+/**
+ * @fileOverview Variation and experiment code kept in local files: reading,
+ * syntax checks and unified diffs against the live code
+ * @name Optimizely Code
+ */
+
+/** @access private */
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+var errors = require("./errors");
+
+/** @const*/
+var LANGUAGES = {
+  ".js": "javascript",
+  ".css": "css"
+};
+
+/**
+ * @private
+ * @description The 1-based line of an offset in a source
+ */
+var lineAt = function(source, offset) {
+  return source.slice(0, offset).split("\n").length;
+}
+
+/**
+ * @private
+ * @description Compile JavaScript without running it
+ */
+var checkJavaScript = function(source, filename) {
+  try {
+    new vm.Script(source, {
+      filename: filename
+    });
+  } catch (e) {
+    if (!(e instanceof SyntaxError)) throw e;
+    // The stack of a compile error starts with "filename:line"
+    var line = /:(\d+)\s*$/.exec(String(e.stack).split("\n")[0]);
+    throw new errors.ValidationError(filename + (line ? ":" + line[1] : "") +
+      ": " + e.message, {
+        cause: e
+      });
+  }
+}
+
+/**
+ * @private
+ * @description Check that the comments, strings and braces of a stylesheet
+ * are closed. This is not a full CSS parser.
+ */
+var checkCss = function(source, filename) {
+  var fail = function(offset, message) {
+    throw new errors.ValidationError(filename + ":" + lineAt(source, offset) +
+      ": " + message);
+  }
+  var open = [];
+  for (var i = 0; i < source.length; i++) {
+    var character = source[i];
+    if (character === "/" && source[i + 1] === "*") {
+      var end = source.indexOf("*/", i + 2);
+      if (end === -1) fail(i, "Unterminated comment");
+      i = end + 1;
+    } else if (character === '"' || character === "'") {
+      var start = i;
+      while (++i < source.length && source[i] !== character) {
+        if (source[i] === "\\") i++;
+        else if (source[i] === "\n") fail(start, "Unterminated string");
+      }
+      if (i >= source.length) fail(start, "Unterminated string");
+    } else if (character === "{") {
+      open.push(i);
+    } else if (character === "}") {
+      if (!open.length) fail(i, "Unexpected }");
+      open.pop();
+    }
+  }
+  if (open.length) fail(open.pop(), "Unclosed {");
+}
+
+/**
+ * @public
+ * @name code.check
+ * @since 0.7.0
+ * @description Check the syntax of code without running it: JavaScript is
+ * compiled, CSS has its comments, strings and braces matched
+ * @param {string} source
+ * @param {string} language "javascript" or "css"
+ * @param {string} [filename = "code"] For messages
+ * @throws {ValidationError} Naming the file and line of a syntax error
+ */
+var check = function(source, language, filename) {
+  filename = filename || "code";
+  if (language === "javascript") return checkJavaScript(source, filename);
+  if (language === "css") return checkCss(source, filename);
+  throw new errors.ValidationError("Unknown language: " + language);
+}
+
+/**
+ * @public
+ * @name code.readFile
+ * @since 0.7.0
+ * @description Read code from a .js or .css file and check its syntax
+ * @param {string} file
+ * @param {string} [language] "javascript" or "css", to require a matching
+ * extension
+ * @return {string} The code
+ * @throws {ValidationError} For other extensions and syntax errors
+ */
+var readFile = function(file, language) {
+  var extension = path.extname(file).toLowerCase();
+  var fileLanguage = LANGUAGES[extension];
+  if (!fileLanguage) throw new errors.ValidationError(
+    "Expected a .js or .css file: " + file);
+  if (language && language !== fileLanguage) throw new errors.ValidationError(
+    "Expected " + language + " code, got " + file);
+  var source = fs.readFileSync(file, "utf8");
+  check(source, fileLanguage, file);
+  return source;
+}
+
+/**
+ * @private
+ * @description The lines of a text, ignoring a final newline
+ */
+var linesOf = function(text) {
+  text = String(text || "").replace(/\r\n/g, "\n");
+  if (!text) return [];
+  return text.replace(/\n$/, "").split("\n");
+}
+
+/**
+ * @private
+ * @description Line by line edit script between two texts, from their
+ * longest common subsequence: [{op: " "|"-"|"+", line}]
+ */
+var edits = function(from, to) {
+  // Trim the common head and tail so the table covers only what changed
+  var head = 0;
+  while (head < from.length && head < to.length && from[head] === to[head]) head++;
+  var tail = 0;
+  while (tail < from.length - head && tail < to.length - head &&
+    from[from.length - 1 - tail] === to[to.length - 1 - tail]) tail++;
+  var a = from.slice(head, from.length - tail);
+  var b = to.slice(head, to.length - tail);
+  var lengths = [];
+  for (var i = a.length; i >= 0; i--) {
+    lengths[i] = [];
+    for (var j = b.length; j >= 0; j--) {
+      lengths[i][j] = i === a.length || j === b.length ? 0 :
+        a[i] === b[j] ? lengths[i + 1][j + 1] + 1 :
+        Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  var script = from.slice(0, head).map(function(line) {
+    return {
+      op: " ",
+      line: line
+    };
+  });
+  i = 0;
+  j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      script.push({
+        op: " ",
+        line: a[i++]
+      });
+      j++;
+    } else if (i < a.length && (j === b.length ||
+        lengths[i + 1][j] >= lengths[i][j + 1])) {
+      script.push({
+        op: "-",
+        line: a[i++]
+      });
+    } else {
+      script.push({
+        op: "+",
+        line: b[j++]
+      });
+    }
+  }
+  return script.concat(from.slice(from.length - tail).map(function(line) {
+    return {
+      op: " ",
+      line: line
+    };
+  }));
+}
+
+/**
+ * @private
+ * @description A hunk range: start,count, with the start of an empty range
+ * being the line before it
+ */
+var range = function(start, count) {
+  return (count ? start : start - 1) + (count === 1 ? "" : "," + count);
+}
+
+/**
+ * @public
+ * @name code.diff
+ * @since 0.7.0
+ * @description Render the changes between two texts as a unified diff
+ * @param {string} from The old text, e.g. the live code
+ * @param {string} to The new text, e.g. the local file
+ * @param {object} [options] An object with the following properties:
+ * {
+ *   @param {string} [fromName = "a"] Label of the old text
+ *   @param {string} [toName = "b"] Label of the new text
+ *   @param {number} [context = 3] Unchanged lines around each change
+ * }
+ * @return {string} The diff, or "" when the texts have the same lines
+ */
+var diff = function(from, to, options) {
+  options = options || {};
+  var context = options.context === undefined ? 3 : options.context;
+  var script = edits(linesOf(from), linesOf(to));
+  var changed = [];
+  script.forEach(function(edit, index) {
+    if (edit.op !== " ") changed.push(index);
+  });
+  if (!changed.length) return "";
+  // Group changes whose context overlaps into hunks of script indexes
+  var hunks = [];
+  changed.forEach(function(index) {
+    var last = hunks[hunks.length - 1];
+    if (last && index - context <= last.end + context + 1) {
+      last.end = index;
+    } else {
+      hunks.push({
+        start: index,
+        end: index
+      });
+    }
+  });
+  var output = ["--- " + (options.fromName || "a"), "+++ " +
+    (options.toName || "b")
+  ];
+  hunks.forEach(function(hunk) {
+    var first = Math.max(0, hunk.start - context);
+    var last = Math.min(script.length - 1, hunk.end + context);
+    // Line numbers of the hunk's first line in each text
+    var fromLine = 1;
+    var toLine = 1;
+    script.slice(0, first).forEach(function(edit) {
+      if (edit.op !== "+") fromLine++;
+      if (edit.op !== "-") toLine++;
+    });
+    var lines = script.slice(first, last + 1);
+    var fromCount = lines.filter(function(edit) {
+      return edit.op !== "+";
+    }).length;
+    var toCount = lines.filter(function(edit) {
+      return edit.op !== "-";
+    }).length;
+    output.push("@@ -" + range(fromLine, fromCount) + " +" +
+      range(toLine, toCount) + " @@");
+    lines.forEach(function(edit) {
+      output.push(edit.op + edit.line);
+    });
+  });
+  return output.join("\n") + "\n";
+}
+
+module.exports = {
+  LANGUAGES: LANGUAGES,
+  check: check,
+  readFile: readFile,
+  diff: diff
+};
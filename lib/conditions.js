@@ -0,0 +1,327 @@
+/**
+ * @fileOverview Build, parse and validate audience conditions
+ * @name Optimizely Conditions
+ */
+
+/** @access private */
+var _ = require("lodash");
+var errors = require("./errors");
+
+/** @const*/
+var OPERATORS = ["and", "or", "not"];
+
+/** @const*/
+var URL_MATCH_TYPES = ["exact", "simple", "substring", "regex"];
+
+/**
+ * @public
+ * @name Conditions.TYPES
+ * @description The condition types, each with the fields it requires and,
+ * where restricted, the match types and values it accepts.
+ * See http://developers.optimizely.com/rest/conditions/
+ */
+var TYPES = {
+  browser: {
+    fields: ["value"]
+  },
+  campaign: {
+    fields: ["value"],
+    matchTypes: ["exact", "substring"]
+  },
+  code: {
+    fields: ["value"]
+  },
+  cookies: {
+    fields: ["name"]
+  },
+  custom_tag: {
+    fields: ["name", "value"]
+  },
+  dimension: {
+    fields: ["id", "value"]
+  },
+  event: {
+    fields: ["value"]
+  },
+  ip: {
+    fields: ["value"]
+  },
+  language: {
+    fields: ["value"]
+  },
+  location: {
+    fields: ["value"]
+  },
+  platform: {
+    fields: ["value"]
+  },
+  query: {
+    fields: ["name"]
+  },
+  referrer: {
+    fields: ["value"],
+    matchTypes: URL_MATCH_TYPES
+  },
+  url: {
+    fields: ["value"],
+    matchTypes: URL_MATCH_TYPES
+  },
+  visitor: {
+    fields: ["value"],
+    values: ["new", "returning"]
+  }
+};
+
+/**
+ * @private
+ * @description Shared methods of conditions and groups, so trees can be
+ * built fluently: Conditions.url("/pricing").and(Conditions.visitor("new"))
+ */
+var Node = function() {}
+Node.prototype.and = function() {
+  return new Group("and", [this].concat([].slice.call(arguments)));
+}
+Node.prototype.or = function() {
+  return new Group("or", [this].concat([].slice.call(arguments)));
+}
+Node.prototype.not = function() {
+  return new Group("not", [this]);
+}
+/**
+ * @return {string} The conditions as the JSON string the API stores
+ */
+Node.prototype.toString = function() {
+  return JSON.stringify(this);
+}
+
+/**
+ * @public
+ * @Constructor
+ * @name Conditions.Condition
+ * @since 0.7.0
+ * @description A single condition, e.g. {type: "cookies", name: "x"}
+ * @param {object} fields The condition's type, name, value, match_type, id
+ */
+var Condition = function(fields) {
+  _.assign(this, fields);
+}
+Condition.prototype = Object.create(Node.prototype);
+Condition.prototype.constructor = Condition;
+Condition.prototype.toJSON = function() {
+  return _.assign({}, this);
+}
+
+/**
+ * @public
+ * @Constructor
+ * @name Conditions.Group
+ * @since 0.7.0
+ * @description An and, or or not of conditions and groups
+ * @param {string} operator One of and, or, not
+ * @param {Array} operands
+ */
+var Group = function(operator, operands) {
+  this.operator = operator;
+  this.operands = operands.map(function(operand, index) {
+    return toTree(operand, operator + "[" + (index + 1) + "]");
+  });
+}
+Group.prototype = Object.create(Node.prototype);
+Group.prototype.constructor = Group;
+Group.prototype.toJSON = function() {
+  return [this.operator].concat(this.operands.map(function(operand) {
+    return operand.toJSON();
+  }));
+}
+
+/**
+ * @private
+ * @description A group builder for an operator
+ */
+var group = function(operator) {
+  return function() {
+    return new Group(operator, [].slice.call(arguments));
+  };
+}
+
+/**
+ * @private
+ * @description A condition builder for a type, taking its fields in order
+ */
+var condition = function(type, fieldNames) {
+  return function() {
+    var fields = {
+      type: type
+    };
+    var args = arguments;
+    fieldNames.forEach(function(name, index) {
+      if (args[index] !== undefined) fields[name] = args[index];
+    });
+    return new Condition(fields);
+  };
+}
+
+/**
+ * @private
+ * @description Throw a ValidationError locating the problem
+ */
+var invalid = function(path, message) {
+  throw new errors.ValidationError("Invalid audience conditions at " + path +
+    ": " + message);
+}
+
+/**
+ * @private
+ * @description Turn parsed JSON into a tree, checking its structure only
+ */
+var toTree = function(value, path) {
+  if (value instanceof Node) return value;
+  if (Array.isArray(value)) {
+    if (!value.length) invalid(path, "empty group");
+    var operands = value.slice(1).map(function(operand, index) {
+      return toTree(operand, path + "[" + (index + 1) + "]");
+    });
+    return new Group(value[0], operands);
+  }
+  if (!value || typeof value !== "object") invalid(path,
+    "expected a condition object or an operator array, got " +
+    JSON.stringify(value));
+  return new Condition(value);
+}
+
+/**
+ * @public
+ * @name Conditions.parse
+ * @since 0.7.0
+ * @description Turn audience conditions, as returned by the API, back into
+ * a tree of Condition and Group objects
+ * @param {string|Array} conditions The conditions or their JSON string
+ * @return {Group|Condition|null} The tree, or null when there are no
+ * conditions
+ * @throws {ValidationError} If the conditions are not well formed JSON
+ * conditions
+ */
+var parse = function(conditions) {
+  if (conditions instanceof Node) return conditions;
+  if (typeof conditions === "string") {
+    if (!conditions) return null;
+    try {
+      conditions = JSON.parse(conditions);
+    } catch (e) {
+      throw new errors.ValidationError(
+        "Invalid audience conditions: not JSON (" + e.message + ")");
+    }
+  }
+  if (conditions === undefined || conditions === null ||
+    (Array.isArray(conditions) && !conditions.length)) return null;
+  return toTree(conditions, "conditions");
+}
+
+/**
+ * @private
+ * @description Check one node of a tree and its operands
+ */
+var check = function(node, path) {
+  if (node instanceof Group) {
+    if (OPERATORS.indexOf(node.operator) === -1) invalid(path,
+      "unknown operator " + JSON.stringify(node.operator) + ", expected one of " +
+      OPERATORS.join(", "));
+    if (!node.operands.length) invalid(path, node.operator +
+      " needs at least one operand");
+    if (node.operator === "not" && node.operands.length !== 1) invalid(path,
+      "not takes exactly one operand");
+    node.operands.forEach(function(operand, index) {
+      check(operand, path + "[" + (index + 1) + "]");
+    });
+    return;
+  }
+  var type = TYPES[node.type];
+  if (!type) invalid(path, "unknown condition type " +
+    JSON.stringify(node.type));
+  type.fields.forEach(function(field) {
+    if (node[field] === undefined || node[field] === null || node[field] === "") {
+      invalid(path, node.type + " conditions require " + field);
+    }
+  });
+  if (node.match_type !== undefined && type.matchTypes &&
+    type.matchTypes.indexOf(node.match_type) === -1) invalid(path,
+    "unknown match_type " + JSON.stringify(node.match_type) + " for " +
+    node.type + ", expected one of " + type.matchTypes.join(", "));
+  if (type.values && type.values.indexOf(node.value) === -1) invalid(path,
+    node.type + " value must be one of " + type.values.join(", "));
+}
+
+/**
+ * @public
+ * @name Conditions.validate
+ * @since 0.7.0
+ * @description Check the operators, condition types, required fields and
+ * match types of audience conditions
+ * @param {Group|Condition|Array|string} conditions
+ * @return {Group|Condition|null} The parsed tree
+ * @throws {ValidationError} Naming the first problem and where it is
+ */
+var validate = function(conditions) {
+  var tree = parse(conditions);
+  if (tree) check(tree, "conditions");
+  return tree;
+}
+
+/**
+ * @public
+ * @name Conditions.serialize
+ * @since 0.7.0
+ * @description Validate conditions and render them in the API's format
+ * @param {Group|Condition|Array|string} conditions
+ * @return {string} The JSON string to send as an audience's conditions
+ * @throws {ValidationError}
+ */
+var serialize = function(conditions) {
+  var tree = validate(conditions);
+  return tree ? tree.toString() : "[]";
+}
+
+/**
+ * @public
+ * @name Conditions
+ * @since 0.7.0
+ * @description Builders for audience conditions. and/or/not take conditions
+ * or groups; every other builder makes a condition of the same name, taking
+ * its fields in the order listed.
+ * @example
+ * var C = OptimizelyClient.Conditions;
+ * oc.createAudience({
+ *   project_id: projectId,
+ *   name: "Returning Chrome users",
+ *   conditions: C.and(C.cookie("seen", "1"), C.not(C.browser("ie")))
+ * });
+ */
+module.exports = {
+  TYPES: TYPES,
+  OPERATORS: OPERATORS,
+  Condition: Condition,
+  Group: Group,
+  and: group("and"),
+  or: group("or"),
+  not: function(operand) {
+    return new Group("not", [operand]);
+  },
+  browser: condition("browser", ["value"]),
+  campaign: condition("campaign", ["value", "match_type"]),
+  code: condition("code", ["value"]),
+  cookie: condition("cookies", ["name", "value"]),
+  customTag: condition("custom_tag", ["name", "value"]),
+  dimension: condition("dimension", ["id", "value"]),
+  event: condition("event", ["value"]),
+  ip: condition("ip", ["value"]),
+  language: condition("language", ["value"]),
+  location: condition("location", ["value"]),
+  platform: condition("platform", ["value"]),
+  query: condition("query", ["name", "value"]),
+  referrer: condition("referrer", ["value", "match_type"]),
+  url: condition("url", ["value", "match_type"]),
+  visitor: condition("visitor", ["value"]),
+  parse: parse,
+  validate: validate,
+  serialize: serialize
+};
@@ -0,0 +1,216 @@
+/**
+ * @fileOverview Error types rejected by the Optimizely Client
+ * @name Optimizely Errors
+ */
+
+/** @access private */
+var util = require("util");
+var parseBody = require("./parse");
+
+/**
+ * @public
+ * @Constructor
+ * @name OptimizelyError
+ * @since 0.7.0
+ * @description Base class for every error produced by the client
+ * @param {string} message A human readable description of the failure
+ * @param {object} [details] An object with the following properties:
+ * {
+ *   @param {number} [status] HTTP status code of the response
+ *   @param {string} [method] HTTP method of the request
+ *   @param {string} [url] URL of the request
+ *   @param {*}      [body] Parsed response body
+ *   @param {object} [headers] Response headers
+ *   @param {string} [requestId] Request id reported by the API
+ *   @param {Error}  [cause] Underlying error, if any
+ * }
+ */
+var OptimizelyError = function(message, details) {
+  Error.call(this);
+  if (Error.captureStackTrace) Error.captureStackTrace(this, this.constructor);
+  details = details || {};
+  this.name = "OptimizelyError";
+  this.message = message || "Optimizely request failed";
+  this.status = details.status;
+  this.method = details.method;
+  this.url = details.url;
+  this.body = details.body;
+  this.headers = details.headers;
+  this.requestId = details.requestId;
+  this.cause = details.cause;
+}
+util.inherits(OptimizelyError, Error);
+
+/**
+ * @public
+ * @name AuthenticationError
+ * @description The API token was missing, invalid or not permitted (401/403)
+ */
+var AuthenticationError = function(message, details) {
+  OptimizelyError.call(this, message, details);
+  this.name = "AuthenticationError";
+}
+util.inherits(AuthenticationError, OptimizelyError);
+
+/**
+ * @public
+ * @name NotFoundError
+ * @description The requested resource does not exist (404)
+ */
+var NotFoundError = function(message, details) {
+  OptimizelyError.call(this, message, details);
+  this.name = "NotFoundError";
+}
+util.inherits(NotFoundError, OptimizelyError);
+
+/**
+ * @public
+ * @name ValidationError
+ * @description The request was rejected as invalid, either locally before
+ * being sent or by the API (400/422)
+ */
+var ValidationError = function(message, details) {
+  OptimizelyError.call(this, message, details);
+  this.name = "ValidationError";
+}
+util.inherits(ValidationError, OptimizelyError);
+
+/**
+ * @public
+ * @name ConflictError
+ * @description The request conflicts with the current state of a resource (409)
+ */
+var ConflictError = function(message, details) {
+  OptimizelyError.call(this, message, details);
+  this.name = "ConflictError";
+}
+util.inherits(ConflictError, OptimizelyError);
+
+/**
+ * @public
+ * @name RateLimitError
+ * @description The API is throttling the client (429)
+ */
+var RateLimitError = function(message, details) {
+  OptimizelyError.call(this, message, details);
+  this.name = "RateLimitError";
+}
+util.inherits(RateLimitError, OptimizelyError);
+
+/**
+ * @public
+ * @name ServerError
+ * @description The API failed to handle the request (5xx)
+ */
+var ServerError = function(message, details) {
+  OptimizelyError.call(this, message, details);
+  this.name = "ServerError";
+}
+util.inherits(ServerError, OptimizelyError);
+
+/**
+ * @public
+ * @name NetworkError
+ * @description The request never produced an HTTP response
+ */
+var NetworkError = function(message, details) {
+  OptimizelyError.call(this, message, details);
+  this.name = "NetworkError";
+}
+util.inherits(NetworkError, OptimizelyError);
+
+/**
+ * @public
+ * @name TimeoutError
+ * @description The request did not complete within the timeout of the
+ * client or of the call
+ */
+var TimeoutError = function(message, details) {
+  OptimizelyError.call(this, message, details);
+  this.name = "TimeoutError";
+}
+util.inherits(TimeoutError, OptimizelyError);
+
+/**
+ * @public
+ * @name AbortError
+ * @description The call was cancelled through its signal
+ */
+var AbortError = function(message, details) {
+  OptimizelyError.call(this, message, details);
+  this.name = "AbortError";
+}
+util.inherits(AbortError, OptimizelyError);
+
+/**
+ * @private
+ * @description Pick the error class matching an HTTP status code
+ */
+var classForStatus = function(status) {
+  if (status === 401 || status === 403) return AuthenticationError;
+  if (status === 404) return NotFoundError;
+  if (status === 400 || status === 422) return ValidationError;
+  if (status === 409) return ConflictError;
+  if (status === 429) return RateLimitError;
+  if (status >= 500) return ServerError;
+  return OptimizelyError;
+}
+
+/**
+ * @public
+ * @name OptimizelyError.fromResponse
+ * @description Build the appropriate error for a failed HTTP response
+ * @param {*} body The response body as delivered by the HTTP library
+ * @param {object} response The node http.IncomingMessage
+ * @param {object} request An object with the {string} method and {string} url
+ * @return {OptimizelyError}
+ */
+OptimizelyError.fromResponse = function(body, response, request) {
+  request = request || {};
+  var status = response && response.statusCode;
+  var headers = (response && response.headers) || {};
+  body = parseBody(body);
+  var message = (body && typeof body === "object" && body.message) ?
+    body.message :
+    "HTTP " + status + " " + request.method + " " + request.url;
+  var ErrorClass = classForStatus(status);
+  return new ErrorClass(message, {
+    status: status,
+    method: request.method,
+    url: request.url,
+    body: body,
+    headers: headers,
+    requestId: headers["x-request-id"] ||
+      (body && typeof body === "object" ? body.uuid : undefined)
+  });
+}
+
+/**
+ * @public
+ * @name OptimizelyError.fromNetworkError
+ * @description Wrap a low level error raised before any response arrived
+ * @param {Error} err The original error
+ * @param {object} request An object with the {string} method and {string} url
+ * @return {NetworkError}
+ */
+OptimizelyError.fromNetworkError = function(err, request) {
+  request = request || {};
+  return new NetworkError((err && err.message) || "Network error", {
+    method: request.method,
+    url: request.url,
+    cause: err
+  });
+}
+
+module.exports = {
+  OptimizelyError: OptimizelyError,
+  AuthenticationError: AuthenticationError,
+  NotFoundError: NotFoundError,
+  ValidationError: ValidationError,
+  ConflictError: ConflictError,
+  RateLimitError: RateLimitError,
+  ServerError: ServerError,
+  NetworkError: NetworkError,
+  TimeoutError: TimeoutError,
+  AbortError: AbortError
+};
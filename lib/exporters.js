@@ -0,0 +1,213 @@
+/**
+ * @fileOverview Flatten results and stats payloads into CSV, TSV and
+ * newline delimited JSON
+ * @name Optimizely Exporters
+ */
+
+/** @access private */
+var _ = require("lodash");
+var errors = require("./errors");
+
+/**
+ * @public
+ * @name exporters.DEFAULT_COLUMNS
+ * @description The columns written unless options.columns says otherwise
+ */
+var DEFAULT_COLUMNS = ["experiment_id", "experiment_description",
+  "dimension_id", "dimension_value", "goal_id", "goal_name", "variation_id",
+  "variation_name", "visitors", "conversions", "conversion_rate",
+  "improvement", "statistical_significance", "status", "begin_time",
+  "end_time"
+];
+
+/**
+ * @public
+ * @name exporters.flatten
+ * @since 0.7.0
+ * @description Turn a getResults or getStats payload into one record per
+ * variation and goal, tagged with the experiment and dimension it is for
+ * @param {Array} rows The payload
+ * @param {object} [context] An object with the following properties:
+ * {
+ *   @param {object} [experiment] The experiment, for its id and description
+ *   @param {object} [dimension] {string} id and {string} value, as passed to
+ *                   getResults
+ * }
+ * @return {Array} The records
+ * @throws {ValidationError} If rows is not an array
+ */
+var flatten = function(rows, context) {
+  context = context || {};
+  if (!Array.isArray(rows)) throw new errors.ValidationError(
+    "Expected an array of results rows");
+  var tags = {};
+  if (context.experiment) {
+    tags.experiment_id = context.experiment.id;
+    tags.experiment_description = context.experiment.description;
+  }
+  if (context.dimension) {
+    tags.dimension_id = context.dimension.id;
+    tags.dimension_value = context.dimension.value;
+  }
+  return rows.map(function(row) {
+    return _.assign({}, tags, row);
+  });
+}
+
+/**
+ * @private
+ * @description Normalize options.columns to [{header, value(record)}]
+ */
+var columnsOf = function(records, columns) {
+  if (columns === "all") {
+    columns = [];
+    records.forEach(function(record) {
+      Object.keys(record).forEach(function(key) {
+        if (columns.indexOf(key) === -1) columns.push(key);
+      });
+    });
+  }
+  return (columns || DEFAULT_COLUMNS).map(function(column) {
+    if (typeof column === "string") column = {
+      header: column,
+      value: column
+    };
+    var value = column.value === undefined ? column.header : column.value;
+    return {
+      header: column.header,
+      value: typeof value === "function" ? value : function(record) {
+        return record[value];
+      }
+    };
+  });
+}
+
+/**
+ * @private
+ * @description A cell's text: nothing for null/undefined, JSON for objects
+ */
+var text = function(value) {
+  if (value === undefined || value === null) return "";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * @private
+ * @description Quote a CSV cell when it holds a delimiter, quote or newline
+ */
+var csvCell = function(value, delimiter) {
+  var cell = text(value);
+  if (cell.indexOf(delimiter) === -1 && !/["\r\n]/.test(cell)) return cell;
+  return '"' + cell.replace(/"/g, '""') + '"';
+}
+
+/**
+ * @private
+ * @description Build a delimited text exporter
+ */
+var delimited = function(delimiter, cellOf) {
+  return function(records, options) {
+    options = options || {};
+    var columns = columnsOf(records, options.columns);
+    var lines = records.map(function(record) {
+      return columns.map(function(column) {
+        return cellOf(column.value(record), delimiter);
+      }).join(delimiter);
+    });
+    if (options.header !== false) lines.unshift(_.pluck(columns, "header")
+      .map(function(header) {
+        return cellOf(header, delimiter);
+      }).join(delimiter));
+    return lines.length ? lines.join("\n") + "\n" : "";
+  };
+}
+
+/**
+ * @public
+ * @name exporters.toCsv
+ * @since 0.7.0
+ * @description Render records as RFC 4180 CSV
+ * @param {Array} records From flatten
+ * @param {object} [options] An object with the following properties:
+ * {
+ *   @param {Array|string} [columns = DEFAULT_COLUMNS] Field names, or
+ *          {string} header with a {string|function} value, or "all" for
+ *          every field of the records
+ *   @param {boolean} [header = true] Write a header line
+ * }
+ * @return {string}
+ */
+var toCsv = delimited(",", csvCell);
+
+/**
+ * @public
+ * @name exporters.toTsv
+ * @since 0.7.0
+ * @description Render records as tab separated values. Tabs and newlines
+ * inside cells become spaces.
+ * @param {Array} records From flatten
+ * @param {object} [options] As for toCsv
+ * @return {string}
+ */
+var toTsv = delimited("\t", function(value) {
+  return text(value).replace(/[\t\r\n]+/g, " ");
+});
+
+/**
+ * @public
+ * @name exporters.toNdjson
+ * @since 0.7.0
+ * @description Render records as newline delimited JSON, one object per
+ * line with the chosen columns as keys
+ * @param {Array} records From flatten
+ * @param {object} [options] As for toCsv; header is ignored
+ * @return {string}
+ */
+var toNdjson = function(records, options) {
+  options = options || {};
+  var columns = columnsOf(records, options.columns);
+  return records.map(function(record) {
+    var line = {};
+    columns.forEach(function(column) {
+      var value = column.value(record);
+      if (value !== undefined) line[column.header] = value;
+    });
+    return JSON.stringify(line) + "\n";
+  }).join("");
+}
+
+/** @const*/
+var FORMATS = {
+  csv: toCsv,
+  tsv: toTsv,
+  ndjson: toNdjson
+};
+
+/**
+ * @public
+ * @name exporters.format
+ * @since 0.7.0
+ * @description Render records in a named format
+ * @param {Array} records From flatten
+ * @param {string} [formatName = "csv"] csv, tsv or ndjson
+ * @param {object} [options] As for toCsv
+ * @return {string}
+ * @throws {ValidationError} For an unknown format
+ */
+var format = function(records, formatName, options) {
+  var exporter = FORMATS[formatName || "csv"];
+  if (!exporter) throw new errors.ValidationError("Unknown format: " +
+    formatName + ", expected one of " + Object.keys(FORMATS).join(", "));
+  return exporter(records, options);
+}
+
+module.exports = {
+  DEFAULT_COLUMNS: DEFAULT_COLUMNS,
+  FORMATS: FORMATS,
+  flatten: flatten,
+  toCsv: toCsv,
+  toTsv: toTsv,
+  toNdjson: toNdjson,
+  format: format
+};
@@ -0,0 +1,66 @@
+/**
+ * @fileOverview Request/response middleware run around every request an
+ * Optimizely Client sends
+ * @name Optimizely Middleware
+ */
+
+/** @access private */
+var Promise = require("bluebird");
+var errors = require("./errors");
+
+/**
+ * @public
+ * @name middleware.validate
+ * @description Check that a middleware can be added to a chain
+ * @param {function} middleware
+ * @throws {ValidationError} If middleware is not a function
+ */
+var validate = function(middleware) {
+  if (typeof middleware !== "function") throw new errors.ValidationError(
+    "Middleware must be a function, got " + typeof middleware);
+}
+
+/**
+ * @public
+ * @name middleware.run
+ * @since 0.7.0
+ * @description Pass a request through a chain of middleware, the first added
+ * outermost, and then to the terminal handler. Each middleware is called
+ * with the request and a next function; calling next (optionally with a
+ * replacement request) continues down the chain and returns a promise for
+ * the response, or rejects with the error. A middleware resolves with the
+ * response, which it may change or produce itself without calling next.
+ * @param {Array} chain The middleware functions
+ * @param {object} request {string} method, {string} url, {object} headers
+ * and {string} [body]
+ * @param {function} terminal Sends the request; returns a promise for the
+ * response: {number} status, {object} headers and {*} body
+ * @return {promise} A promise fulfilled with the response
+ */
+var run = function(chain, request, terminal) {
+  var dispatch = function(index, request) {
+    return Promise.try(function() {
+      if (index === chain.length) return terminal(request);
+      var called = false;
+      return chain[index](request, function(nextRequest) {
+        if (called) return Promise.reject(new errors.OptimizelyError(
+          "Middleware called next more than once"));
+        called = true;
+        return dispatch(index + 1, nextRequest || request);
+      });
+    }).then(function(response) {
+      if (!response || typeof response !== "object") throw new errors.OptimizelyError(
+        "Middleware resolved without a response", {
+          method: request.method,
+          url: request.url
+        });
+      return response;
+    });
+  }
+  return dispatch(0, request);
+}
+
+module.exports = {
+  validate: validate,
+  run: run
+};
@@ -0,0 +1,227 @@
+/**
+ * @fileOverview Model classes wrapping resources returned by the Optimizely Client
+ * @name Optimizely Models
+ */
+
+/** @access private */
+var Promise = require("bluebird");
+var util = require("util");
+var _ = require("lodash");
+
+/**
+ * @public
+ * @Constructor
+ * @name Model
+ * @since 0.7.0
+ * @description Base class for resources. The fields of the resource are
+ * copied onto the model; the untouched response is kept as `raw` and the
+ * client that fetched it as `client`, neither of which is serialized.
+ * @param {object} data The parsed resource
+ * @param {OptimizelyClient} client The originating client
+ */
+var Model = function(data, client) {
+  _.assign(this, data);
+  Object.defineProperty(this, "raw", {
+    value: data
+  });
+  Object.defineProperty(this, "client", {
+    value: client
+  });
+}
+
+/**
+ * @private
+ * @description Resolve a list of ids through a single-resource client method
+ */
+var fetchEach = function(client, methodName, ids) {
+  return Promise.all((ids || []).map(function(id) {
+    return client[methodName]({
+      id: id
+    });
+  }));
+}
+
+/**
+ * @public
+ * @name Project
+ * @description A project, navigable to its experiments, audiences,
+ * dimensions and goals
+ */
+var Project = function(data, client) {
+  Model.call(this, data, client);
+}
+util.inherits(Project, Model);
+Project.prototype.getExperiments = function() {
+  return this.client.getExperiments({
+    project_id: this.id
+  });
+}
+Project.prototype.getAudiences = function() {
+  return this.client.getAudiences({
+    project_id: this.id
+  });
+}
+Project.prototype.getDimensions = function() {
+  return this.client.getDimensions({
+    project_id: this.id
+  });
+}
+Project.prototype.getGoals = function() {
+  return this.client.getGoals({
+    project_id: this.id
+  });
+}
+
+/**
+ * @public
+ * @name Experiment
+ * @description An experiment, navigable to its project, variations,
+ * audiences, results, stats and their analysis
+ */
+var Experiment = function(data, client) {
+  Model.call(this, data, client);
+}
+util.inherits(Experiment, Model);
+Experiment.prototype.getProject = function() {
+  return this.client.getProject({
+    id: this.project_id
+  });
+}
+Experiment.prototype.getVariations = function() {
+  return this.client.getVariations({
+    experiment_id: this.id
+  });
+}
+/**
+ * @param {object} [weights] See OptimizelyClient#setTrafficAllocation
+ * @param {object} [options]
+ */
+Experiment.prototype.setTrafficAllocation = function(weights, options) {
+  return this.client.setTrafficAllocation(this.id, weights, options);
+}
+/**
+ * @param {object} [options] See OptimizelyClient#cloneExperiment
+ */
+Experiment.prototype.clone = function(options) {
+  return this.client.cloneExperiment(this.id, options);
+}
+Experiment.prototype.getAudiences = function() {
+  return fetchEach(this.client, "getAudience", this.audience_ids);
+}
+/**
+ * @param {object} [options] See OptimizelyClient#getResults, without the id
+ */
+Experiment.prototype.getResults = function(options) {
+  return this.client.getResults(_.assign({}, options, {
+    id: this.id
+  }));
+}
+/**
+ * @param {object} [options] See OptimizelyClient#getStats, without the id
+ */
+Experiment.prototype.getStats = function(options) {
+  return this.client.getStats(_.assign({}, options, {
+    id: this.id
+  }));
+}
+
+/**
+ * @param {object} [options] See OptimizelyClient#getAnalysis, without the id
+ */
+Experiment.prototype.getAnalysis = function(options) {
+  return this.client.getAnalysis(_.assign({}, options, {
+    id: this.id
+  }));
+}
+
+/**
+ * @public
+ * @name Variation
+ * @description A variation, navigable to its experiment
+ */
+var Variation = function(data, client) {
+  Model.call(this, data, client);
+}
+util.inherits(Variation, Model);
+Variation.prototype.getExperiment = function() {
+  return this.client.getExperiment({
+    id: this.experiment_id
+  });
+}
+
+/**
+ * @public
+ * @name Audience
+ * @description An audience, navigable to its project
+ */
+var Audience = function(data, client) {
+  Model.call(this, data, client);
+}
+util.inherits(Audience, Model);
+Audience.prototype.getProject = function() {
+  return this.client.getProject({
+    id: this.project_id
+  });
+}
+
+/**
+ * @public
+ * @name Dimension
+ * @description A dimension, navigable to its project
+ */
+var Dimension = function(data, client) {
+  Model.call(this, data, client);
+}
+util.inherits(Dimension, Model);
+Dimension.prototype.getProject = function() {
+  return this.client.getProject({
+    id: this.project_id
+  });
+}
+
+/**
+ * @public
+ * @name Goal
+ * @description A goal, navigable to its project and experiments
+ */
+var Goal = function(data, client) {
+  Model.call(this, data, client);
+}
+util.inherits(Goal, Model);
+Goal.prototype.getProject = function() {
+  return this.client.getProject({
+    id: this.project_id
+  });
+}
+Goal.prototype.getExperiments = function() {
+  return fetchEach(this.client, "getExperiment", this.experiment_ids);
+}
+
+/**
+ * @public
+ * @name models.wrap
+ * @description Wrap a parsed resource, or a list of them, in a model class.
+ * Anything that is not an object (e.g. an empty body) is returned untouched.
+ * @param {function} ModelClass One of the model constructors
+ * @param {*} data The parsed response body
+ * @param {OptimizelyClient} client The originating client
+ * @return {*}
+ */
+var wrap = function(ModelClass, data, client) {
+  if (Array.isArray(data)) return data.map(function(item) {
+    return wrap(ModelClass, item, client);
+  });
+  if (!data || typeof data !== "object") return data;
+  return new ModelClass(data, client);
+}
+
+module.exports = {
+  Model: Model,
+  Project: Project,
+  Experiment: Experiment,
+  Variation: Variation,
+  Audience: Audience,
+  Dimension: Dimension,
+  Goal: Goal,
+  wrap: wrap
+};
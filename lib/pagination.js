@@ -0,0 +1,136 @@
+/**
+ * @fileOverview Helpers for walking paginated list endpoints
+ * @name Optimizely Pagination
+ */
+
+/** @access private */
+var Promise = require("bluebird");
+var errors = require("./errors");
+
+/** @const*/
+var DEFAULT_PER_PAGE = 100;
+
+/** @const*/
+var MAX_PAGES = 1000;
+
+/**
+ * @private
+ * @description What tells a page apart from the next: the ids of its items,
+ * or the items themselves when they have none
+ */
+var signatureOf = function(items) {
+  return JSON.stringify(items.map(function(item) {
+    return item && item.id !== undefined ? item.id : item;
+  }));
+}
+
+/**
+ * @public
+ * @name pagination.queryString
+ * @since 0.7.0
+ * @description Build the query string for the page options of a list call
+ * @param {object} options An object with the following properties:
+ * {
+ *   @param {number} [page] 1 based page number
+ *   @param {number} [per_page] Number of items per page
+ * }
+ * @return {string} "" or "?page=..&per_page=.."
+ */
+var queryString = function(options) {
+  var parameters = [];
+  if (options && options.page) {
+    parameters.push("page=" + encodeURIComponent(options.page));
+  }
+  if (options && options.per_page) {
+    parameters.push("per_page=" + encodeURIComponent(options.per_page));
+  }
+  return parameters.length ? "?" + parameters.join("&") : "";
+}
+
+/**
+ * @public
+ * @name pagination.iterate
+ * @since 0.7.0
+ * @description Create an async iterator over every item of a list endpoint,
+ * fetching one page at a time. Iteration stops at an empty page, at a page
+ * shorter than the largest one so far, or at a page repeating the items of
+ * the previous one, as an endpoint that ignores the page options returns.
+ * Pages are not compared with perPage, which a server may cap.
+ * @param {function} fetchPage Called with {number} page and {number} perPage,
+ * returns a promise for the page
+ * @param {number} [perPage = 100]
+ * @return {object} An iterator with a next() method resolving to
+ * {value, done}; usable with `for await` where Symbol.asyncIterator exists.
+ * next() rejects with an OptimizelyError past MAX_PAGES pages.
+ */
+var iterate = function(fetchPage, perPage) {
+  perPage = Number(perPage) || DEFAULT_PER_PAGE;
+  var buffer = [];
+  var page = 0;
+  var exhausted = false;
+  var previous;
+  var largest = 0;
+  var iterator = {
+    next: function() {
+      if (buffer.length) return Promise.resolve({
+        value: buffer.shift(),
+        done: false
+      });
+      if (exhausted) return Promise.resolve({
+        value: undefined,
+        done: true
+      });
+      if (page >= MAX_PAGES) return Promise.reject(new errors.OptimizelyError(
+        "Stopped listing after " + MAX_PAGES + " pages"));
+      page++;
+      return Promise.resolve(fetchPage(page, perPage)).then(function(data) {
+        if (!Array.isArray(data)) throw new errors.OptimizelyError(
+          "Expected a list of items on page " + page);
+        var signature = signatureOf(data);
+        if (signature === previous) {
+          exhausted = true;
+          return iterator.next();
+        }
+        previous = signature;
+        largest = Math.max(largest, data.length);
+        if (!data.length || data.length < largest) exhausted = true;
+        buffer = data;
+        return iterator.next();
+      });
+    }
+  };
+  if (typeof Symbol !== "undefined" && Symbol.asyncIterator) {
+    iterator[Symbol.asyncIterator] = function() {
+      return this;
+    };
+  }
+  return iterator;
+}
+
+/**
+ * @public
+ * @name pagination.collect
+ * @since 0.7.0
+ * @description Drain an iterator created by pagination.iterate
+ * @param {object} iterator
+ * @return {promise} A promise fulfilled with an array of every item
+ */
+var collect = function(iterator) {
+  var items = [];
+  var step = function() {
+    return iterator.next().then(function(result) {
+      if (result.done) return items;
+      items.push(result.value);
+      return step();
+    });
+  }
+  return step();
+}
+
+module.exports = {
+  DEFAULT_PER_PAGE: DEFAULT_PER_PAGE,
+  MAX_PAGES: MAX_PAGES,
+  queryString: queryString,
+  iterate: iterate,
+  collect: collect
+};
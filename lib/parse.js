@@ -0,0 +1,26 @@
+/**
+ * @fileOverview Response body parsing shared by the Optimizely Client
+ * @name Optimizely Parse
+ */
+
+/**
+ * @public
+ * @name parseBody
+ * @since 0.7.0
+ * @description Parse a JSON body that the transport left as a string.
+ * HttpTransport only parses bodies served as application/json, and other
+ * transports or middleware may not parse at all, so the same endpoint may
+ * hand back a string or an object.
+ * @param {*} body The response body
+ * @return {*} The parsed body, or the body untouched if it is not JSON
+ */
+var parseBody = function(body) {
+  if (typeof body !== "string" || !body) return body;
+  try {
+    return JSON.parse(body);
+  } catch (e) {
+    return body;
+  }
+}
+
+module.exports = parseBody;
@@ -0,0 +1,149 @@
+/**
+ * @fileOverview Retry policy used by the Optimizely Client
+ * @name Optimizely Retry
+ */
+
+/** @access private */
+var Promise = require("bluebird");
+var errors = require("./errors");
+
+/** @const*/
+var IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "DELETE", "OPTIONS"];
+
+/** @const*/
+var DEFAULTS = {
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 30000,
+  jitter: true,
+  retryOn: [429, 500, 502, 503, 504],
+  networkErrors: ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EPIPE",
+    "EAI_AGAIN"
+  ],
+  idempotentOnly: true
+};
+
+/**
+ * @public
+ * @name retry.normalize
+ * @since 0.7.0
+ * @description Build a complete retry policy from the constructor option
+ * @param {boolean|object} [options] false/undefined disables retries, true
+ * uses the defaults, an object overrides them:
+ * {
+ *   @param {number}  [maxAttempts = 3] Total attempts, including the first
+ *   @param {number}  [baseDelay = 500] Backoff base in milliseconds
+ *   @param {number}  [maxDelay = 30000] Backoff cap in milliseconds
+ *   @param {boolean} [jitter = true] Randomise each delay between 0 and
+ *                    the computed backoff
+ *   @param {Array}   [retryOn = [429, 500, 502, 503, 504]] Retryable statuses
+ *   @param {Array|boolean} [networkErrors] Retryable error codes
+ *                    (e.g. "ECONNRESET"); true retries any network error
+ *   @param {boolean} [idempotentOnly = true] Only retry GET, HEAD, PUT,
+ *                    DELETE and OPTIONS requests
+ * }
+ * @return {object} The policy
+ */
+var normalize = function(options) {
+  var policy = {};
+  if (!options) options = {
+    maxAttempts: 1
+  };
+  if (options === true) options = {};
+  Object.keys(DEFAULTS).forEach(function(key) {
+    policy[key] = options[key] !== undefined ? options[key] : DEFAULTS[key];
+  });
+  policy.maxAttempts = Math.max(1, Number(policy.maxAttempts) || 1);
+  return policy;
+}
+
+/**
+ * @private
+ * @description Read a Retry-After header (seconds or HTTP date) as milliseconds
+ */
+var retryAfter = function(error) {
+  var value = error.headers && error.headers["retry-after"];
+  if (value === undefined || value === null || value === "") return null;
+  var seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  var date = Date.parse(value);
+  if (isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+}
+
+/**
+ * @public
+ * @name retry.isRetryable
+ * @description Decide whether a failed request may be attempted again
+ * @param {object} policy A policy from retry.normalize
+ * @param {string} method The HTTP method of the request
+ * @param {Error} error The rejection of the previous attempt
+ * @return {boolean}
+ */
+var isRetryable = function(policy, method, error) {
+  if (policy.idempotentOnly &&
+    IDEMPOTENT_METHODS.indexOf(String(method).toUpperCase()) === -1) {
+    return false;
+  }
+  if (error instanceof errors.NetworkError) {
+    if (policy.networkErrors === true) return true;
+    var code = error.cause && error.cause.code;
+    return !!code && (policy.networkErrors || []).indexOf(code) > -1;
+  }
+  if (error instanceof errors.OptimizelyError && error.status) {
+    return (policy.retryOn || []).indexOf(error.status) > -1;
+  }
+  return false;
+}
+
+/**
+ * @public
+ * @name retry.delay
+ * @description Milliseconds to wait before the given retry
+ * @param {object} policy A policy from retry.normalize
+ * @param {number} attempt The number of attempts made so far (1 based)
+ * @param {Error} error The rejection of the previous attempt
+ * @return {number}
+ */
+var delay = function(policy, attempt, error) {
+  var requested = retryAfter(error);
+  if (requested !== null) return Math.min(requested, policy.maxDelay);
+  var backoff = Math.min(policy.maxDelay,
+    policy.baseDelay * Math.pow(2, attempt - 1));
+  return policy.jitter ? Math.floor(Math.random() * backoff) : backoff;
+}
+
+/**
+ * @public
+ * @name retry.run
+ * @description Call attemptFn until it fulfils or the policy gives up
+ * @param {object} policy A policy from retry.normalize
+ * @param {string} method The HTTP method, used for the idempotency check
+ * @param {function} attemptFn Returns a promise for one attempt
+ * @param {AbortSignal} [signal] Stops retrying once aborted
+ * @return {promise} Settles like the last attempt; the rejection carries
+ * the number of {number} attempts made
+ */
+var run = function(policy, method, attemptFn, signal) {
+  var attempt = function(count) {
+    return Promise.resolve(attemptFn()).then(null, function(error) {
+      if (error && typeof error === "object") error.attempts = count;
+      if (count >= policy.maxAttempts || !isRetryable(policy, method, error)) {
+        throw error;
+      }
+      return Promise.delay(delay(policy, count, error)).then(function() {
+        if (signal && signal.aborted) throw signal.reason;
+        return attempt(count + 1);
+      });
+    });
+  }
+  return attempt(1);
+}
+
+module.exports = {
+  DEFAULTS: DEFAULTS,
+  normalize: normalize,
+  isRetryable: isRetryable,
+  delay: delay,
+  run: run
+};
@@ -0,0 +1,157 @@
+/**
+ * @fileOverview Request queue shared by every method of an Optimizely Client
+ * @name Optimizely Request Scheduler
+ */
+
+/** @access private */
+var Promise = require("bluebird");
+
+/**
+ * @public
+ * @Constructor
+ * @name RequestScheduler
+ * @since 0.7.0
+ * @description Limits how many requests run at once and how fast they start
+ * @param {object} [options] An object with the following properties:
+ * {
+ *   @param {number} [maxConcurrency = Infinity] Requests allowed in flight
+ *   @param {number} [requestsPerSecond = Infinity] Token bucket refill rate
+ *   @param {number} [burst = requestsPerSecond] Token bucket capacity
+ * }
+ * @example
+ * var scheduler = new RequestScheduler({maxConcurrency: 4, requestsPerSecond: 10});
+ * scheduler.schedule(function(){ return doRequest(); });
+ */
+var RequestScheduler = function(options) {
+  options = options || {};
+  this.maxConcurrency = options.maxConcurrency || Infinity;
+  this.requestsPerSecond = options.requestsPerSecond || Infinity;
+  this.burst = options.burst ||
+    (isFinite(this.requestsPerSecond) ? Math.max(1, this.requestsPerSecond) : Infinity);
+  this.tokens = this.burst;
+  this.lastRefill = Date.now();
+  this.queue = [];
+  this.active = 0;
+  this.paused = false;
+  this.timer = null;
+}
+
+/**
+ * @public
+ * @name RequestScheduler#schedule
+ * @description Queue a task until a concurrency slot and a token are free
+ * @param {function} task Returns a promise (or value) once started
+ * @param {AbortSignal} [signal] Drops the task from the queue when aborted
+ * before it starts
+ * @return {promise} A promise settled like the task, or rejected with the
+ * reason of the signal
+ */
+RequestScheduler.prototype.schedule = function(task, signal) {
+  var self = this;
+  return new Promise(function(resolve, reject) {
+    if (signal && signal.aborted) return reject(signal.reason);
+    var entry = {
+      task: task,
+      resolve: resolve,
+      reject: reject
+    };
+    if (signal) {
+      var onAbort = function() {
+        var index = self.queue.indexOf(entry);
+        if (index === -1) return;
+        self.queue.splice(index, 1);
+        reject(signal.reason);
+      }
+      signal.addEventListener("abort", onAbort);
+      entry.dispose = function() {
+        signal.removeEventListener("abort", onAbort);
+      };
+    }
+    self.queue.push(entry);
+    self._drain();
+  });
+}
+
+/**
+ * @public
+ * @name RequestScheduler#pause
+ * @description Stop starting queued tasks; tasks in flight still finish
+ */
+RequestScheduler.prototype.pause = function() {
+  this.paused = true;
+}
+
+/**
+ * @public
+ * @name RequestScheduler#resume
+ * @description Start queued tasks again after a pause
+ */
+RequestScheduler.prototype.resume = function() {
+  this.paused = false;
+  this._drain();
+}
+
+/**
+ * @public
+ * @name RequestScheduler#size
+ * @return {number} The number of tasks waiting to start
+ */
+RequestScheduler.prototype.size = function() {
+  return this.queue.length;
+}
+
+/**
+ * @public
+ * @name RequestScheduler#pending
+ * @return {number} The number of tasks in flight
+ */
+RequestScheduler.prototype.pending = function() {
+  return this.active;
+}
+
+/**
+ * @private
+ * @description Top up the token bucket for the time elapsed since last refill
+ */
+RequestScheduler.prototype._refill = function() {
+  var now = Date.now();
+  if (isFinite(this.requestsPerSecond)) {
+    this.tokens = Math.min(this.burst,
+      this.tokens + (now - this.lastRefill) * this.requestsPerSecond / 1000);
+  }
+  this.lastRefill = now;
+}
+
+/**
+ * @private
+ * @description Start as many queued tasks as the limits allow
+ */
+RequestScheduler.prototype._drain = function() {
+  var self = this;
+  while (!this.paused && this.queue.length &&
+    this.active < this.maxConcurrency) {
+    this._refill();
+    if (this.tokens < 1) {
+      if (!this.timer) {
+        var wait = Math.ceil((1 - this.tokens) * 1000 / this.requestsPerSecond);
+        this.timer = setTimeout(function() {
+          self.timer = null;
+          self._drain();
+        }, wait);
+      }
+      return;
+    }
+    this.tokens -= 1;
+    this.active++;
+    var entry = this.queue.shift();
+    if (entry.dispose) entry.dispose();
+    Promise.try(entry.task)
+      .then(entry.resolve, entry.reject)
+      .finally(function() {
+        self.active--;
+        self._drain();
+      });
+  }
+}
+
+module.exports = RequestScheduler;
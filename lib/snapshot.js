@@ -0,0 +1,309 @@
+/**
+ * @fileOverview Export a project to a versioned JSON document and recreate
+ * it in another project
+ * @name Optimizely Snapshots
+ */
+
+/** @access private */
+var Promise = require("bluebird");
+var _ = require("lodash");
+var errors = require("./errors");
+var abort = require("./abort");
+var parseBody = require("./parse");
+
+/** @const*/
+var SNAPSHOT_VERSION = 1;
+
+/**
+ * @public
+ * @name snapshot.READ_ONLY_FIELDS
+ * @description Fields the API sets itself, never sent when recreating, by
+ * resource type
+ */
+var readOnlyFields = {
+  dimensions: ["id", "project_id", "created", "last_modified"],
+  audiences: ["id", "project_id", "created", "last_modified"],
+  experiments: ["id", "project_id", "created", "last_modified", "status",
+    "variation_ids", "audience_ids", "shareable_results_link"
+  ],
+  variations: ["id", "project_id", "experiment_id", "created",
+    "last_modified"
+  ],
+  goals: ["id", "project_id", "created", "last_modified", "experiment_ids"]
+};
+
+/** @const*/
+var IMPORT_ORDER = ["dimensions", "audiences", "experiments", "variations",
+  "goals"
+];
+
+/**
+ * @private
+ * @description A plain copy of a resource, whether or not it is a model
+ */
+var plain = function(resource) {
+  return _.assign({}, resource);
+}
+
+/**
+ * @public
+ * @name snapshot.exportProject
+ * @since 0.7.0
+ * @description Read a project and everything in it into one document
+ * @param {OptimizelyClient} client
+ * @param {string|number} projectId
+ * @return {promise} A promise fulfilled with the snapshot: {number} version,
+ * {string} exported, {object} project and {Array} audiences, dimensions,
+ * experiments, variations and goals
+ */
+var exportProject = Promise.method(function(client, projectId) {
+  if (!projectId) throw new errors.ValidationError("Required: projectId");
+  return Promise.props({
+    project: client.getProject({
+      id: projectId
+    }),
+    audiences: client.getAllAudiences({
+      project_id: projectId
+    }),
+    dimensions: client.getAllDimensions({
+      project_id: projectId
+    }),
+    experiments: client.getAllExperiments({
+      project_id: projectId
+    }),
+    goals: client.getAllGoals({
+      project_id: projectId
+    })
+  }).then(function(resources) {
+    return Promise.map(resources.experiments, function(experiment) {
+      return client.getVariations({
+        experiment_id: experiment.id
+      });
+    }).then(function(variations) {
+      return {
+        version: SNAPSHOT_VERSION,
+        exported: new Date().toISOString(),
+        project: plain(resources.project),
+        audiences: resources.audiences.map(plain),
+        dimensions: resources.dimensions.map(plain),
+        experiments: resources.experiments.map(plain),
+        variations: _.flatten(variations).map(plain),
+        goals: resources.goals.map(plain)
+      };
+    });
+  });
+})
+
+/**
+ * @private
+ * @description The label of a resource in a report
+ */
+var nameOf = function(resource) {
+  return resource.name || resource.description || resource.title;
+}
+
+/**
+ * @private
+ * @description Rewrite the dimension ids inside audience conditions, given
+ * as an array or as its JSON string. Conditions on dimensions that were not
+ * recreated are passed to unresolved.
+ */
+var remapConditions = function(conditions, dimensionIds, unresolved) {
+  var walk = function(condition) {
+    if (Array.isArray(condition)) return condition.map(walk);
+    if (!condition || typeof condition !== "object") return condition;
+    if (condition.type !== "dimension") return condition;
+    var id = dimensionIds[condition.id];
+    if (id === undefined) {
+      unresolved(condition.id);
+      return condition;
+    }
+    return _.assign({}, condition, {
+      id: id
+    });
+  }
+  var remapped = walk(parseBody(conditions));
+  return typeof conditions === "string" ? JSON.stringify(remapped) : remapped;
+}
+
+/**
+ * @public
+ * @name snapshot.importProject
+ * @since 0.7.0
+ * @description Recreate the resources of a snapshot in another project.
+ * Dimensions, audiences, experiments, variations and goals are created in
+ * that order, with the dimension ids of audience conditions, the audience
+ * ids of experiments, the experiment ids of variations and the experiment
+ * ids of goals mapped to the new ids. Experiments are created not started.
+ * Variations an experiment is created with are reused in order and the
+ * unused ones deleted. A resource that cannot be created is reported and
+ * references to it are dropped; the import carries on.
+ * @param {OptimizelyClient} client
+ * @param {object} snapshot A document from snapshot.exportProject
+ * @param {object} options An object with the following properties:
+ * {
+ *   @param {string|number} targetProjectId The project to create into
+ * }
+ * @return {promise} A promise fulfilled with the report: {string|number}
+ * project_id, {object} idMap of old to new ids per resource type, {object}
+ * created counts per resource type, {Array} failed resources each with
+ * {string} type, id, name and {Error} error, {Array} unresolved
+ * references each with {string} type, id, field and reference, and {Array}
+ * cleanup of unused variations that could not be deleted, each with
+ * {string} type, id and {Error} error
+ */
+var importProject = Promise.method(function(client, snapshot, options) {
+  options = options || {};
+  if (!snapshot || typeof snapshot !== "object") throw new errors.ValidationError(
+    "Required: snapshot");
+  if (snapshot.version !== SNAPSHOT_VERSION) throw new errors.ValidationError(
+    "Unsupported snapshot version: " + snapshot.version);
+  if (!options.targetProjectId) throw new errors.ValidationError(
+    "Required: options.targetProjectId");
+  var projectId = options.targetProjectId;
+  var report = {
+    project_id: projectId,
+    idMap: {},
+    created: {},
+    failed: [],
+    unresolved: [],
+    cleanup: []
+  };
+  IMPORT_ORDER.forEach(function(type) {
+    report.idMap[type] = {};
+    report.created[type] = 0;
+  });
+  // Variations the API created along with each new experiment
+  var spareVariations = {};
+
+  var mapIds = function(type, resource, field, ids, targetType) {
+    return (ids || []).map(function(id) {
+      var mapped = report.idMap[targetType][id];
+      if (mapped === undefined) report.unresolved.push({
+        type: type,
+        id: resource.id,
+        field: field,
+        reference: id
+      });
+      return mapped;
+    }).filter(function(id) {
+      return id !== undefined;
+    });
+  }
+
+  var recreate = function(type, resource, send) {
+    var fields = _.omit(resource, readOnlyFields[type]);
+    return Promise.try(function() {
+      return send(fields);
+    }).then(function(created) {
+      report.idMap[type][resource.id] = created.id;
+      report.created[type]++;
+      return created;
+    }, function(error) {
+      report.failed.push({
+        type: type,
+        id: resource.id,
+        name: nameOf(resource),
+        error: error
+      });
+    });
+  }
+
+  var importers = {
+    dimensions: function(dimension) {
+      return recreate("dimensions", dimension, function(fields) {
+        return client.createDimension(_.assign(fields, {
+          project_id: projectId
+        }));
+      });
+    },
+    audiences: function(audience) {
+      return recreate("audiences", audience, function(fields) {
+        if (fields.conditions) {
+          fields.conditions = remapConditions(fields.conditions,
+            report.idMap.dimensions,
+            function(reference) {
+              report.unresolved.push({
+                type: "audiences",
+                id: audience.id,
+                field: "conditions",
+                reference: reference
+              });
+            });
+        }
+        return client.createAudience(_.assign(fields, {
+          project_id: projectId
+        }));
+      });
+    },
+    experiments: function(experiment) {
+      return recreate("experiments", experiment, function(fields) {
+        return client.createExperiment(_.assign(fields, {
+          project_id: projectId,
+          audience_ids: mapIds("experiments", experiment, "audience_ids",
+            experiment.audience_ids, "audiences")
+        }));
+      }).then(function(created) {
+        if (created) spareVariations[created.id] = (created.variation_ids ||
+          []).slice();
+      });
+    },
+    variations: function(variation) {
+      var experimentId = report.idMap.experiments[variation.experiment_id];
+      if (experimentId === undefined) {
+        report.unresolved.push({
+          type: "variations",
+          id: variation.id,
+          field: "experiment_id",
+          reference: variation.experiment_id
+        });
+        return;
+      }
+      return recreate("variations", variation, function(fields) {
+        var spare = spareVariations[experimentId].shift();
+        if (spare !== undefined) return client.updateVariation(_.assign(fields, {
+          id: spare
+        }));
+        return client.createVariation(_.assign(fields, {
+          experiment_id: experimentId
+        }));
+      });
+    },
+    goals: function(goal) {
+      return recreate("goals", goal, function(fields) {
+        return client.createGoal(_.assign(fields, {
+          project_id: projectId,
+          experiment_ids: mapIds("goals", goal, "experiment_ids",
+            goal.experiment_ids, "experiments")
+        }));
+      });
+    }
+  };
+
+  return Promise.each(IMPORT_ORDER, function(type) {
+    return Promise.each(snapshot[type] || [], importers[type]);
+  }).then(function() {
+    // Drop the variations the API created that the snapshot did not use,
+    // even once the import is cancelled
+    return Promise.each(_.flatten(_.values(spareVariations)), function(id) {
+      return abort.unscoped(client).deleteVariation({
+        id: id
+      }).then(null, function(error) {
+        report.cleanup.push({
+          type: "variations",
+          id: id,
+          error: error
+        });
+      });
+    });
+  }).then(function() {
+    return report;
+  });
+})
+
+module.exports = {
+  SNAPSHOT_VERSION: SNAPSHOT_VERSION,
+  READ_ONLY_FIELDS: readOnlyFields,
+  exportProject: exportProject,
+  importProject: importProject
+};
@@ -0,0 +1,467 @@
+/**
+ * @fileOverview Declarative experiment-as-code sync: plan a diff between a
+ * project description and the live API, then apply it
+ * @name Optimizely Sync
+ */
+
+/** @access private */
+var Promise = require("bluebird");
+var fs = require("fs");
+var path = require("path");
+var _ = require("lodash");
+var yaml = require("js-yaml");
+var errors = require("./errors");
+
+/**
+ * @private
+ * @description How each resource type is matched and written. `key` is the
+ * field matched when a spec item has no id; `nested` fields are spec-only.
+ */
+var resourceTypes = {
+  audiences: {
+    key: "name",
+    nested: [],
+    create: "createAudience",
+    update: "updateAudience",
+    remove: "deleteAudience"
+  },
+  dimensions: {
+    key: "name",
+    nested: [],
+    create: "createDimension",
+    update: "updateDimension",
+    remove: "deleteDimension"
+  },
+  experiments: {
+    key: "description",
+    nested: ["variations", "audiences"],
+    create: "createExperiment",
+    update: "updateExperiment",
+    remove: "deleteExperiment"
+  },
+  variations: {
+    key: "description",
+    nested: [],
+    create: "createVariation",
+    update: "updateVariation",
+    remove: "deleteVariation"
+  },
+  goals: {
+    key: "title",
+    nested: ["experiments"],
+    create: "createGoal",
+    update: "updateGoal",
+    remove: "deleteGoal"
+  }
+};
+
+/** @const*/
+var CREATE_ORDER = ["audiences", "dimensions", "experiments", "variations",
+  "goals"
+];
+
+/** @const*/
+var DELETE_ORDER = ["goals", "variations", "experiments", "audiences",
+  "dimensions"
+];
+
+/**
+ * @public
+ * @name sync.load
+ * @since 0.7.0
+ * @description Read a project description from a .json, .yml or .yaml file
+ * @param {string} file
+ * @return {object} The spec
+ */
+var load = function(file) {
+  var text = fs.readFileSync(file, "utf8");
+  var extension = path.extname(file).toLowerCase();
+  return (extension === ".yml" || extension === ".yaml") ?
+    yaml.safeLoad(text) : JSON.parse(text);
+}
+
+/**
+ * @private
+ * @description The scalar fields of a spec item that are sent to the API
+ */
+var fieldsOf = function(type, item) {
+  var fields = _.omit(item, resourceTypes[type].nested.concat("id"));
+  // Required lazily: OptimizelyClient exposes this module
+  var goalTypes = require("./OptimizelyClient").GOAL_TYPES;
+  if (type === "goals" && goalTypes.hasOwnProperty(fields.goal_type)) {
+    fields.goal_type = goalTypes[fields.goal_type];
+  }
+  return fields;
+}
+
+/**
+ * @private
+ * @description The fields of desired that differ from live
+ */
+var changedFields = function(desired, live) {
+  var changes = {};
+  Object.keys(desired).forEach(function(field) {
+    if (!_.isEqual(desired[field], live[field])) changes[field] = desired[field];
+  });
+  return changes;
+}
+
+/**
+ * @private
+ * @description Find the live resource a spec item describes, by id or key
+ */
+var match = function(type, item, liveItems) {
+  var key = resourceTypes[type].key;
+  return _.find(liveItems, function(live) {
+    return item.id !== undefined ? String(live.id) === String(item.id) :
+      live[key] === item[key];
+  });
+}
+
+/**
+ * @private
+ * @description Compare reference ids when every referenced key resolves
+ * to a live id; any pending reference counts as a change
+ */
+var referencesChanged = function(ref, liveIds, idMap) {
+  var ids = ref.keys.map(function(key) {
+    return idMap[ref.type][key];
+  });
+  if (ids.some(function(id) {
+      return id === undefined;
+    })) return true;
+  return !_.isEqual(ids.map(String).sort(), (liveIds || []).map(String).sort());
+}
+
+/**
+ * @private
+ * @description Fetch the live state of a project
+ */
+var fetchLive = function(client, projectId) {
+  return Promise.props({
+    audiences: client.getAllAudiences({
+      project_id: projectId
+    }),
+    dimensions: client.getAllDimensions({
+      project_id: projectId
+    }),
+    experiments: client.getAllExperiments({
+      project_id: projectId
+    }),
+    goals: client.getAllGoals({
+      project_id: projectId
+    })
+  }).then(function(live) {
+    return Promise.map(live.experiments, function(experiment) {
+      return client.getVariations({
+        experiment_id: experiment.id
+      });
+    }).then(function(variations) {
+      live.variations = _.flatten(variations);
+      return live;
+    });
+  });
+}
+
+/**
+ * @private
+ * @description Plan one resource type: creates and updates for spec items,
+ * deletes for unmatched live items when pruning
+ */
+var planType = function(plan, type, specItems, liveItems, context) {
+  var matched = [];
+  (specItems || []).forEach(function(item) {
+    var key = item[resourceTypes[type].key];
+    var live = match(type, item, liveItems);
+    var desired = fieldsOf(type, item);
+    var refs = context.refs(item, key);
+    var action = {
+      type: type,
+      key: context.label ? context.label(key) : key
+    };
+    if (context.parent) action.parent = context.parent;
+    if (live) {
+      matched.push(live);
+      context.idMap[type][action.key] = live.id;
+      var changes = changedFields(desired, live);
+      refs.forEach(function(ref) {
+        if (ref.single) return;
+        if (referencesChanged(ref, live[ref.field], context.idMap)) {
+          changes[ref.field] = null;
+        }
+      });
+      if (_.isEmpty(changes)) {
+        plan.unchanged.push(_.assign(action, {
+          action: "none",
+          id: live.id
+        }));
+        return;
+      }
+      plan.actions.push(_.assign(action, {
+        action: "update",
+        id: live.id,
+        changes: _.omit(changes, _.pluck(refs, "field")),
+        refs: refs.filter(function(ref) {
+          return changes.hasOwnProperty(ref.field);
+        })
+      }));
+    } else {
+      plan.actions.push(_.assign(action, {
+        action: "create",
+        changes: desired,
+        refs: refs
+      }));
+    }
+  });
+  if (context.prune) {
+    _.difference(liveItems, matched).forEach(function(live) {
+      plan.deletes.push({
+        action: "delete",
+        type: type,
+        key: context.label ?
+          context.label(live[resourceTypes[type].key]) :
+          live[resourceTypes[type].key],
+        id: live.id
+      });
+    });
+  }
+}
+
+/**
+ * @public
+ * @name sync.plan
+ * @since 0.7.0
+ * @description Diff a project description against the live API.
+ * Items are matched by id, or else by name (audiences, dimensions),
+ * description (experiments, variations within their experiment) or title
+ * (goals). Experiments list the names of their `audiences` and their
+ * `variations`; goals list the descriptions of their `experiments`.
+ * @param {OptimizelyClient} client
+ * @param {object} spec An object with the following properties:
+ * {
+ *   @param {string|number} project_id
+ *   @param {Array} [audiences]
+ *   @param {Array} [dimensions]
+ *   @param {Array} [experiments]
+ *   @param {Array} [goals]
+ * }
+ * @param {object} [options] An object with the following properties:
+ * {
+ *   @param {boolean} [prune = false] Delete live resources the spec omits
+ * }
+ * @return {promise} A promise fulfilled with the plan: {Array} actions in
+ * dependency order and {Array} unchanged
+ */
+var plan = Promise.method(function(client, spec, options) {
+  options = options || {};
+  spec = spec || {};
+  if (!spec.project_id) throw new errors.ValidationError(
+    "Required: spec.project_id");
+  return fetchLive(client, spec.project_id).then(function(live) {
+    var result = {
+      project_id: spec.project_id,
+      actions: [],
+      unchanged: [],
+      deletes: []
+    };
+    var idMap = {};
+    CREATE_ORDER.forEach(function(type) {
+      idMap[type] = {};
+    });
+    var noRefs = function() {
+      return [];
+    }
+    planType(result, "audiences", spec.audiences, live.audiences, {
+      idMap: idMap,
+      refs: noRefs,
+      prune: options.prune
+    });
+    planType(result, "dimensions", spec.dimensions, live.dimensions, {
+      idMap: idMap,
+      refs: noRefs,
+      prune: options.prune
+    });
+    planType(result, "experiments", spec.experiments, live.experiments, {
+      idMap: idMap,
+      prune: options.prune,
+      refs: function(item) {
+        return item.audiences ? [{
+          field: "audience_ids",
+          type: "audiences",
+          keys: item.audiences
+        }] : [];
+      }
+    });
+    (spec.experiments || []).forEach(function(experiment) {
+      var liveExperiment = match("experiments", experiment, live.experiments);
+      var experimentKey = experiment.description;
+      planType(result, "variations", experiment.variations,
+        liveExperiment ? live.variations.filter(function(variation) {
+          return String(variation.experiment_id) === String(liveExperiment.id);
+        }) : [], {
+          idMap: idMap,
+          prune: options.prune && !!experiment.variations,
+          parent: experimentKey,
+          label: function(key) {
+            return experimentKey + " / " + key;
+          },
+          refs: function() {
+            return [{
+              field: "experiment_id",
+              type: "experiments",
+              keys: [experimentKey],
+              single: true
+            }];
+          }
+        });
+    });
+    planType(result, "goals", spec.goals, live.goals, {
+      idMap: idMap,
+      prune: options.prune,
+      refs: function(item) {
+        return item.experiments ? [{
+          field: "experiment_ids",
+          type: "experiments",
+          keys: item.experiments
+        }] : [];
+      }
+    });
+    var deletes = _.sortBy(result.deletes, function(action) {
+      return DELETE_ORDER.indexOf(action.type);
+    });
+    result.actions = _.sortBy(result.actions, function(action) {
+      return CREATE_ORDER.indexOf(action.type);
+    }).concat(deletes);
+    delete result.deletes;
+    result.idMap = idMap;
+    return result;
+  });
+})
+
+/**
+ * @private
+ * @description Build the options of the client call for one action
+ */
+var requestFor = function(action, projectId, idMap) {
+  var options = _.clone(action.changes || {});
+  (action.refs || []).forEach(function(ref) {
+    var ids = ref.keys.map(function(key) {
+      var id = idMap[ref.type][key];
+      if (id === undefined) throw new errors.ValidationError(
+        "Unresolved reference to " + ref.type + " " + key);
+      return id;
+    });
+    options[ref.field] = ref.single ? ids[0] : ids;
+  });
+  if (action.action !== "create") {
+    options.id = action.id;
+    return options;
+  }
+  if (action.type !== "variations") options.project_id = projectId;
+  return options;
+}
+
+/**
+ * @public
+ * @name sync.apply
+ * @since 0.7.0
+ * @description Execute a plan in order. Created ids are fed to later
+ * actions referencing them; an action whose reference could not be
+ * created fails without being sent. Failures do not stop the run. The
+ * default variations the API adds to a created experiment are updated in
+ * place of its first planned variations, and deleted when left unused.
+ * @param {OptimizelyClient} client
+ * @param {object} thePlan A plan from sync.plan
+ * @param {object} [options] An object with the following properties:
+ * {
+ *   @param {boolean} [dryRun = false] Report the actions without sending them
+ * }
+ * @return {promise} A promise fulfilled with the report: {number} created,
+ * updated, deleted, unchanged and failed counts plus {Array} actions each
+ * with a status of done, failed or planned
+ */
+var apply = Promise.method(function(client, thePlan, options) {
+  options = options || {};
+  var idMap = _.cloneDeep(thePlan.idMap);
+  var report = {
+    dryRun: !!options.dryRun,
+    created: 0,
+    updated: 0,
+    deleted: 0,
+    unchanged: thePlan.unchanged.length,
+    failed: 0,
+    actions: []
+  };
+  var spareVariations = {};
+  var send = function(action) {
+    if (action.action === "delete") {
+      return client[resourceTypes[action.type].remove]({
+        id: action.id
+      });
+    }
+    var request = requestFor(action, thePlan.project_id, idMap);
+    var spares = action.action === "create" && action.type === "variations" ?
+      spareVariations[request.experiment_id] : undefined;
+    if (spares && spares.length) {
+      return client.updateVariation(_.assign(_.omit(request, "experiment_id"), {
+        id: spares.shift()
+      }));
+    }
+    return client[resourceTypes[action.type][action.action]](request)
+      .then(function(result) {
+        if (action.action === "create" && action.type === "experiments" &&
+          result) spareVariations[result.id] = (result.variation_ids || []).slice();
+        return result;
+      });
+  }
+  return Promise.reduce(thePlan.actions, function(ignored, action) {
+    var entry = _.omit(action, "refs");
+    report.actions.push(entry);
+    if (options.dryRun) {
+      entry.status = "planned";
+      return;
+    }
+    return Promise.try(function() {
+      return send(action);
+    }).then(function(result) {
+      entry.status = "done";
+      if (action.action === "create") {
+        entry.id = result && result.id;
+        idMap[action.type][action.key] = entry.id;
+      }
+      report[action.action === "create" ? "created" :
+        action.action === "update" ? "updated" : "deleted"]++;
+    }, function(error) {
+      entry.status = "failed";
+      entry.error = error;
+      report.failed++;
+    });
+  }, null).then(function() {
+    return Promise.each(_.flatten(_.values(spareVariations)), function(id) {
+      var entry = {
+        action: "delete",
+        type: "variations",
+        id: id
+      };
+      report.actions.push(entry);
+      return client.deleteVariation({
+        id: id
+      }).then(function() {
+        entry.status = "done";
+        report.deleted++;
+      }, function(error) {
+        entry.status = "failed";
+        entry.error = error;
+        report.failed++;
+      });
+    });
+  }).then(function() {
+    return report;
+  });
+})
+
+module.exports = {
+  load: load,
+  plan: plan,
+  apply: apply
+};
@@ -0,0 +1,315 @@
+/**
+ * @fileOverview Experiment templates: definitions with {{placeholders}}
+ * instantiated into new experiments, and cloning of existing experiments
+ * @name Optimizely Templates
+ */
+
+/** @access private */
+var Promise = require("bluebird");
+var _ = require("lodash");
+var errors = require("./errors");
+var abort = require("./abort");
+var snapshot = require("./snapshot");
+
+/** @const*/
+var PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * @private
+ * @description Call fn with every string inside a value, rebuilding the
+ * value from what it returns
+ */
+var mapStrings = function(value, fn) {
+  if (typeof value === "string") return fn(value);
+  if (Array.isArray(value)) return value.map(function(item) {
+    return mapStrings(item, fn);
+  });
+  if (value && typeof value === "object") return _.mapValues(value,
+    function(item) {
+      return mapStrings(item, fn);
+    });
+  return value;
+}
+
+/**
+ * @public
+ * @name templates.placeholders
+ * @since 0.7.0
+ * @description List the placeholders of a template
+ * @param {object} template An experiment definition
+ * @return {Array} The placeholder names, sorted
+ */
+var placeholders = function(template) {
+  var names = [];
+  mapStrings(template, function(text) {
+    text.replace(PLACEHOLDER, function(match, name) {
+      if (names.indexOf(name) === -1) names.push(name);
+      return match;
+    });
+    return text;
+  });
+  return names.sort();
+}
+
+/**
+ * @public
+ * @name templates.render
+ * @since 0.7.0
+ * @description Replace every {{name}} inside the strings of a template
+ * @param {object} template An experiment definition
+ * @param {object} [values] Values by placeholder name
+ * @return {object} A new definition
+ * @throws {ValidationError} If a placeholder has no value
+ */
+var render = function(template, values) {
+  values = values || {};
+  var missing = placeholders(template).filter(function(name) {
+    return values[name] === undefined || values[name] === null;
+  });
+  if (missing.length) throw new errors.ValidationError(
+    "Missing template values: " + missing.join(", "));
+  return mapStrings(template, function(text) {
+    return text.replace(PLACEHOLDER, function(match, name) {
+      return String(values[name]);
+    });
+  });
+}
+
+/**
+ * @private
+ * @description The definition of a live experiment
+ */
+var definitionOf = function(experiment, variations, goals) {
+  var definition = _.omit(_.assign({}, experiment),
+    _.without(snapshot.READ_ONLY_FIELDS.experiments, "audience_ids"));
+  definition.audience_ids = (experiment.audience_ids || []).slice();
+  definition.variations = variations.map(function(variation) {
+    return _.omit(_.assign({}, variation), snapshot.READ_ONLY_FIELDS.variations);
+  });
+  definition.goal_ids = goals.filter(function(goal) {
+    return (goal.experiment_ids || []).map(String)
+      .indexOf(String(experiment.id)) > -1;
+  }).map(function(goal) {
+    return goal.id;
+  });
+  return definition;
+}
+
+/**
+ * @private
+ * @description Read an experiment with its variations and the goals of its
+ * project
+ */
+var read = function(client, experimentId) {
+  return client.getExperiment({
+    id: experimentId
+  }).then(function(experiment) {
+    return Promise.props({
+      experiment: experiment,
+      variations: client.getVariations({
+        experiment_id: experiment.id
+      }),
+      goals: client.getAllGoals({
+        project_id: experiment.project_id
+      })
+    });
+  });
+}
+
+/**
+ * @public
+ * @name templates.fromExperiment
+ * @since 0.7.0
+ * @description Read an experiment as a definition that can be instantiated
+ * or turned into a template by adding placeholders
+ * @param {OptimizelyClient} client
+ * @param {string|number} experimentId
+ * @return {promise} A promise fulfilled with the definition: the experiment's
+ * writable fields, {Array} audience_ids, {Array} variations with their
+ * writable fields (description, js_component, weight...) and {Array}
+ * goal_ids of the goals attached to it
+ */
+var fromExperiment = Promise.method(function(client, experimentId) {
+  if (!experimentId) throw new errors.ValidationError("Required: experimentId");
+  return read(client, experimentId).then(function(live) {
+    return definitionOf(live.experiment, live.variations, live.goals);
+  });
+})
+
+/**
+ * @private
+ * @description Create an experiment from a rendered definition: the
+ * experiment with its audiences, then its variations in order, reusing the
+ * ones the API creates with the experiment, then its goal attachments. If
+ * a step fails, the goals already attached are detached and the new
+ * experiment is deleted before the promise is rejected.
+ */
+var create = function(client, definition, projectId) {
+  var fields = _.omit(definition, ["variations", "goal_ids"]);
+  var created;
+  var attached = [];
+  var build = function() {
+    var spare = (created.variation_ids || []).slice();
+    return Promise.each(definition.variations || [], function(variation) {
+      var id = spare.shift();
+      if (id !== undefined) return client.updateVariation(_.assign({}, variation, {
+        id: id
+      }));
+      return client.createVariation(_.assign({}, variation, {
+        experiment_id: created.id
+      }));
+    }).then(function() {
+      return Promise.each(spare, function(id) {
+        return client.deleteVariation({
+          id: id
+        });
+      });
+    }).then(function() {
+      return Promise.each(definition.goal_ids || [], function(goalId) {
+        // Counted before it is sent: a cancelled attachment may still land,
+        // and detaching a goal that is not attached changes nothing
+        attached.push(goalId);
+        return client.attachGoal({
+          id: goalId,
+          experiment_id: created.id
+        });
+      });
+    });
+  }
+  var cleanUp = function(error) {
+    // Clean up outside of a cancelled call, whose signal or deadline fired
+    var owner = abort.unscoped(client);
+    return Promise.each(attached, function(goalId) {
+      // One goal failing to detach still leaves the experiment to delete
+      return owner.detachGoal({
+        id: goalId,
+        experiment_id: created.id
+      }).then(null, function() {});
+    }).then(function() {
+      return owner.deleteExperiment({
+        id: created.id
+      });
+    }).then(null, function() {}).then(function() {
+      throw error;
+    });
+  }
+  return client.createExperiment(_.assign(fields, {
+    project_id: projectId
+  })).then(function(experiment) {
+    created = experiment;
+    return build().then(null, cleanUp);
+  }).then(function() {
+    return client.getExperiment({
+      id: created.id
+    });
+  });
+}
+
+/**
+ * @public
+ * @name templates.instantiate
+ * @since 0.7.0
+ * @description Create an experiment from a template: the experiment with
+ * its audiences, then its variations in order, then its goal attachments.
+ * If a step fails, what was created is removed again before the promise is
+ * rejected.
+ * @param {OptimizelyClient} client
+ * @param {object} template An experiment definition, as from fromExperiment,
+ * whose strings may hold {{placeholders}}
+ * @param {object} options An object with the following properties:
+ * {
+ *   @param {string|number} project_id The project to create in
+ *   @param {object} [values] Values by placeholder name
+ * }
+ * @return {promise} A promise fulfilled with the new experiment
+ */
+var instantiate = Promise.method(function(client, template, options) {
+  options = options || {};
+  if (!template || typeof template !== "object") throw new errors.ValidationError(
+    "Required: template");
+  if (!options.project_id) throw new errors.ValidationError(
+    "Required: options.project_id");
+  return create(client, render(template, options.values), options.project_id);
+})
+
+/**
+ * @private
+ * @description Map ids of a source project's resources to those of the
+ * target project with the same value for key
+ * @throws {ValidationError} If one has no match
+ */
+var mapByName = function(ids, sources, targets, key, field) {
+  return ids.map(function(id) {
+    var source = _.find(sources, function(resource) {
+      return String(resource.id) === String(id);
+    });
+    var target = source && _.find(targets, function(resource) {
+      return resource[key] === source[key];
+    });
+    if (!target) throw new errors.ValidationError("Nothing in the target " +
+      "project matches " + (source ? key + ' "' + source[key] + '"' : id) +
+      " from " + field + "; set overrides." + field);
+    return target.id;
+  });
+}
+
+/**
+ * @public
+ * @name templates.clone
+ * @since 0.7.0
+ * @description Copy an experiment with its variations, audiences and goal
+ * attachments. In another project, audiences and goals are matched by name
+ * and title; the clone is refused before anything is written if one has
+ * no match, unless overrides sets audience_ids or goal_ids.
+ * @param {OptimizelyClient} client
+ * @param {string|number} experimentId
+ * @param {object} [options] An object with the following properties:
+ * {
+ *   @param {string|number} [targetProjectId] Defaults to the experiment's
+ *   @param {object} [overrides] Fields set on the copy instead, including
+ *                   variations, audience_ids and goal_ids
+ * }
+ * @return {promise} A promise fulfilled with the new experiment
+ */
+var clone = Promise.method(function(client, experimentId, options) {
+  options = options || {};
+  if (!experimentId) throw new errors.ValidationError("Required: experimentId");
+  var overrides = options.overrides || {};
+  var projectId;
+  return read(client, experimentId).then(function(live) {
+    var sourceProjectId = live.experiment.project_id;
+    projectId = options.targetProjectId || sourceProjectId;
+    var definition = _.assign(definitionOf(live.experiment, live.variations,
+      live.goals), overrides);
+    if (String(projectId) === String(sourceProjectId)) return definition;
+    return Promise.props({
+      sourceAudiences: overrides.audience_ids ? [] : client.getAllAudiences({
+        project_id: sourceProjectId
+      }),
+      audiences: overrides.audience_ids ? [] : client.getAllAudiences({
+        project_id: projectId
+      }),
+      goals: overrides.goal_ids ? [] : client.getAllGoals({
+        project_id: projectId
+      })
+    }).then(function(target) {
+      if (!overrides.audience_ids) definition.audience_ids = mapByName(
+        definition.audience_ids, target.sourceAudiences, target.audiences,
+        "name", "audience_ids");
+      if (!overrides.goal_ids) definition.goal_ids = mapByName(
+        definition.goal_ids, live.goals, target.goals, "title", "goal_ids");
+      return definition;
+    });
+  }).then(function(definition) {
+    // Copied as is: braces in the copied code are not placeholders
+    return create(client, definition, projectId);
+  });
+})
+
+module.exports = {
+  placeholders: placeholders,
+  render: render,
+  fromExperiment: fromExperiment,
+  instantiate: instantiate,
+  clone: clone
+};
@@ -2,6 +2,8 @@ var OptimizelyClient = require("../lib/OptimizelyClient");
 var hat = require("hat")
 var assert = require("assert");
 var nock = require("nock");
+var Promise = require("bluebird");
+var _ = require("lodash");
 var token = "84111b0b811e12e1543e6e53a672b5b3:f7534f87";
 
 var stripPathEnd = function(path) {
@@ -55,7 +57,6 @@ describe("Successful API Calls", function() {
       client.createProject(options)
         .then(
           function(project) {
-            project = JSON.parse(project);
             assert.equal(project.id, PROJECTID);
             assert.equal(project.name, PROJECTNAME);
             assert.equal(project.status, "ACTIVE");
@@ -99,7 +100,6 @@ describe("Successful API Calls", function() {
         'project_name': newProjectName
       }
       client.updateProject(options).then(function(reply){
-        reply = JSON.parse(reply);
         assert.equal(reply["id"], PROJECTID);
         assert.equal(reply["project_name"], newProjectName);
         done();
@@ -116,7 +116,6 @@ describe("Successful API Calls", function() {
       });
     it('should return a list of projects', function(done){
       client.getProjects().then(function(reply){
-        reply = JSON.parse(reply);
         assert.equal(reply[0].project_id, PROJECTID);
         assert.equal(reply[0].project_name, PROJECTNAME);
         done();
@@ -145,7 +144,6 @@ describe("Successful API Calls", function() {
       client.createExperiment(options)
         .then(
           function(experiment) {
-            experiment = JSON.parse(experiment);
             assert.equal(experiment.id, EXPERIMENTID);
             assert.equal(experiment.edit_url, EDITURL);
             assert.equal(experiment.custom_css, "/*css comment*/");
@@ -173,7 +171,6 @@ describe("Successful API Calls", function() {
       client.pushExperiment(options)
         .then(
           function(experiment) {
-            experiment = JSON.parse(experiment);
             assert.equal(experiment.id, EXPERIMENTID);
             assert.equal(experiment.edit_url, EDITURL);
             assert.equal(experiment.custom_css, "/*css comment*/");
@@ -217,7 +214,6 @@ describe("Successful API Calls", function() {
       client.updateExperiment(options)
         .then(
           function(experiment) {
-            experiment = JSON.parse(experiment);
             assert.equal(experiment.description, options.description);
             done();
           },
@@ -239,7 +235,6 @@ describe("Successful API Calls", function() {
       client.pushExperiment(options)
         .then(
           function(experiment) {
-            experiment = JSON.parse(experiment);
             assert.equal(experiment.description, options.description);
             done();
           },
@@ -262,7 +257,6 @@ describe("Successful API Calls", function() {
       client.getExperiments(options)
         .then(
           function(experiments) {
-            experiments = JSON.parse(experiments);
             assert.equal(experiments[0].project_id, options.project_id);
             done();
           },
@@ -369,7 +363,6 @@ describe("Successful API Calls", function() {
       client.createVariation(options)
         .then(
           function(variation) {
-            variation = JSON.parse(variation);
             assert.equal(variation.description,
               "Variation Description");
             done();
@@ -393,7 +386,6 @@ describe("Successful API Calls", function() {
       client.pushVariation(options)
         .then(
           function(variation) {
-            variation = JSON.parse(variation);
             assert.equal(variation.description,
               "Variation Description");
             done();
@@ -433,7 +425,6 @@ describe("Successful API Calls", function() {
       client.updateVariation(options)
         .then(
           function(variation) {
-            variation = JSON.parse(variation);
             assert.equal(variation.description,
               "New " + "Variation Description");
             done();
@@ -457,7 +448,6 @@ describe("Successful API Calls", function() {
       client.pushVariation(options)
         .then(
           function(variation) {
-            variation = JSON.parse(variation);
             assert.equal(variation.description,
               "New " + "Variation Description");
             done();
@@ -523,13 +513,12 @@ describe("Successful API Calls", function() {
      */
     it('should create an audience', function(done) {
       var options = {
-        "id": PROJECTID,
+        "project_id": PROJECTID,
         "name": AUDIENCENAME
       }
       client.createAudience(options)
         .then(
           function(audience) {
-            audience = JSON.parse(audience);
             assert.equal(audience.name,
               AUDIENCENAME);
             done();
@@ -562,7 +551,6 @@ describe("Successful API Calls", function() {
       client.updateAudience(options)
         .then(
           function(audience) {
-            audience = JSON.parse(audience);
             assert.equal(audience.name,
               "New " + AUDIENCENAME);
             done();
@@ -574,10 +562,9 @@ describe("Successful API Calls", function() {
     });
     it('should return a list of audiences', function(done){
       var options = {
-        "id": PROJECTID
+        "project_id": PROJECTID
       }
       client.getAudiences(options).then(function(reply){
-        reply = JSON.parse(reply);
         assert.equal(reply[0].id, AUDIENCEID);
         assert.equal(reply[0].name, AUDIENCENAME);
         done();
@@ -623,13 +610,12 @@ describe("Successful API Calls", function() {
      */
     it('should create a dimension', function(done) {
       var options = {
-        "id": PROJECTID,
+        "project_id": PROJECTID,
         "name": DIMENSIONNAME
       }
       client.createDimension(options)
         .then(
           function(dimension) {
-            dimension = JSON.parse(dimension);
             assert.equal(dimension.name,
               DIMENSIONNAME);
             done();
@@ -662,7 +648,6 @@ describe("Successful API Calls", function() {
       client.updateDimension(options)
         .then(
           function(dimension) {
-            dimension = JSON.parse(dimension);
             assert.equal(dimension.name,
               "New " + DIMENSIONNAME);
             done();
@@ -674,10 +659,9 @@ describe("Successful API Calls", function() {
     });
     it('should return a list of dimensions', function(done){
       var options = {
-        "id": PROJECTID
+        "project_id": PROJECTID
       }
       client.getDimensions(options).then(function(reply){
-        reply = JSON.parse(reply);
         assert.equal(reply[0].id, DIMENSIONID);
         assert.equal(reply[0].name, DIMENSIONNAME);
         done();
@@ -710,10 +694,9 @@ describe("Successful API Calls", function() {
 
     it('should return a list of goals', function(done){
       var options = {
-        "id": PROJECTID
+        "project_id": PROJECTID
       }
       client.getGoals(options).then(function(reply){
-        reply = JSON.parse(reply);
         assert.equal(reply[0].id, GOALSID);
         assert.equal(reply[0].name, GOALSNAME);
         done();
@@ -721,6 +704,130 @@ describe("Successful API Calls", function() {
         done(error);
       })
     });
+    it('should create a goal', function(done){
+      scope.post('/projects/' + PROJECTID + '/goals/')
+        .reply(201, function(uri, requestBody) {
+          requestBody = JSON.parse(requestBody);
+          requestBody.id = GOALSID;
+          return requestBody;
+        });
+      client.createGoal({
+        "project_id": PROJECTID,
+        "title": GOALSNAME,
+        "goal_type": "click",
+        "selector": "#buy"
+      }).then(function(goal){
+        assert.equal(goal.id, GOALSID);
+        assert.equal(goal.title, GOALSNAME);
+        assert.equal(goal.goal_type, 0);
+        assert.equal(goal.project_id, undefined);
+        done();
+      }).then(null, done);
+    });
+    it('should get a goal', function(done){
+      scope.get('/goals/' + GOALSID)
+        .reply(200, function(uri, requestBody) {
+          return stripPathEnd(uri);
+        });
+      client.getGoal(GOALSID).then(function(id){
+        assert.equal(id, GOALSID);
+        done();
+      }).then(null, done);
+    });
+    it('should update a goal', function(done){
+      scope.put('/goals/' + GOALSID)
+        .reply(202, function(uri, requestBody) {
+          requestBody = JSON.parse(requestBody);
+          requestBody.id = stripPathEnd(uri);
+          return requestBody;
+        });
+      client.updateGoal({
+        "id": GOALSID,
+        "title": "New " + GOALSNAME
+      }).then(function(goal){
+        assert.equal(goal.id, GOALSID);
+        assert.equal(goal.title, "New " + GOALSNAME);
+        done();
+      }).then(null, done);
+    });
+    it('should attach a goal to an experiment', function(done){
+      scope.get('/goals/' + GOALSID)
+        .reply(200, function(uri, requestBody) {
+          return {
+            "id": GOALSID,
+            "experiment_ids": [1]
+          };
+        })
+        .put('/goals/' + GOALSID)
+        .reply(202, function(uri, requestBody) {
+          return JSON.parse(requestBody);
+        });
+      client.attachGoal({
+        "id": GOALSID,
+        "experiment_id": EXPERIMENTID
+      }).then(function(goal){
+        assert.deepEqual(goal.experiment_ids, [1, EXPERIMENTID]);
+        done();
+      }).then(null, done);
+    });
+    it('should detach a goal from an experiment', function(done){
+      scope.get('/goals/' + GOALSID)
+        .reply(200, function(uri, requestBody) {
+          return {
+            "id": GOALSID,
+            "experiment_ids": [1, EXPERIMENTID]
+          };
+        })
+        .put('/goals/' + GOALSID)
+        .reply(202, function(uri, requestBody) {
+          return JSON.parse(requestBody);
+        });
+      client.detachGoal({
+        "id": GOALSID,
+        "experiment_id": EXPERIMENTID
+      }).then(function(goal){
+        assert.deepEqual(goal.experiment_ids, [1]);
+        done();
+      }).then(null, done);
+    });
+    it('should delete a goal', function(done){
+      scope.intercept('/goals/' + GOALSID, 'DELETE')
+        .reply(204, function(uri, requestBody) {
+          return;
+        });
+      client.deleteGoal(GOALSID).then(function(){
+        done();
+      }).then(null, done);
+    });
+    it('should validate goals by type', function(done){
+      var invalid = [{
+        "project_id": PROJECTID,
+        "title": GOALSNAME,
+        "goal_type": "click"
+      }, {
+        "project_id": PROJECTID,
+        "title": GOALSNAME,
+        "goal_type": "pageview",
+        "urls": []
+      }, {
+        "project_id": PROJECTID,
+        "title": GOALSNAME,
+        "goal_type": 1
+      }, {
+        "project_id": PROJECTID,
+        "title": GOALSNAME,
+        "goal_type": "bogus"
+      }];
+      Promise.all(invalid.map(function(options){
+        return client.createGoal(options).then(function(){
+          throw new Error(FAILUREMESSAGE);
+        }, function(error){
+          assert(error instanceof OptimizelyClient.ValidationError);
+        });
+      })).then(function(){
+        done();
+      }).then(null, done);
+    });
   })
 
 })
@@ -752,7 +859,8 @@ describe("Unsuccessful API Calls", function() {
             done(FAILUREMESSAGE);
           },
           function(error) {
-            error = JSON.parse(error);
+            assert(error instanceof OptimizelyClient.ValidationError);
+            assert.equal(error.status, 400);
             assert.equal(error.message, FUNNELENVYERROR);
             done();
           }
@@ -776,7 +884,8 @@ describe("Unsuccessful API Calls", function() {
             done(FAILUREMESSAGE);
           },
           function(error) {
-            error = JSON.parse(error);
+            assert(error instanceof OptimizelyClient.ValidationError);
+            assert.equal(error.status, 400);
             assert.equal(error.message, FUNNELENVYERROR);
             done();
           }
@@ -800,7 +909,8 @@ describe("Unsuccessful API Calls", function() {
       client.updateProject(options).then(function(reply){
         done(FAILUREMESSAGE);
       }, function (error){
-        error = JSON.parse(error);
+        assert(error instanceof OptimizelyClient.ValidationError);
+        assert.equal(error.status, 400);
         assert.equal(error.message, FUNNELENVYERROR);
         done();
       })
@@ -817,7 +927,8 @@ describe("Unsuccessful API Calls", function() {
       client.getProjects().then(function(reply){
         done(FAILUREMESSAGE);
       }, function (error){
-        error = JSON.parse(error);
+        assert(error instanceof OptimizelyClient.ValidationError);
+        assert.equal(error.status, 400);
         assert.equal(error.message, FUNNELENVYERROR);
         done();
       });
@@ -848,7 +959,8 @@ describe("Unsuccessful API Calls", function() {
             done(FAILUREMESSAGE);
           },
           function(error) {
-            error = JSON.parse(error);
+            assert(error instanceof OptimizelyClient.ValidationError);
+            assert.equal(error.status, 400);
             assert.equal(error.message, FUNNELENVYERROR);
             done();
           }
@@ -875,7 +987,8 @@ describe("Unsuccessful API Calls", function() {
             done(FAILUREMESSAGE);
           },
           function(error) {
-            error = JSON.parse(error);
+            assert(error instanceof OptimizelyClient.ValidationError);
+            assert.equal(error.status, 400);
             assert.equal(error.message, FUNNELENVYERROR);
             done();
           }
@@ -899,7 +1012,8 @@ describe("Unsuccessful API Calls", function() {
             done(FAILUREMESSAGE);
           },
           function(error) {
-            error = JSON.parse(error);
+            assert(error instanceof OptimizelyClient.ValidationError);
+            assert.equal(error.status, 400);
             assert.equal(error.message, FUNNELENVYERROR);
             done();
           }
@@ -925,7 +1039,8 @@ describe("Unsuccessful API Calls", function() {
             done(FAILUREMESSAGE);
           },
           function(error) {
-            error = JSON.parse(error);
+            assert(error instanceof OptimizelyClient.ValidationError);
+            assert.equal(error.status, 400);
             assert.equal(error.message, FUNNELENVYERROR);
             done();
           }
@@ -951,7 +1066,8 @@ describe("Unsuccessful API Calls", function() {
             done(FAILUREMESSAGE);
           },
           function(error) {
-            error = JSON.parse(error);
+            assert(error instanceof OptimizelyClient.ValidationError);
+            assert.equal(error.status, 400);
             assert.equal(error.message, FUNNELENVYERROR);
             done();
           }
@@ -975,7 +1091,8 @@ describe("Unsuccessful API Calls", function() {
             done(FAILUREMESSAGE);
           },
           function(error) {
-            error = JSON.parse(error);
+            assert(error instanceof OptimizelyClient.ValidationError);
+            assert.equal(error.status, 400);
             assert.equal(error.message, FUNNELENVYERROR);
             done();
           }
@@ -1001,7 +1118,8 @@ describe("Unsuccessful API Calls", function() {
             done(FAILUREMESSAGE);
           },
           function(error) {
-            error = JSON.parse(error);
+            assert(error instanceof OptimizelyClient.ValidationError);
+            assert.equal(error.status, 400);
             assert.equal(error.message, FUNNELENVYERROR);
             done();
           }
@@ -1025,7 +1143,8 @@ describe("Unsuccessful API Calls", function() {
             done(error);
           },
           function(error) {
-            error = JSON.parse(error);
+            assert(error instanceof OptimizelyClient.ValidationError);
+            assert.equal(error.status, 400);
             assert.equal(error.message, FUNNELENVYERROR);
             done();
           }
@@ -1063,7 +1182,8 @@ describe("Unsuccessful API Calls", function() {
             done(FAILUREMESSAGE);
           },
           function(error) {
-            error = JSON.parse(error);
+            assert(error instanceof OptimizelyClient.ValidationError);
+            assert.equal(error.status, 400);
             assert.equal(error.message, FUNNELENVYERROR);
             done();
           }
@@ -1088,7 +1208,8 @@ describe("Unsuccessful API Calls", function() {
             done(FAILUREMESSAGE);
           },
           function(error) {
-            error = JSON.parse(error);
+            assert(error instanceof OptimizelyClient.ValidationError);
+            assert.equal(error.status, 400);
             assert.equal(error.message, FUNNELENVYERROR);
             done();
           }
@@ -1109,7 +1230,8 @@ describe("Unsuccessful API Calls", function() {
             done(FAILUREMESSAGE);
           },
           function(error) {
-            error = JSON.parse(error);
+            assert(error instanceof OptimizelyClient.ValidationError);
+            assert.equal(error.status, 400);
             assert.equal(error.message, FUNNELENVYERROR);
             done();
           }
@@ -1134,7 +1256,8 @@ describe("Unsuccessful API Calls", function() {
             done(FAILUREMESSAGE);
           },
           function(error) {
-            error = JSON.parse(error);
+            assert(error instanceof OptimizelyClient.ValidationError);
+            assert.equal(error.status, 400);
             assert.equal(error.message, FUNNELENVYERROR);
             done();
           }
@@ -1159,7 +1282,8 @@ describe("Unsuccessful API Calls", function() {
             done(FAILUREMESSAGE);
           },
           function(error) {
-            error = JSON.parse(error);
+            assert(error instanceof OptimizelyClient.ValidationError);
+            assert.equal(error.status, 400);
             assert.equal(error.message, FUNNELENVYERROR);
             done();
           }
@@ -1183,7 +1307,8 @@ describe("Unsuccessful API Calls", function() {
             done(error);
           },
           function(error) {
-            error = JSON.parse(error);
+            assert(error instanceof OptimizelyClient.ValidationError);
+            assert.equal(error.status, 400);
             assert.equal(error.message, FUNNELENVYERROR);
             done();
           }
@@ -1191,3 +1316,3646 @@ describe("Unsuccessful API Calls", function() {
     });
   })
 })
+
+////////////////////////
+//Error Handling Tests
+////////////////////////
+describe("Error Handling", function() {
+  var errorUrl = 'https://errors.optimizelyapis.com/experiment/v1';
+  var errorScope = nock(errorUrl);
+  var errorClient = new OptimizelyClient(token, {
+    url: errorUrl + '/'
+  });
+  var REQUESTID = hat();
+  var expectError = function(promise, ErrorClass, status, done) {
+    promise.then(function() {
+      done(FAILUREMESSAGE);
+    }, function(error) {
+      try {
+        assert(error instanceof ErrorClass);
+        assert(error instanceof OptimizelyClient.OptimizelyError);
+        assert.equal(error.status, status);
+        done();
+      } catch (e) {
+        done(e);
+      }
+    });
+  }
+  it('should reject with an AuthenticationError on 401', function(done) {
+    errorScope.get('/projects/' + PROJECTID)
+      .reply(401, {
+        status: 401,
+        message: FUNNELENVYERROR
+      });
+    expectError(errorClient.getProject(PROJECTID),
+      OptimizelyClient.AuthenticationError, 401, done);
+  });
+  it('should reject with a NotFoundError on 404', function(done) {
+    errorScope.get('/experiments/' + EXPERIMENTID)
+      .reply(404, {
+        status: 404,
+        message: FUNNELENVYERROR
+      });
+    expectError(errorClient.getExperiment(EXPERIMENTID),
+      OptimizelyClient.NotFoundError, 404, done);
+  });
+  it('should reject with a RateLimitError on 429', function(done) {
+    errorScope.get('/projects/')
+      .reply(429, {
+        status: 429,
+        message: FUNNELENVYERROR
+      });
+    expectError(errorClient.getProjects(),
+      OptimizelyClient.RateLimitError, 429, done);
+  });
+  it('should reject with a ServerError on 5xx', function(done) {
+    errorScope.get('/projects/' + PROJECTID + '/goals/')
+      .reply(503, "Service Unavailable");
+    expectError(errorClient.getGoals(PROJECTID),
+      OptimizelyClient.ServerError, 503, done);
+  });
+  it('should describe the failed request', function(done) {
+    errorScope.intercept('/variations/' + VARIATIONID, 'DELETE')
+      .reply(400, {
+        status: 400,
+        message: FUNNELENVYERROR,
+        uuid: REQUESTID
+      });
+    errorClient.deleteVariation(VARIATIONID).then(function() {
+      done(FAILUREMESSAGE);
+    }, function(error) {
+      assert(error instanceof OptimizelyClient.ValidationError);
+      assert.equal(error.method, 'DELETE');
+      assert.equal(error.url, errorUrl + '/variations/' + VARIATIONID);
+      assert.equal(error.body.message, FUNNELENVYERROR);
+      assert.equal(error.requestId, REQUESTID);
+      done();
+    }).then(null, done);
+  });
+  it('should reject with a NetworkError when no response arrives', function(done) {
+    var offlineClient = new OptimizelyClient(token, {
+      url: 'http://127.0.0.1:1/'
+    });
+    nock.enableNetConnect('127.0.0.1');
+    offlineClient.getProjects().then(function() {
+      done(FAILUREMESSAGE);
+    }, function(error) {
+      assert(error instanceof OptimizelyClient.NetworkError);
+      assert.equal(error.status, undefined);
+      assert(error.cause);
+      done();
+    }).then(null, done);
+  });
+  it('should reject invalid arguments with a ValidationError', function(done) {
+    errorClient.getExperiment().then(function() {
+      done(FAILUREMESSAGE);
+    }, function(error) {
+      assert(error instanceof OptimizelyClient.ValidationError);
+      assert.equal(error.message, "required: options.id");
+      assert.equal(error.status, undefined);
+      done();
+    }).then(null, done);
+  });
+});
+
+////////////////////////
+//Retry Tests
+////////////////////////
+describe("Retries", function() {
+  var retry = require("../lib/retry");
+  var retryUrl = 'https://retries.optimizelyapis.com/experiment/v1';
+  var retryScope = nock(retryUrl);
+  var retryClient = new OptimizelyClient(token, {
+    url: retryUrl + '/',
+    retry: {
+      maxAttempts: 3,
+      baseDelay: 1,
+      maxDelay: 10
+    }
+  });
+  it('should retry a GET that fails with 503', function(done) {
+    retryScope.get('/projects/' + PROJECTID)
+      .reply(503, "Service Unavailable")
+      .get('/projects/' + PROJECTID)
+      .reply(200, function(uri, requestBody) {
+        return stripPathEnd(uri);
+      });
+    retryClient.getProject(PROJECTID).then(function(id) {
+      assert.equal(id, PROJECTID);
+      done();
+    }).then(null, done);
+  });
+  it('should honour Retry-After on 429', function(done) {
+    retryScope.get('/projects/')
+      .reply(429, {
+        status: 429,
+        message: FUNNELENVYERROR
+      }, {
+        'Retry-After': '0'
+      })
+      .get('/projects/')
+      .reply(200, function(uri, requestBody) {
+        return [{
+          "project_id": PROJECTID
+        }];
+      });
+    retryClient.getProjects().then(function(projects) {
+      assert.equal(projects[0].project_id, PROJECTID);
+      done();
+    }).then(null, done);
+  });
+  it('should give up after maxAttempts', function(done) {
+    retryScope.get('/experiments/' + EXPERIMENTID)
+      .times(3)
+      .reply(502, "Bad Gateway");
+    retryClient.getExperiment(EXPERIMENTID).then(function() {
+      done(FAILUREMESSAGE);
+    }, function(error) {
+      assert(error instanceof OptimizelyClient.ServerError);
+      assert.equal(error.attempts, 3);
+      done();
+    }).then(null, done);
+  });
+  it('should not retry a POST by default', function(done) {
+    retryScope.post('/projects/')
+      .reply(503, "Service Unavailable");
+    retryClient.createProject({}).then(function() {
+      done(FAILUREMESSAGE);
+    }, function(error) {
+      assert(error instanceof OptimizelyClient.ServerError);
+      assert.equal(error.attempts, 1);
+      done();
+    }).then(null, done);
+  });
+  it('should not retry a 400', function(done) {
+    retryScope.get('/variations/' + VARIATIONID)
+      .reply(400, {
+        status: 400,
+        message: FUNNELENVYERROR
+      });
+    retryClient.getVariation(VARIATIONID).then(function() {
+      done(FAILUREMESSAGE);
+    }, function(error) {
+      assert(error instanceof OptimizelyClient.ValidationError);
+      assert.equal(error.attempts, 1);
+      done();
+    }).then(null, done);
+  });
+  it('should retry refused connections', function(done) {
+    var offlineClient = new OptimizelyClient(token, {
+      url: 'http://127.0.0.1:1/',
+      retry: {
+        maxAttempts: 2,
+        baseDelay: 1
+      }
+    });
+    offlineClient.getProjects().then(function() {
+      done(FAILUREMESSAGE);
+    }, function(error) {
+      assert(error instanceof OptimizelyClient.NetworkError);
+      assert.equal(error.attempts, 2);
+      done();
+    }).then(null, done);
+  });
+  it('should not retry when no policy is configured', function() {
+    var policy = retry.normalize();
+    assert.equal(policy.maxAttempts, 1);
+  });
+  it('should compute capped exponential backoff', function() {
+    var policy = retry.normalize({
+      baseDelay: 100,
+      maxDelay: 300,
+      jitter: false
+    });
+    var error = new OptimizelyClient.ServerError("", {
+      status: 503
+    });
+    assert.equal(retry.delay(policy, 1, error), 100);
+    assert.equal(retry.delay(policy, 2, error), 200);
+    assert.equal(retry.delay(policy, 3, error), 300);
+    error.headers = {
+      'retry-after': '0.25'
+    };
+    assert.equal(retry.delay(policy, 3, error), 250);
+  });
+});
+
+////////////////////////
+//Scheduler Tests
+////////////////////////
+describe("Request Scheduler", function() {
+  var RequestScheduler = OptimizelyClient.RequestScheduler;
+  var schedulerUrl = 'https://scheduler.optimizelyapis.com/experiment/v1';
+  var schedulerScope = nock(schedulerUrl);
+  it('should limit the number of tasks in flight', function(done) {
+    var scheduler = new RequestScheduler({
+      maxConcurrency: 2
+    });
+    var running = 0;
+    var peak = 0;
+    var task = function() {
+      running++;
+      peak = Math.max(peak, running);
+      return Promise.delay(5).then(function() {
+        running--;
+      });
+    }
+    var tasks = [1, 2, 3, 4, 5].map(function() {
+      return scheduler.schedule(task);
+    });
+    assert.equal(scheduler.pending(), 2);
+    assert.equal(scheduler.size(), 3);
+    Promise.all(tasks).then(function() {
+      assert.equal(peak, 2);
+      assert.equal(scheduler.size(), 0);
+      assert.equal(scheduler.pending(), 0);
+      done();
+    }).then(null, done);
+  });
+  it('should limit the rate at which tasks start', function(done) {
+    var scheduler = new RequestScheduler({
+      requestsPerSecond: 100,
+      burst: 1
+    });
+    var started = Date.now();
+    var tasks = [1, 2, 3].map(function() {
+      return scheduler.schedule(function() {
+        return Date.now() - started;
+      });
+    });
+    Promise.all(tasks).then(function(offsets) {
+      assert(offsets[2] >= 15, "third task started after " + offsets[2] + "ms");
+      done();
+    }).then(null, done);
+  });
+  it('should pass task rejections through', function(done) {
+    var scheduler = new RequestScheduler();
+    scheduler.schedule(function() {
+      throw new Error(FUNNELENVYERROR);
+    }).then(function() {
+      done(FAILUREMESSAGE);
+    }, function(error) {
+      assert.equal(error.message, FUNNELENVYERROR);
+      done();
+    }).then(null, done);
+  });
+  it('should hold client requests while paused', function(done) {
+    var schedulerClient = new OptimizelyClient(token, {
+      url: schedulerUrl + '/',
+      scheduler: {
+        maxConcurrency: 1
+      }
+    });
+    schedulerScope.get('/projects/' + PROJECTID)
+      .reply(200, function(uri, requestBody) {
+        return stripPathEnd(uri);
+      });
+    schedulerClient.scheduler.pause();
+    var request = schedulerClient.getProject(PROJECTID);
+    Promise.delay(5).then(function() {
+      assert.equal(schedulerClient.scheduler.size(), 1);
+      assert.equal(schedulerClient.scheduler.pending(), 0);
+      schedulerClient.scheduler.resume();
+      return request;
+    }).then(function(id) {
+      assert.equal(id, PROJECTID);
+      done();
+    }).then(null, done);
+  });
+});
+
+////////////////////////
+//Pagination Tests
+////////////////////////
+describe("Pagination", function() {
+  var pageUrl = 'https://pages.optimizelyapis.com/experiment/v1';
+  var pageScope = nock(pageUrl);
+  var pageClient = new OptimizelyClient(token, {
+    url: pageUrl + '/'
+  });
+  var experimentsPage = function(ids) {
+    return function(uri, requestBody) {
+      return ids.map(function(id) {
+        return {
+          "id": id,
+          "project_id": PROJECTID
+        };
+      });
+    }
+  }
+  it('should request a single page', function(done) {
+    pageScope.get('/projects/?page=2&per_page=10')
+      .reply(200, function(uri, requestBody) {
+        return [{
+          "project_id": PROJECTID
+        }];
+      });
+    pageClient.getProjects({
+      page: 2,
+      per_page: 10
+    }).then(function(projects) {
+      assert.equal(projects[0].project_id, PROJECTID);
+      done();
+    }).then(null, done);
+  });
+  it('should follow pages until exhausted', function(done) {
+    pageScope.get('/projects/' + PROJECTID + '/experiments/?page=1&per_page=2')
+      .reply(200, experimentsPage([1, 2]))
+      .get('/projects/' + PROJECTID + '/experiments/?page=2&per_page=2')
+      .reply(200, experimentsPage([3, 4]))
+      .get('/projects/' + PROJECTID + '/experiments/?page=3&per_page=2')
+      .reply(200, experimentsPage([5]));
+    pageClient.getAllExperiments({
+      project_id: PROJECTID,
+      per_page: 2
+    }).then(function(experiments) {
+      assert.deepEqual(experiments.map(function(experiment) {
+        return experiment.id;
+      }), [1, 2, 3, 4, 5]);
+      done();
+    }).then(null, done);
+  });
+  it('should stop on an empty page', function(done) {
+    pageScope.get('/projects/' + PROJECTID + '/goals/?page=1&per_page=1')
+      .reply(200, function(uri, requestBody) {
+        return [{
+          "id": GOALSID
+        }];
+      })
+      .get('/projects/' + PROJECTID + '/goals/?page=2&per_page=1')
+      .reply(200, function(uri, requestBody) {
+        return [];
+      });
+    pageClient.getAllGoals({
+      project_id: PROJECTID,
+      per_page: 1
+    }).then(function(goals) {
+      assert.equal(goals.length, 1);
+      assert.equal(goals[0].id, GOALSID);
+      done();
+    }).then(null, done);
+  });
+  it('should iterate one page at a time', function(done) {
+    pageScope.get('/projects/' + PROJECTID + '/audiences/?page=1&per_page=100')
+      .reply(200, function(uri, requestBody) {
+        return [{
+          "id": AUDIENCEID
+        }];
+      })
+      .get('/projects/' + PROJECTID + '/audiences/?page=2&per_page=100')
+      .reply(200, []);
+    var iterator = pageClient.iterateAudiences(PROJECTID);
+    iterator.next().then(function(result) {
+      assert.equal(result.done, false);
+      assert.equal(result.value.id, AUDIENCEID);
+      return iterator.next();
+    }).then(function(result) {
+      assert.equal(result.done, true);
+      done();
+    }).then(null, done);
+  });
+  it('should stop when the server ignores the page options', function(done) {
+    var requested = [];
+    var fullList = _.range(100).map(function(index) {
+      return {
+        "id": index + 1,
+        "project_id": PROJECTID
+      };
+    });
+    var ignoringClient = new OptimizelyClient(token, {
+      url: pageUrl + '/',
+      transport: {
+        request: function(method, url) {
+          requested.push(url);
+          return Promise.resolve({
+            status: 200,
+            headers: {},
+            body: JSON.stringify(fullList)
+          });
+        }
+      }
+    });
+    ignoringClient.getAllExperiments(PROJECTID).then(function(experiments) {
+      assert.equal(experiments.length, 100);
+      assert.equal(requested.length, 2);
+      done();
+    }).then(null, done);
+  });
+  it('should keep paging when the server caps the page size', function(done) {
+    pageScope.get('/projects/' + PROJECTID + '/experiments/?page=1&per_page=4')
+      .reply(200, experimentsPage([1, 2]))
+      .get('/projects/' + PROJECTID + '/experiments/?page=2&per_page=4')
+      .reply(200, experimentsPage([3, 4]))
+      .get('/projects/' + PROJECTID + '/experiments/?page=3&per_page=4')
+      .reply(200, experimentsPage([5]));
+    pageClient.getAllExperiments({
+      project_id: PROJECTID,
+      per_page: 4
+    }).then(function(experiments) {
+      assert.deepEqual(experiments.map(function(experiment) {
+        return experiment.id;
+      }), [1, 2, 3, 4, 5]);
+      done();
+    }).then(null, done);
+  });
+  it('should give up after the maximum number of pages', function(done) {
+    var pagination = require("../lib/pagination");
+    var fetched = 0;
+    var iterator = pagination.iterate(function(page) {
+      fetched++;
+      return [{
+        "id": page
+      }];
+    }, 1);
+    pagination.collect(iterator).then(function() {
+      done(new Error("Expected a rejection"));
+    }, function(error) {
+      assert.ok(error instanceof OptimizelyClient.OptimizelyError);
+      assert.equal(fetched, pagination.MAX_PAGES);
+      done();
+    }).then(null, done);
+  });
+  it('should pass page errors to the caller', function(done) {
+    pageScope.get('/projects/' + PROJECTID + '/dimensions/?page=1&per_page=100')
+      .reply(404, {
+        status: 404,
+        message: FUNNELENVYERROR
+      });
+    pageClient.getAllDimensions(PROJECTID).then(function() {
+      done(FAILUREMESSAGE);
+    }, function(error) {
+      assert(error instanceof OptimizelyClient.NotFoundError);
+      done();
+    }).then(null, done);
+  });
+});
+
+////////////////////////
+//Model Tests
+////////////////////////
+describe("Models", function() {
+  var models = OptimizelyClient.models;
+  var modelUrl = 'https://models.optimizelyapis.com/experiment/v1';
+  var modelScope = nock(modelUrl);
+  var modelClient = new OptimizelyClient(token, {
+    url: modelUrl + '/',
+    models: true
+  });
+  var plainClient = new OptimizelyClient(token, {
+    url: modelUrl + '/'
+  });
+  var experiment = {
+    "id": EXPERIMENTID,
+    "project_id": PROJECTID,
+    "description": EXPERIMENTDESCRIPTION,
+    "variation_ids": [VARIATIONID]
+  };
+  it('should parse JSON whatever the content type', function(done) {
+    modelScope.get('/experiments/' + EXPERIMENTID)
+      .reply(200, JSON.stringify(experiment), {
+        'Content-Type': 'text/plain'
+      })
+      .get('/experiments/' + EXPERIMENTID)
+      .reply(200, experiment);
+    plainClient.getExperiment(EXPERIMENTID).then(function(asText) {
+      assert.deepEqual(asText, experiment);
+      return plainClient.getExperiment(EXPERIMENTID);
+    }).then(function(asJson) {
+      assert.deepEqual(asJson, experiment);
+      done();
+    }).then(null, done);
+  });
+  it('should wrap resources in models', function(done) {
+    modelScope.get('/experiments/' + EXPERIMENTID)
+      .reply(200, experiment);
+    modelClient.getExperiment(EXPERIMENTID).then(function(result) {
+      assert(result instanceof models.Experiment);
+      assert.equal(result.description, EXPERIMENTDESCRIPTION);
+      assert.deepEqual(result.raw, experiment);
+      assert.strictEqual(result.client, modelClient);
+      assert.deepEqual(JSON.parse(JSON.stringify(result)), experiment);
+      done();
+    }).then(null, done);
+  });
+  it('should wrap every item of a list', function(done) {
+    modelScope.get('/projects/')
+      .reply(200, [{
+        "id": PROJECTID
+      }])
+      .get('/projects/' + PROJECTID + '/experiments/')
+      .reply(200, [experiment]);
+    modelClient.getProjects().then(function(projects) {
+      assert(projects[0] instanceof models.Project);
+      return projects[0].getExperiments();
+    }).then(function(experiments) {
+      assert(experiments[0] instanceof models.Experiment);
+      assert.equal(experiments[0].id, EXPERIMENTID);
+      done();
+    }).then(null, done);
+  });
+  it('should navigate from an experiment', function(done) {
+    modelScope.get('/experiments/' + EXPERIMENTID + '/variations/')
+      .reply(200, [{
+        "id": VARIATIONID,
+        "experiment_id": EXPERIMENTID
+      }])
+      .get('/experiments/' + EXPERIMENTID + '/results')
+      .reply(200, [{
+        "variation_id": VARIATIONID
+      }]);
+    var model = new models.Experiment(experiment, modelClient);
+    model.getVariations().then(function(variations) {
+      assert.equal(variations.length, 1);
+      assert(variations[0] instanceof models.Variation);
+      assert.equal(variations[0].experiment_id, EXPERIMENTID);
+      return model.getResults();
+    }).then(function(results) {
+      assert.equal(results[0].variation_id, VARIATIONID);
+      done();
+    }).then(null, done);
+  });
+});
+
+////////////////////////
+//Deletion Tests
+////////////////////////
+describe("Deletion", function() {
+  var deleteUrl = 'https://deletes.optimizelyapis.com/experiment/v1';
+  var deleteScope = nock(deleteUrl);
+  var deleteClient = new OptimizelyClient(token, {
+    url: deleteUrl + '/'
+  });
+  var experimentsPath = '/projects/' + PROJECTID +
+    '/experiments/?page=1&per_page=100';
+  // The empty page that ends the list
+  var endPath = '/projects/' + PROJECTID +
+    '/experiments/?page=2&per_page=100';
+  var experiments = function(uri, requestBody) {
+    return [{
+      "id": 1,
+      "status": "Running",
+      "audience_ids": [AUDIENCEID]
+    }, {
+      "id": 2,
+      "status": "Paused",
+      "audience_ids": ["other"]
+    }];
+  }
+  it('should archive a project', function(done) {
+    deleteScope.put('/projects/' + PROJECTID)
+      .reply(202, function(uri, requestBody) {
+        return JSON.parse(requestBody);
+      });
+    deleteClient.archiveProject(PROJECTID).then(function(project) {
+      assert.equal(project.project_status, "Archived");
+      done();
+    }).then(null, done);
+  });
+  it('should refuse to delete an audience used by a running experiment', function(done) {
+    deleteScope.get('/audiences/' + AUDIENCEID)
+      .reply(200, {
+        "id": AUDIENCEID,
+        "project_id": PROJECTID
+      })
+      .get(experimentsPath)
+      .reply(200, experiments)
+      .get(endPath)
+      .reply(200, [])
+      .get(endPath)
+      .reply(200, []);
+    deleteClient.deleteAudience(AUDIENCEID).then(function() {
+      done(FAILUREMESSAGE);
+    }, function(error) {
+      assert(error instanceof OptimizelyClient.ConflictError);
+      assert.deepEqual(error.body.experiment_ids, [1]);
+      done();
+    }).then(null, done);
+  });
+  it('should delete an audience used by a running experiment with force', function(done) {
+    deleteScope.intercept('/audiences/' + AUDIENCEID, 'DELETE')
+      .reply(204);
+    deleteClient.deleteAudience({
+      "id": AUDIENCEID,
+      "force": true
+    }).then(function() {
+      done();
+    }).then(null, done);
+  });
+  it('should delete an audience no running experiment uses', function(done) {
+    deleteScope.get('/audiences/other')
+      .reply(200, {
+        "id": "other",
+        "project_id": PROJECTID
+      })
+      .get(experimentsPath)
+      .reply(200, experiments)
+      .get(endPath)
+      .reply(200, [])
+      .intercept('/audiences/other', 'DELETE')
+      .reply(204);
+    deleteClient.deleteAudience("other").then(function() {
+      done();
+    }).then(null, done);
+  });
+  it('should refuse to delete a dimension used by a running experiment', function(done) {
+    deleteScope.get('/dimensions/' + DIMENSIONID)
+      .reply(200, {
+        "id": DIMENSIONID,
+        "project_id": PROJECTID
+      })
+      .get(experimentsPath)
+      .reply(200, experiments)
+      .get(endPath)
+      .reply(200, [])
+      .get('/audiences/' + AUDIENCEID)
+      .reply(200, {
+        "id": AUDIENCEID,
+        "conditions": JSON.stringify(["and", ["or", {
+          "type": "dimension",
+          "id": DIMENSIONID,
+          "value": "yes"
+        }]])
+      });
+    deleteClient.deleteDimension(DIMENSIONID).then(function() {
+      done(FAILUREMESSAGE);
+    }, function(error) {
+      assert(error instanceof OptimizelyClient.ConflictError);
+      done();
+    }).then(null, done);
+  });
+  it('should delete a dimension no running experiment uses', function(done) {
+    deleteScope.get('/dimensions/' + DIMENSIONID)
+      .reply(200, {
+        "id": DIMENSIONID,
+        "project_id": PROJECTID
+      })
+      .get(experimentsPath)
+      .reply(200, experiments)
+      .get(endPath)
+      .reply(200, [])
+      .get('/audiences/' + AUDIENCEID)
+      .reply(200, {
+        "id": AUDIENCEID,
+        "conditions": []
+      })
+      .intercept('/dimensions/' + DIMENSIONID, 'DELETE')
+      .reply(204);
+    deleteClient.deleteDimension(DIMENSIONID).then(function() {
+      done();
+    }).then(null, done);
+  });
+});
+
+////////////////////////
+//Experiment Lifecycle Tests
+////////////////////////
+describe("Experiment Lifecycle", function() {
+  var lifecycleUrl = 'https://lifecycle.optimizelyapis.com/experiment/v1';
+  var lifecycleScope = nock(lifecycleUrl);
+  var lifecycleClient = new OptimizelyClient(token, {
+    url: lifecycleUrl + '/'
+  });
+  var currently = function(status) {
+    lifecycleScope.get('/experiments/' + EXPERIMENTID)
+      .reply(200, {
+        "id": EXPERIMENTID,
+        "status": status,
+        "custom_js": "//js comment"
+      });
+  }
+  var expectStatus = function(status) {
+    lifecycleScope.put('/experiments/' + EXPERIMENTID)
+      .reply(202, function(uri, requestBody) {
+        requestBody = JSON.parse(requestBody);
+        assert.deepEqual(requestBody, {
+          "status": status
+        });
+        return {
+          "id": EXPERIMENTID,
+          "status": status,
+          "custom_js": "//js comment"
+        };
+      });
+  }
+  it('should start an experiment sending only its status', function(done) {
+    currently("Not started");
+    expectStatus("Running");
+    lifecycleClient.startExperiment(EXPERIMENTID).then(function(experiment) {
+      assert.equal(experiment.status, "Running");
+      assert.equal(experiment.custom_js, "//js comment");
+      done();
+    }).then(null, done);
+  });
+  it('should pause a running experiment', function(done) {
+    currently("Running");
+    expectStatus("Paused");
+    lifecycleClient.pauseExperiment({
+      "id": EXPERIMENTID
+    }).then(function(experiment) {
+      assert.equal(experiment.status, "Paused");
+      done();
+    }).then(null, done);
+  });
+  it('should archive and unarchive an experiment', function(done) {
+    currently("Paused");
+    expectStatus("Archived");
+    currently("Archived");
+    expectStatus("Paused");
+    lifecycleClient.archiveExperiment(EXPERIMENTID).then(function(experiment) {
+      assert.equal(experiment.status, "Archived");
+      return lifecycleClient.unarchiveExperiment(EXPERIMENTID);
+    }).then(function(experiment) {
+      assert.equal(experiment.status, "Paused");
+      done();
+    }).then(null, done);
+  });
+  it('should leave an experiment already in the target status alone', function(done) {
+    currently("Running");
+    lifecycleClient.startExperiment(EXPERIMENTID).then(function(experiment) {
+      assert.equal(experiment.status, "Running");
+      done();
+    }).then(null, done);
+  });
+  it('should not start an archived experiment', function(done) {
+    currently("Archived");
+    lifecycleClient.startExperiment(EXPERIMENTID).then(function() {
+      done(FAILUREMESSAGE);
+    }, function(error) {
+      assert(error instanceof OptimizelyClient.ConflictError);
+      done();
+    }).then(null, done);
+  });
+});
+
+////////////////////////
+//Partial Update Tests
+////////////////////////
+describe("Partial Updates", function() {
+  var updateUrl = 'https://updates.optimizelyapis.com/experiment/v1';
+  var updateScope = nock(updateUrl);
+  var updateClient = new OptimizelyClient(token, {
+    url: updateUrl + '/'
+  });
+  var LASTMODIFIED = "2015-03-01T00:00:00Z";
+  var echo = function(uri, requestBody) {
+    return JSON.parse(requestBody);
+  }
+  it('should only send the fields passed to updateExperiment', function(done) {
+    updateScope.put('/experiments/' + EXPERIMENTID)
+      .reply(202, echo);
+    updateClient.updateExperiment({
+      "id": EXPERIMENTID,
+      "description": EXPERIMENTDESCRIPTION
+    }).then(function(sent) {
+      assert.deepEqual(sent, {
+        "id": EXPERIMENTID,
+        "description": EXPERIMENTDESCRIPTION
+      });
+      done();
+    }).then(null, done);
+  });
+  it('should keep every field passed to updateVariation', function(done) {
+    updateScope.put('/variations/' + VARIATIONID)
+      .reply(202, echo);
+    updateClient.updateVariation({
+      "id": VARIATIONID,
+      "weight": 5000
+    }).then(function(sent) {
+      assert.deepEqual(sent, {
+        "id": VARIATIONID,
+        "weight": 5000
+      });
+      done();
+    }).then(null, done);
+  });
+  it('should merge changes over the current resource', function(done) {
+    updateScope.get('/variations/' + VARIATIONID)
+      .reply(200, {
+        "id": VARIATIONID,
+        "description": VARIATIONDESCRIPTION,
+        "js_component": "//js",
+        "weight": 5000,
+        "last_modified": LASTMODIFIED
+      })
+      .put('/variations/' + VARIATIONID)
+      .reply(202, echo);
+    updateClient.updateVariation({
+      "id": VARIATIONID,
+      "description": "New " + VARIATIONDESCRIPTION,
+      "readModifyWrite": true,
+      "last_modified": LASTMODIFIED
+    }).then(function(sent) {
+      assert.deepEqual(sent, {
+        "id": VARIATIONID,
+        "description": "New " + VARIATIONDESCRIPTION,
+        "js_component": "//js",
+        "weight": 5000
+      });
+      done();
+    }).then(null, done);
+  });
+  it('should validate goal types against the merged goal', function(done) {
+    updateScope.get('/goals/' + GOALSID)
+      .reply(200, {
+        "id": GOALSID,
+        "goal_type": 1,
+        "event": "signup",
+        "selector": "#signup"
+      })
+      .put('/goals/' + GOALSID)
+      .reply(202, echo)
+      .put('/goals/' + GOALSID)
+      .reply(202, echo)
+      .get('/goals/' + GOALSID)
+      .reply(200, {
+        "id": GOALSID,
+        "goal_type": 1,
+        "event": "signup"
+      });
+    updateClient.updateGoal({
+      "id": GOALSID,
+      "goal_type": "click",
+      "readModifyWrite": true
+    }).then(function(sent) {
+      assert.equal(sent.goal_type, 0);
+      assert.equal(sent.selector, "#signup");
+      return updateClient.updateGoal({
+        "id": GOALSID,
+        "goal_type": "click"
+      });
+    }).then(function(sent) {
+      assert.deepEqual(sent, {
+        "id": GOALSID,
+        "goal_type": 0
+      });
+      return updateClient.updateGoal({
+        "id": GOALSID,
+        "goal_type": "click",
+        "selector": ""
+      }).then(function() {
+        throw new Error(FAILUREMESSAGE);
+      }, function(error) {
+        assert(error instanceof OptimizelyClient.ValidationError);
+        return updateClient.updateGoal({
+          "id": GOALSID,
+          "goal_type": "click",
+          "readModifyWrite": true
+        });
+      });
+    }).then(function() {
+      done(FAILUREMESSAGE);
+    }, function(error) {
+      assert(error instanceof OptimizelyClient.ValidationError);
+      assert.equal(error.message, "Required: options.selector for click goals");
+      done();
+    }).then(null, done);
+  });
+  it('should detect concurrent modification', function(done) {
+    updateScope.get('/audiences/' + AUDIENCEID)
+      .reply(200, {
+        "id": AUDIENCEID,
+        "last_modified": "2015-03-02T00:00:00Z"
+      });
+    updateClient.updateAudience({
+      "id": AUDIENCEID,
+      "name": AUDIENCENAME,
+      "readModifyWrite": true,
+      "last_modified": LASTMODIFIED
+    }).then(function() {
+      done(FAILUREMESSAGE);
+    }, function(error) {
+      assert(error instanceof OptimizelyClient.ConflictError);
+      assert.equal(error.body.last_modified, "2015-03-02T00:00:00Z");
+      done();
+    }).then(null, done);
+  });
+});
+
+////////////////////////
+//Fake Server Tests
+////////////////////////
+describe("Fake Server", function() {
+  var server = new OptimizelyClient.FakeServer({
+    token: token
+  });
+  var fakeClient;
+  before(function(done) {
+    server.listen().then(function(fakeUrl) {
+      fakeClient = new OptimizelyClient(token, {
+        url: fakeUrl
+      });
+      done();
+    }, done);
+  });
+  after(function(done) {
+    server.close().then(function() {
+      done();
+    }, done);
+  });
+  it('should create and read back resources', function(done) {
+    var project;
+    var experiment;
+    fakeClient.createProject({
+      "project_name": PROJECTNAME
+    }).then(function(created) {
+      project = created;
+      assert.equal(typeof project.id, "number");
+      return fakeClient.createExperiment({
+        "project_id": project.id,
+        "edit_url": EDITURL,
+        "description": EXPERIMENTDESCRIPTION
+      });
+    }).then(function(created) {
+      experiment = created;
+      assert.equal(experiment.status, "Not started");
+      assert.deepEqual(experiment.variation_ids.map(function(id) {
+        return _.pick(server.store.variations[id], ["description", "weight"]);
+      }), [{
+        "description": "Original",
+        "weight": 5000
+      }, {
+        "description": "Variation #1",
+        "weight": 5000
+      }]);
+      return fakeClient.createVariation({
+        "experiment_id": experiment.id,
+        "description": VARIATIONDESCRIPTION
+      });
+    }).then(function(variation) {
+      assert.equal(variation.experiment_id, experiment.id);
+      return fakeClient.getExperimentByDescription({
+        "project_id": project.id,
+        "description": EXPERIMENTDESCRIPTION
+      });
+    }).then(function(found) {
+      assert.equal(found.id, experiment.id);
+      assert.equal(found.variation_ids.length, 3);
+      done();
+    }).then(null, done);
+  });
+  it('should generate results for attached goals', function(done) {
+    var experiment = server.seed("experiments", {
+      "project_id": 1,
+      "edit_url": EDITURL,
+      "variation_ids": [11, 12]
+    })[0];
+    server.seed("variations", [{
+      "id": 11,
+      "description": "Original"
+    }, {
+      "id": 12,
+      "description": "Variation #1"
+    }]);
+    server.seed("goals", {
+      "id": 21,
+      "title": GOALSNAME,
+      "experiment_ids": [experiment.id]
+    });
+    fakeClient.getStats(experiment.id).then(function(stats) {
+      assert.equal(stats.length, 2);
+      assert.equal(stats[0].baseline_id, "11");
+      assert.equal(stats[1].goal_id, 21);
+      assert(stats[1].visitors > 0);
+      done();
+    }).then(null, done);
+  });
+  it('should answer API style errors', function(done) {
+    fakeClient.getExperiment(1).then(function() {
+      done(FAILUREMESSAGE);
+    }, function(error) {
+      assert(error instanceof OptimizelyClient.NotFoundError);
+      assert(error.requestId);
+      return fakeClient.createExperiment({
+        "project_id": 1,
+        "edit_url": EDITURL
+      });
+    }).then(function() {
+      done(FAILUREMESSAGE);
+    }, function(error) {
+      assert(error instanceof OptimizelyClient.NotFoundError);
+      return new OptimizelyClient("wrong", {
+        url: fakeClient.baseUrl
+      }).getProjects();
+    }).then(function() {
+      done(FAILUREMESSAGE);
+    }, function(error) {
+      assert(error instanceof OptimizelyClient.AuthenticationError);
+      done();
+    }).then(null, done);
+  });
+});
+
+////////////////////////
+//CLI Tests
+////////////////////////
+describe("CLI", function() {
+  var cli = require("../lib/cli");
+  var server = new OptimizelyClient.FakeServer({
+    token: token
+  });
+  var env;
+  var output = function() {
+    var stream = {
+      text: "",
+      write: function(chunk) {
+        stream.text += chunk;
+      }
+    };
+    return stream;
+  }
+  var run = function(argv) {
+    var io = {
+      stdout: output(),
+      stderr: output()
+    };
+    return cli.run(argv, env, io).then(function(code) {
+      io.code = code;
+      return io;
+    });
+  }
+  before(function(done) {
+    server.listen().then(function(fakeUrl) {
+      env = {
+        OPTIMIZELY_API_TOKEN: token,
+        OPTIMIZELY_API_URL: fakeUrl,
+        OPTIMIZELY_CONFIG: "/nonexistent/.optimizelyrc"
+      };
+      done();
+    }, done);
+  });
+  after(function(done) {
+    server.close().then(function() {
+      done();
+    }, done);
+  });
+  it('should parse positionals and flags', function() {
+    assert.deepEqual(cli.parseArgs(["experiments", "get", "12", "--json",
+      "--weight", "5000", "--description=New", "--conditions", "[1]"
+    ]), {
+      _: ["experiments", "get", "12"],
+      json: true,
+      weight: 5000,
+      description: "New",
+      conditions: [1]
+    });
+  });
+  it('should create and list resources', function(done) {
+    run(["projects", "create", "--project_name", PROJECTNAME, "--json"])
+      .then(function(io) {
+        assert.equal(io.code, 0);
+        var project = JSON.parse(io.stdout.text);
+        assert.equal(project.project_name, PROJECTNAME);
+        return run(["experiments", "create", String(project.id),
+          "--edit_url", EDITURL, "--description", EXPERIMENTDESCRIPTION
+        ]).then(function() {
+          return run(["experiments", "list", String(project.id)]);
+        });
+      }).then(function(io) {
+        assert.equal(io.code, 0);
+        var lines = io.stdout.text.trim().split("\n");
+        assert.equal(lines.length, 2);
+        assert(/(^| )id( |$)/.test(lines[0]));
+        assert(lines[1].indexOf(EXPERIMENTDESCRIPTION) > -1);
+        done();
+      }).then(null, done);
+  });
+  it('should exit with the code of the API error', function(done) {
+    run(["experiments", "get", "1"]).then(function(io) {
+      assert.equal(io.code, cli.EXIT_CODES.NotFoundError);
+      assert(/^Error: /.test(io.stderr.text));
+      env.OPTIMIZELY_API_TOKEN = "wrong";
+      return run(["projects", "list"]);
+    }).then(function(io) {
+      env.OPTIMIZELY_API_TOKEN = token;
+      assert.equal(io.code, cli.EXIT_CODES.AuthenticationError);
+      return run(["experiments", "bogus"]);
+    }).then(function(io) {
+      assert.equal(io.code, cli.EXIT_CODES.usage);
+      assert(/^Usage/.test(io.stderr.text));
+      done();
+    }).then(null, done);
+  });
+  it('should plan and dry run a sync file', function(done) {
+    var file = require("path").join(require("os").tmpdir(),
+      "optimizely-sync-" + process.pid + ".yml");
+    var projectId = _.values(server.store.projects)[0].id;
+    require("fs").writeFileSync(file, "project_id: " + projectId +
+      "\naudiences:\n  - name: " + AUDIENCENAME + "\n");
+    run(["sync", "plan", file, "--json"]).then(function(io) {
+      assert.equal(io.code, 0);
+      assert.equal(JSON.parse(io.stdout.text)[0].action, "create");
+      return run(["sync", "apply", file, "--dry-run", "--json"]);
+    }).then(function(io) {
+      require("fs").unlinkSync(file);
+      assert.equal(io.code, 0);
+      assert.equal(JSON.parse(io.stdout.text)[0].status, "planned");
+      assert.equal(_.values(server.store.audiences).length, 0);
+      done();
+    }).then(null, done);
+  });
+  it('should format tables', function() {
+    assert.equal(cli.formatTable([{
+      "id": 1,
+      "name": "a",
+      "ids": [1]
+    }, {
+      "id": 22,
+      "name": "bb"
+    }]), "id  name\n1   a\n22  bb\n");
+  });
+});
+
+////////////////////////
+//Sync Tests
+////////////////////////
+describe("Sync", function() {
+  var sync = OptimizelyClient.sync;
+  var server = new OptimizelyClient.FakeServer();
+  var syncClient;
+  var project;
+  var spec;
+  before(function(done) {
+    server.listen().then(function(fakeUrl) {
+      syncClient = new OptimizelyClient(token, {
+        url: fakeUrl
+      });
+      project = server.seed("projects", {
+        "project_name": PROJECTNAME
+      })[0];
+      spec = {
+        "project_id": project.id,
+        "audiences": [{
+          "name": AUDIENCENAME
+        }],
+        "experiments": [{
+          "description": EXPERIMENTDESCRIPTION,
+          "edit_url": EDITURL,
+          "audiences": [AUDIENCENAME],
+          "variations": [{
+            "description": "Original",
+            "weight": 5000
+          }, {
+            "description": VARIATIONDESCRIPTION,
+            "weight": 5000
+          }]
+        }],
+        "goals": [{
+          "title": GOALSNAME,
+          "goal_type": "custom_event",
+          "event": "signup",
+          "experiments": [EXPERIMENTDESCRIPTION]
+        }]
+      };
+      done();
+    }, done);
+  });
+  after(function(done) {
+    server.close().then(function() {
+      done();
+    }, done);
+  });
+  it('should plan creates in dependency order', function(done) {
+    sync.plan(syncClient, spec).then(function(thePlan) {
+      assert.deepEqual(thePlan.actions.map(function(action) {
+        return action.action + " " + action.type;
+      }), ["create audiences", "create experiments", "create variations",
+        "create variations", "create goals"
+      ]);
+      done();
+    }).then(null, done);
+  });
+  it('should not send anything on a dry run', function(done) {
+    sync.plan(syncClient, spec).then(function(thePlan) {
+      return sync.apply(syncClient, thePlan, {
+        dryRun: true
+      });
+    }).then(function(report) {
+      assert.equal(report.dryRun, true);
+      assert.equal(report.created, 0);
+      assert.equal(report.actions[0].status, "planned");
+      assert.equal(Object.keys(server.store.audiences).length, 0);
+      done();
+    }).then(null, done);
+  });
+  it('should apply a plan and resolve references', function(done) {
+    sync.plan(syncClient, spec).then(function(thePlan) {
+      return sync.apply(syncClient, thePlan);
+    }).then(function(report) {
+      assert.equal(report.created, 5);
+      assert.equal(report.deleted, 0);
+      assert.equal(report.failed, 0);
+      var audience = _.values(server.store.audiences)[0];
+      var experiment = _.values(server.store.experiments)[0];
+      var goal = _.values(server.store.goals)[0];
+      assert.deepEqual(experiment.audience_ids, [audience.id]);
+      assert.equal(experiment.variation_ids.length, 2);
+      assert.deepEqual(goal.experiment_ids, [experiment.id]);
+      assert.equal(goal.goal_type, 1);
+      done();
+    }).then(null, done);
+  });
+  it('should plan only what changed', function(done) {
+    spec.experiments[0].variations[1].weight = 4000;
+    spec.experiments[0].variations[0].weight = 6000;
+    spec.experiments[0].variations.pop();
+    sync.plan(syncClient, spec, {
+      prune: true
+    }).then(function(thePlan) {
+      assert.deepEqual(thePlan.actions.map(function(action) {
+        return action.action + " " + action.key;
+      }), ["update " + EXPERIMENTDESCRIPTION + " / Original",
+        "delete " + EXPERIMENTDESCRIPTION + " / " + VARIATIONDESCRIPTION
+      ]);
+      assert.deepEqual(thePlan.actions[0].changes, {
+        "weight": 6000
+      });
+      assert.equal(thePlan.unchanged.length, 3);
+      done();
+    }).then(null, done);
+  });
+});
+
+////////////////////////
+//Snapshot Tests
+////////////////////////
+describe("Snapshots", function() {
+  var server = new OptimizelyClient.FakeServer();
+  var snapshotClient;
+  var source;
+  var target;
+  var exported;
+  before(function(done) {
+    server.listen().then(function(fakeUrl) {
+      snapshotClient = new OptimizelyClient(token, {
+        url: fakeUrl
+      });
+      source = server.seed("projects", {
+        "project_name": PROJECTNAME
+      })[0];
+      target = server.seed("projects", {
+        "project_name": PROJECTNAME + " copy"
+      })[0];
+      var dimension = server.seed("dimensions", {
+        "project_id": source.id,
+        "name": "Plan"
+      })[0];
+      var audiences = server.seed("audiences", [{
+        "project_id": source.id,
+        "name": AUDIENCENAME,
+        "conditions": JSON.stringify(["and", {
+          "type": "dimension",
+          "id": dimension.id,
+          "value": "pro"
+        }])
+      }, {
+        "project_id": source.id,
+        "name": ""
+      }]);
+      var experiment = server.seed("experiments", {
+        "project_id": source.id,
+        "description": EXPERIMENTDESCRIPTION,
+        "edit_url": EDITURL,
+        "status": "Running",
+        "audience_ids": _.pluck(audiences, "id")
+      })[0];
+      var variations = server.seed("variations", [{
+        "experiment_id": experiment.id,
+        "description": "Original",
+        "weight": 5000
+      }, {
+        "experiment_id": experiment.id,
+        "description": VARIATIONDESCRIPTION,
+        "weight": 5000
+      }]);
+      experiment.variation_ids = _.pluck(variations, "id");
+      server.seed("goals", {
+        "project_id": source.id,
+        "title": GOALSNAME,
+        "goal_type": 1,
+        "event": "signup",
+        "experiment_ids": [experiment.id]
+      });
+      done();
+    }, done);
+  });
+  after(function(done) {
+    server.close().then(function() {
+      done();
+    }, done);
+  });
+  it('should export a project', function(done) {
+    snapshotClient.exportProject(source.id).then(function(snapshot) {
+      exported = JSON.parse(JSON.stringify(snapshot));
+      assert.equal(snapshot.version, OptimizelyClient.snapshot.SNAPSHOT_VERSION);
+      assert.equal(snapshot.project.id, source.id);
+      assert.equal(snapshot.dimensions.length, 1);
+      assert.equal(snapshot.audiences.length, 2);
+      assert.equal(snapshot.experiments.length, 1);
+      assert.deepEqual(_.pluck(snapshot.variations, "description"), [
+        "Original", VARIATIONDESCRIPTION
+      ]);
+      assert.equal(snapshot.goals.length, 1);
+      done();
+    }).then(null, done);
+  });
+  it('should import a snapshot into another project', function(done) {
+    snapshotClient.importProject(exported, {
+      targetProjectId: target.id
+    }).then(function(report) {
+      var idMap = report.idMap;
+      var audience = server.store.audiences[idMap.audiences[exported.audiences[
+        0].id]];
+      var experiment = server.store.experiments[idMap.experiments[exported.experiments[
+        0].id]];
+      var goal = _.find(server.store.goals, {
+        "project_id": target.id
+      });
+      assert.equal(audience.project_id, target.id);
+      assert.equal(JSON.parse(audience.conditions)[1].id,
+        idMap.dimensions[exported.dimensions[0].id]);
+      assert.equal(experiment.status, "Not started");
+      assert.deepEqual(experiment.audience_ids, [audience.id]);
+      assert.deepEqual(experiment.variation_ids, [
+        idMap.variations[exported.variations[0].id],
+        idMap.variations[exported.variations[1].id]
+      ]);
+      assert.deepEqual(_.pluck(_.filter(server.store.variations, {
+        "experiment_id": experiment.id
+      }), "id"), experiment.variation_ids);
+      assert.deepEqual(goal.experiment_ids, [experiment.id]);
+      assert.deepEqual(report.created, {
+        "dimensions": 1,
+        "audiences": 1,
+        "experiments": 1,
+        "variations": 2,
+        "goals": 1
+      });
+      done();
+    }).then(null, done);
+  });
+  it('should report what could not be recreated', function(done) {
+    snapshotClient.importProject(exported, {
+      targetProjectId: target.id
+    }).then(function(report) {
+      assert.equal(report.failed.length, 1);
+      assert.equal(report.failed[0].type, "audiences");
+      assert.equal(report.failed[0].id, exported.audiences[1].id);
+      assert(report.failed[0].error instanceof OptimizelyClient.ValidationError);
+      assert.deepEqual(report.unresolved, [{
+        "type": "experiments",
+        "id": exported.experiments[0].id,
+        "field": "audience_ids",
+        "reference": exported.audiences[1].id
+      }]);
+      done();
+    }).then(null, done);
+  });
+  it('should keep the report when an unused variation cannot be deleted', function(done) {
+    var handle = server._handle;
+    var partial = _.assign({}, exported, {
+      variations: exported.variations.slice(0, 1)
+    });
+    server._handle = function(request, response) {
+      if (request.method !== "DELETE") return handle.call(this, request, response);
+      response.writeHead(500, {
+        "Content-Type": "application/json"
+      });
+      response.end(JSON.stringify({
+        message: "Internal error"
+      }));
+    }
+    snapshotClient.importProject(partial, {
+      targetProjectId: target.id
+    }).then(function(report) {
+      server._handle = handle;
+      var experiment = server.store.experiments[report.idMap.experiments[
+        exported.experiments[0].id]];
+      assert.equal(report.created.variations, 1);
+      assert.equal(report.cleanup.length, 1);
+      assert.equal(report.cleanup[0].type, "variations");
+      assert.equal(report.cleanup[0].id, experiment.variation_ids[1]);
+      assert.equal(report.cleanup[0].error.status, 500);
+      done();
+    }).then(null, function(error) {
+      server._handle = handle;
+      done(error);
+    });
+  });
+  it('should reject an unknown snapshot version', function(done) {
+    snapshotClient.importProject({
+      "version": 99
+    }, {
+      targetProjectId: target.id
+    }).then(function() {
+      done(new Error("should have rejected"));
+    }, function(error) {
+      assert(error instanceof OptimizelyClient.ValidationError);
+      done();
+    }).then(null, done);
+  });
+});
+
+////////////////////////
+//Audience Condition Tests
+////////////////////////
+describe("Audience Conditions", function() {
+  var C = OptimizelyClient.Conditions;
+  var host = "https://conditions.optimizelyapis.com/experiment/v1";
+  var conditionsScope = nock(host);
+  var conditionsClient = new OptimizelyClient(token, {
+    url: host + "/"
+  });
+  it('should serialize builder trees to the API format', function() {
+    var tree = C.and(C.cookie("x", "y"), C.not(C.browser("ie")));
+    assert.deepEqual(JSON.parse(C.serialize(tree)), ["and", {
+      "type": "cookies",
+      "name": "x",
+      "value": "y"
+    }, ["not", {
+      "type": "browser",
+      "value": "ie"
+    }]]);
+    assert.deepEqual(C.url("/pricing", "substring").or(C.visitor("new")).toJSON(), [
+      "or", {
+        "type": "url",
+        "value": "/pricing",
+        "match_type": "substring"
+      }, {
+        "type": "visitor",
+        "value": "new"
+      }
+    ]);
+  });
+  it('should parse existing conditions back into a tree', function() {
+    var stored = JSON.stringify(["and", ["or", {
+      "type": "dimension",
+      "id": DIMENSIONID,
+      "value": "pro"
+    }], ["not", ["or", {
+      "type": "language",
+      "value": "fr"
+    }]]]);
+    var tree = C.parse(stored);
+    assert(tree instanceof C.Group);
+    assert.equal(tree.operator, "and");
+    assert(tree.operands[1].operands[0].operands[0] instanceof C.Condition);
+    assert.equal(tree.operands[1].operands[0].operands[0].value, "fr");
+    assert.equal(tree.toString(), stored);
+    assert.equal(C.parse("[]"), null);
+  });
+  it('should reject unknown types, operators and missing fields', function() {
+    [
+      ["xor", C.browser("ie")],
+      ["and", {
+        "type": "weather",
+        "value": "sunny"
+      }],
+      ["not", C.browser("ie"), C.browser("ff")],
+      C.customTag("plan"),
+      C.url("/", "fuzzy"),
+      C.visitor("sometimes"),
+      "[\"and\"",
+      ["and", 5]
+    ].forEach(function(conditions) {
+      assert.throws(function() {
+        C.validate(conditions);
+      }, OptimizelyClient.ValidationError);
+    });
+  });
+  it('should send builder conditions as a JSON string', function(done) {
+    conditionsScope.post('/projects/' + PROJECTID + '/audiences/')
+      .reply(201, function(uri, requestBody) {
+        return requestBody;
+      });
+    conditionsClient.createAudience({
+      "project_id": PROJECTID,
+      "name": AUDIENCENAME,
+      "conditions": C.and(C.cookie("x", "y"))
+    }).then(function(audience) {
+      assert.equal(audience.conditions,
+        '["and",{"type":"cookies","name":"x","value":"y"}]');
+      done();
+    }).then(null, done);
+  });
+  it('should validate conditions before sending anything', function(done) {
+    conditionsClient.updateAudience({
+      "id": AUDIENCEID,
+      "conditions": ["and", {
+        "type": "cookies"
+      }]
+    }).then(function() {
+      done(FAILUREMESSAGE);
+    }, function(error) {
+      assert(error instanceof OptimizelyClient.ValidationError);
+      assert(/conditions\[1\]/.test(error.message));
+      assert(conditionsScope.isDone());
+      done();
+    }).then(null, done);
+  });
+});
+
+////////////////////////
+//Project Scoping Tests
+////////////////////////
+describe("Project Scoping", function() {
+  var host = "https://scoping.optimizelyapis.com/experiment/v1";
+  var scopingScope = nock(host);
+  var scopingClient = new OptimizelyClient(token, {
+    url: host + "/"
+  });
+  it('should create audiences and dimensions in project_id', function(done) {
+    var bodies = [];
+    var echo = function(uri, requestBody) {
+      bodies.push(JSON.parse(requestBody));
+      return requestBody;
+    }
+    scopingScope.post('/projects/' + PROJECTID + '/audiences/')
+      .reply(201, echo)
+      .post('/projects/' + PROJECTID + '/dimensions/')
+      .reply(201, echo);
+    scopingClient.createAudience({
+      "project_id": PROJECTID,
+      "name": AUDIENCENAME
+    }).then(function() {
+      return scopingClient.createDimension({
+        "project_id": PROJECTID,
+        "name": DIMENSIONNAME
+      });
+    }).then(function() {
+      bodies.forEach(function(body) {
+        assert.equal(body.id, undefined);
+        assert.equal(body.project_id, undefined);
+      });
+      assert(scopingScope.isDone());
+      done();
+    }).then(null, done);
+  });
+  it('should accept id as a deprecated alias with a warning', function(done) {
+    var warnings = [];
+    var onWarning = function(warning) {
+      warnings.push(warning);
+    }
+    process.on("warning", onWarning);
+    scopingScope.get('/projects/' + PROJECTID + '/dimensions/')
+      .reply(200, []);
+    scopingClient.getDimensions({
+      "id": PROJECTID
+    }).delay(10).then(function() {
+      process.removeListener("warning", onWarning);
+      assert.equal(warnings.length, 1);
+      assert.equal(warnings[0].name, "DeprecationWarning");
+      assert(/getDimensions: options.id/.test(warnings[0].message));
+      done();
+    }).then(null, function(error) {
+      process.removeListener("warning", onWarning);
+      done(error);
+    });
+  });
+  it('should reject an id that conflicts with project_id', function(done) {
+    scopingClient.createAudience({
+      "project_id": PROJECTID,
+      "id": AUDIENCEID,
+      "name": AUDIENCENAME
+    }).then(function() {
+      done(FAILUREMESSAGE);
+    }, function(error) {
+      assert(error instanceof OptimizelyClient.ValidationError);
+      assert(/conflicts with options.project_id/.test(error.message));
+      done();
+    }).then(null, done);
+  });
+  it('should require a project id', function(done) {
+    scopingClient.getGoals({}).then(function() {
+      done(FAILUREMESSAGE);
+    }, function(error) {
+      assert(error instanceof OptimizelyClient.ValidationError);
+      assert.equal(error.message, "Required: options.project_id");
+      done();
+    }).then(null, done);
+  });
+});
+
+////////////////////////
+//Analysis Tests
+////////////////////////
+describe("Analysis", function() {
+  var analysis = OptimizelyClient.analysis;
+  var host = "https://analysis.optimizelyapis.com/experiment/v1";
+  var analysisScope = nock(host);
+  var analysisClient = new OptimizelyClient(token, {
+    url: host + "/"
+  });
+  var rows = [{
+    "goal_id": GOALSID,
+    "goal_name": GOALSNAME,
+    "variation_id": "1",
+    "variation_name": "Original",
+    "baseline_id": "1",
+    "visitors": 1000,
+    "conversions": 100
+  }, {
+    "goal_id": GOALSID,
+    "goal_name": GOALSNAME,
+    "variation_id": "2",
+    "variation_name": VARIATIONDESCRIPTION,
+    "baseline_id": "1",
+    "visitors": 1000,
+    "conversions": 130
+  }, {
+    "goal_id": GOALSID,
+    "goal_name": GOALSNAME,
+    "variation_id": "3",
+    "variation_name": "Worse",
+    "baseline_id": "1",
+    "visitors": 1000,
+    "conversions": 95
+  }];
+  var close = function(actual, expected, tolerance) {
+    assert(Math.abs(actual - expected) < (tolerance || 1e-4),
+      actual + " is not close to " + expected);
+  }
+  it('should compute the normal distribution', function() {
+    close(analysis.normalCdf(1.96), 0.975);
+    close(analysis.normalCdf(-1.96), 0.025);
+    close(analysis.normalQuantile(0.975), 1.959964);
+    close(analysis.normalQuantile(0.005), -2.575829);
+  });
+  it('should summarize each variation against the baseline', function() {
+    var goals = analysis.analyze(rows);
+    assert.equal(goals.length, 1);
+    assert.equal(goals[0].baseline_id, "1");
+    var variations = goals[0].variations;
+    assert.equal(variations[0].verdict, "baseline");
+    close(variations[1].conversion_rate, 0.13);
+    close(variations[1].absolute_lift, 0.03);
+    close(variations[1].relative_lift, 0.3);
+    close(variations[1].confidence_interval.lower, 0.002068);
+    close(variations[1].confidence_interval.upper, 0.057932);
+    close(variations[1].p_value, 0.0355, 1e-3);
+    close(variations[1].probability_to_beat_baseline, 0.982, 1e-3);
+    assert.equal(variations[1].verdict, "winner");
+    assert.equal(variations[2].verdict, "inconclusive");
+    assert(variations[2].probability_to_beat_baseline < 0.5);
+  });
+  it('should apply configurable thresholds', function() {
+    var strict = analysis.analyze(rows, {
+      confidenceLevel: 0.99
+    })[0].variations[1];
+    assert.equal(strict.verdict, "inconclusive");
+    var bayesian = analysis.analyze(rows, {
+      method: "bayesian",
+      probabilityThreshold: 0.9
+    })[0].variations[1];
+    assert.equal(bayesian.verdict, "winner");
+    var early = analysis.analyze(rows, {
+      minimumVisitors: 5000
+    })[0].variations[1];
+    assert.equal(early.verdict, "inconclusive");
+  });
+  it('should estimate sample size and power', function() {
+    assert.equal(analysis.sampleSize(0.1, 0.2), 3841);
+    assert(analysis.sampleSize(0.1, 0.2, {
+      power: 0.9
+    }) > 3841);
+    close(analysis.power({
+      visitors: 1000,
+      conversions: 100
+    }, {
+      visitors: 1000,
+      conversions: 130
+    }), 0.557, 1e-3);
+    var summary = analysis.analyze(rows, {
+      minimumDetectableEffect: 0.2
+    })[0];
+    assert.equal(summary.sample_size, 3841);
+    assert.equal(summary.variations[1].visitors_remaining, 2841);
+  });
+  it('should reject payloads that are not results', function() {
+    assert.throws(function() {
+      analysis.analyze({});
+    }, OptimizelyClient.ValidationError);
+  });
+  it('should analyze an experiment through the client', function(done) {
+    analysisScope.get('/experiments/' + EXPERIMENTID + '/stats')
+      .reply(200, rows);
+    analysisClient.getAnalysis({
+      id: EXPERIMENTID,
+      stats: true
+    }).then(function(goals) {
+      assert.equal(goals[0].variations[1].verdict, "winner");
+      done();
+    }).then(null, done);
+  });
+});
+
+////////////////////////
+//Results Export Tests
+////////////////////////
+describe("Results Export", function() {
+  var exporters = OptimizelyClient.exporters;
+  var rows = [{
+    "goal_id": 1,
+    "goal_name": "Sign, up",
+    "variation_id": "10",
+    "variation_name": 'The "original"',
+    "visitors": 1000,
+    "conversions": 100
+  }, {
+    "goal_id": 1,
+    "goal_name": "Sign, up",
+    "variation_id": "11",
+    "variation_name": "Tab\tbed",
+    "visitors": 990,
+    "conversions": 120
+  }];
+  var columns = ["experiment_id", "dimension_value", "variation_name",
+    "visitors", {
+      header: "rate",
+      value: function(record) {
+        return record.conversions / record.visitors;
+      }
+    }
+  ];
+  var records = exporters.flatten(rows, {
+    experiment: {
+      id: 5,
+      description: EXPERIMENTDESCRIPTION
+    },
+    dimension: {
+      id: DIMENSIONID,
+      value: "mobile"
+    }
+  });
+  it('should flatten rows with their experiment and dimension', function() {
+    assert.equal(records.length, 2);
+    assert.equal(records[0].experiment_id, 5);
+    assert.equal(records[0].experiment_description, EXPERIMENTDESCRIPTION);
+    assert.equal(records[1].dimension_id, DIMENSIONID);
+    assert.equal(records[1].dimension_value, "mobile");
+    assert.equal(records[1].variation_id, "11");
+  });
+  it('should write CSV with quoting', function() {
+    assert.equal(exporters.toCsv(records, {
+        columns: columns
+      }),
+      'experiment_id,dimension_value,variation_name,visitors,rate\n' +
+      '5,mobile,"The ""original""",1000,0.1\n' +
+      '5,mobile,Tab\tbed,990,' + 120 / 990 + '\n');
+    assert.equal(exporters.toCsv(records, {
+      columns: ["goal_name"],
+      header: false
+    }), '"Sign, up"\n"Sign, up"\n');
+  });
+  it('should write TSV and NDJSON', function() {
+    assert.equal(exporters.format(records, "tsv", {
+        columns: ["variation_name", "visitors"]
+      }),
+      'variation_name\tvisitors\nThe "original"\t1000\nTab bed\t990\n');
+    var lines = exporters.format(records, "ndjson", {
+      columns: ["variation_id", "dimension_value"]
+    }).trim().split("\n").map(function(line) {
+      return JSON.parse(line);
+    });
+    assert.deepEqual(lines, [{
+      "variation_id": "10",
+      "dimension_value": "mobile"
+    }, {
+      "variation_id": "11",
+      "dimension_value": "mobile"
+    }]);
+    assert.throws(function() {
+      exporters.format(records, "xlsx");
+    }, OptimizelyClient.ValidationError);
+  });
+  describe("for a project", function() {
+    var server = new OptimizelyClient.FakeServer();
+    var exportClient;
+    var exportUrl;
+    var project;
+    before(function(done) {
+      server.listen().then(function(fakeUrl) {
+        exportUrl = fakeUrl;
+        exportClient = new OptimizelyClient(token, {
+          url: fakeUrl
+        });
+        project = server.seed("projects", {
+          "project_name": PROJECTNAME
+        })[0];
+        var experiments = server.seed("experiments", [{
+          "project_id": project.id,
+          "description": "First"
+        }, {
+          "project_id": project.id,
+          "description": "Second"
+        }]);
+        experiments.forEach(function(experiment) {
+          var variations = server.seed("variations", [{
+            "experiment_id": experiment.id,
+            "description": "Original"
+          }, {
+            "experiment_id": experiment.id,
+            "description": "Variation"
+          }]);
+          experiment.variation_ids = _.pluck(variations, "id");
+        });
+        server.seed("goals", {
+          "project_id": project.id,
+          "title": GOALSNAME,
+          "experiment_ids": _.pluck(experiments, "id")
+        });
+        done();
+      }, done);
+    });
+    after(function(done) {
+      server.close().then(function() {
+        done();
+      }, done);
+    });
+    it('should export every experiment into one file', function(done) {
+      var file = require("path").join(require("os").tmpdir(),
+        "optimizely-results-" + process.pid + ".tsv");
+      exportClient.exportProjectResults({
+        project_id: project.id,
+        format: "tsv",
+        file: file
+      }).then(function(document) {
+        var written = require("fs").readFileSync(file, "utf8");
+        require("fs").unlinkSync(file);
+        assert.equal(written, document);
+        var lines = document.trim().split("\n");
+        assert.deepEqual(lines[0].split("\t"), exporters.DEFAULT_COLUMNS);
+        assert.equal(lines.length, 5);
+        assert.equal(lines.filter(function(line) {
+          return line.indexOf("\tSecond\t") > -1;
+        }).length, 2);
+        done();
+      }).then(null, done);
+    });
+    it('should export from the command line', function(done) {
+      var stdout = {
+        text: "",
+        write: function(chunk) {
+          stdout.text += chunk;
+        }
+      };
+      require("../lib/cli").run(["results", "--project", String(project.id),
+        "--format", "ndjson"
+      ], {
+        OPTIMIZELY_API_TOKEN: token,
+        OPTIMIZELY_API_URL: exportUrl,
+        OPTIMIZELY_CONFIG: "/nonexistent/.optimizelyrc"
+      }, {
+        stdout: stdout,
+        stderr: stdout
+      }).then(function(code) {
+        assert.equal(code, 0);
+        var lines = stdout.text.trim().split("\n");
+        assert.equal(lines.length, 4);
+        assert.equal(JSON.parse(lines[0]).goal_name, GOALSNAME);
+        done();
+      }).then(null, done);
+    });
+  });
+});
+
+////////////////////////
+//Segmented Results Tests
+////////////////////////
+describe("Segmented Results", function() {
+  var server = new OptimizelyClient.FakeServer();
+  var segmentClient;
+  var experiment;
+  var dimension;
+  before(function(done) {
+    server.listen().then(function(fakeUrl) {
+      segmentClient = new OptimizelyClient(token, {
+        url: fakeUrl
+      });
+      var project = server.seed("projects", {
+        "project_name": PROJECTNAME
+      })[0];
+      dimension = server.seed("dimensions", [{
+        "project_id": project.id,
+        "name": "Device",
+        "values": ["mobile", "desktop", "tablet"]
+      }, {
+        "project_id": project.id,
+        "name": "Plan"
+      }]);
+      experiment = server.seed("experiments", {
+        "project_id": project.id,
+        "description": EXPERIMENTDESCRIPTION
+      })[0];
+      experiment.variation_ids = _.pluck(server.seed("variations", [{
+        "experiment_id": experiment.id,
+        "description": "Original"
+      }, {
+        "experiment_id": experiment.id,
+        "description": VARIATIONDESCRIPTION
+      }]), "id");
+      server.seed("goals", {
+        "project_id": project.id,
+        "title": GOALSNAME,
+        "experiment_ids": [experiment.id]
+      });
+      done();
+    }, done);
+  });
+  after(function(done) {
+    server.close().then(function() {
+      done();
+    }, done);
+  });
+  it('should fetch every known value of a dimension', function(done) {
+    segmentClient.getResults({
+      id: experiment.id,
+      dimension: {
+        id: dimension[0].id
+      }
+    }).then(function(segmented) {
+      assert.equal(segmented.experiment_id, String(experiment.id));
+      assert.deepEqual(segmented.segments.map(function(segment) {
+        return segment.dimension.value;
+      }), ["mobile", "desktop", "tablet"]);
+      assert.equal(segmented.errors.length, 0);
+      assert.equal(segmented.rows.length, 6);
+      assert.equal(segmented.rows[5].dimension_id, dimension[0].id);
+      assert.equal(segmented.rows[5].dimension_value, "tablet");
+      done();
+    }).then(null, done);
+  });
+  it('should report the segments that fail', function(done) {
+    segmentClient.getStats({
+      id: experiment.id,
+      dimension: [{
+        id: dimension[0].id,
+        values: ["mobile"]
+      }, {
+        id: 1,
+        value: ["nowhere"]
+      }]
+    }).then(function(segmented) {
+      assert.equal(segmented.segments.length, 2);
+      assert.equal(segmented.rows.length, 2);
+      assert.equal(segmented.errors.length, 1);
+      assert.deepEqual(segmented.errors[0].dimension, {
+        id: 1,
+        value: "nowhere"
+      });
+      assert(segmented.errors[0].error instanceof OptimizelyClient.NotFoundError);
+      done();
+    }).then(null, done);
+  });
+  it('should reject a dimension without known values', function(done) {
+    segmentClient.getResults({
+      id: experiment.id,
+      dimension: {
+        id: dimension[1].id
+      }
+    }).then(function() {
+      done(FAILUREMESSAGE);
+    }, function(error) {
+      assert(error instanceof OptimizelyClient.ValidationError);
+      done();
+    }).then(null, done);
+  });
+  it('should limit how many segments are fetched at once', function(done) {
+    var handle = server._handle;
+    var inFlight = 0;
+    var most = 0;
+    server._handle = function(request, response) {
+      var self = this;
+      inFlight++;
+      most = Math.max(most, inFlight);
+      response.on("finish", function() {
+        inFlight--;
+      });
+      setTimeout(function() {
+        handle.call(self, request, response);
+      }, 20);
+    }
+    segmentClient.getResults({
+      id: experiment.id,
+      dimension: {
+        id: dimension[0].id,
+        values: ["a", "b", "c", "d", "e"]
+      },
+      concurrency: 2
+    }).then(function(segmented) {
+      server._handle = handle;
+      assert.equal(segmented.rows.length, 10);
+      assert.equal(most, 2);
+      done();
+    }).then(null, function(error) {
+      server._handle = handle;
+      done(error);
+    });
+  });
+});
+
+////////////////////////
+//Response Cache Tests
+////////////////////////
+describe("Response Cache", function() {
+  var server = new OptimizelyClient.FakeServer();
+  var baseUrl;
+  var project;
+  var experiment;
+  var variation;
+  before(function(done) {
+    server.listen().then(function(fakeUrl) {
+      baseUrl = fakeUrl;
+      project = server.seed("projects", {
+        "project_name": PROJECTNAME
+      })[0];
+      experiment = server.seed("experiments", {
+        "project_id": project.id,
+        "description": EXPERIMENTDESCRIPTION
+      })[0];
+      variation = server.seed("variations", {
+        "experiment_id": experiment.id,
+        "description": VARIATIONDESCRIPTION
+      })[0];
+      experiment.variation_ids = [variation.id];
+      done();
+    }, done);
+  });
+  after(function(done) {
+    server.close().then(function() {
+      done();
+    }, done);
+  });
+  it('should evict the least recently used entry', function() {
+    var store = new OptimizelyClient.ResponseCache.MemoryStore({
+      max: 2
+    });
+    store.set("a", 1);
+    store.set("b", 2);
+    store.get("a");
+    store.set("c", 3);
+    assert.deepEqual(store.keys().sort(), ["a", "c"]);
+  });
+  it('should use the default ttl for a null ttl', function() {
+    var cache = new OptimizelyClient.ResponseCache({
+      ttl: null
+    });
+    assert.equal(cache.ttl("experiments"), 60000);
+  });
+  it('should answer repeated GETs from the cache', function(done) {
+    var cacheClient = new OptimizelyClient(token, {
+      url: baseUrl,
+      cache: true
+    });
+    var before = server.requests;
+    cacheClient.getProjects().then(function(projects) {
+      projects[0].project_name = "Mutated";
+      return cacheClient.getProjects();
+    }).then(function(projects) {
+      assert.equal(server.requests - before, 1);
+      assert.equal(projects[0].project_name, PROJECTNAME);
+      done();
+    }).then(null, done);
+  });
+  it('should revalidate stale entries with their ETag', function(done) {
+    var cacheClient = new OptimizelyClient(token, {
+      url: baseUrl,
+      cache: {
+        ttl: {
+          "default": 60000,
+          "experiments": 0
+        }
+      }
+    });
+    var handle = server._handle;
+    var conditional = [];
+    server._handle = function(request, response) {
+      conditional.push(!!request.headers["if-none-match"]);
+      handle.call(this, request, response);
+    }
+    var restore = function(error) {
+      server._handle = handle;
+      done(error);
+    }
+    cacheClient.getExperiment(String(experiment.id)).then(function() {
+      return cacheClient.getExperiment(String(experiment.id));
+    }).then(function(fetched) {
+      assert.deepEqual(conditional, [false, true]);
+      assert.equal(fetched.description, EXPERIMENTDESCRIPTION);
+      return cacheClient.getProject(String(project.id));
+    }).then(function() {
+      return cacheClient.getProject(String(project.id));
+    }).then(function() {
+      assert.deepEqual(conditional, [false, true, false]);
+      restore();
+    }).then(null, restore);
+  });
+  it('should invalidate a resource, its lists and its parent on writes', function(done) {
+    var cacheClient = new OptimizelyClient(token, {
+      url: baseUrl,
+      cache: true
+    });
+    var before;
+    Promise.all([
+      cacheClient.getExperiments({
+        project_id: project.id
+      }),
+      cacheClient.getExperiment(String(experiment.id)),
+      cacheClient.getVariation(String(variation.id))
+    ]).then(function() {
+      return cacheClient.createExperiment({
+        project_id: project.id,
+        edit_url: EDITURL,
+        description: "Another"
+      });
+    }).then(function() {
+      return cacheClient.getExperiments({
+        project_id: project.id
+      });
+    }).then(function(experiments) {
+      assert.equal(experiments.length, 2);
+      return cacheClient.deleteVariation(String(variation.id));
+    }).then(function() {
+      before = server.requests;
+      return cacheClient.getExperiment(String(experiment.id));
+    }).then(function(fetched) {
+      assert.equal(server.requests - before, 1);
+      assert.deepEqual(fetched.variation_ids, []);
+      done();
+    }).then(null, done);
+  });
+  it('should check lifecycle transitions against the live experiment',
+    function(done) {
+      var cacheClient = new OptimizelyClient(token, {
+        url: baseUrl,
+        cache: true
+      });
+      var running = server.seed("experiments", {
+        "project_id": "cache-lifecycle",
+        "description": EXPERIMENTDESCRIPTION,
+        "status": "Running"
+      })[0];
+      var before;
+      cacheClient.getExperiment(String(running.id)).then(function() {
+        running.status = "Paused";
+        before = server.requests;
+        return cacheClient.startExperiment(String(running.id));
+      }).then(function(started) {
+        assert.equal(server.requests - before, 2);
+        assert.equal(started.status, "Running");
+        assert.equal(running.status, "Running");
+        done();
+      }).then(null, done);
+    });
+  it('should attach and detach goals on the live goal', function(done) {
+    var cacheClient = new OptimizelyClient(token, {
+      url: baseUrl,
+      cache: true
+    });
+    var goal = server.seed("goals", {
+      "project_id": "cache-goals",
+      "title": GOALSNAME,
+      "experiment_ids": [1]
+    })[0];
+    cacheClient.getGoal(String(goal.id)).then(function() {
+      goal.experiment_ids = [1, 2];
+      return cacheClient.attachGoal({
+        id: goal.id,
+        experiment_id: 3
+      });
+    }).then(function() {
+      assert.deepEqual(goal.experiment_ids, [1, 2, 3]);
+      return cacheClient.getGoal(String(goal.id));
+    }).then(function() {
+      goal.experiment_ids = [1, 2, 3, 4];
+      return cacheClient.detachGoal({
+        id: goal.id,
+        experiment_id: 1
+      });
+    }).then(function() {
+      assert.deepEqual(goal.experiment_ids, [2, 3, 4]);
+      done();
+    }).then(null, done);
+  });
+  it('should check deletions against the live experiments', function(done) {
+    var cacheClient = new OptimizelyClient(token, {
+      url: baseUrl,
+      cache: true
+    });
+    var projectId = server.seed("projects", {
+      "project_name": PROJECTNAME
+    })[0].id;
+    var dimension = server.seed("dimensions", {
+      "project_id": projectId,
+      "name": DIMENSIONNAME
+    })[0];
+    var audience = server.seed("audiences", {
+      "project_id": projectId,
+      "name": AUDIENCENAME,
+      "conditions": "[]"
+    })[0];
+    var running = server.seed("experiments", {
+      "project_id": projectId,
+      "description": EXPERIMENTDESCRIPTION,
+      "status": "Running",
+      "audience_ids": []
+    })[0];
+    Promise.all([
+      cacheClient.getAllExperiments({
+        project_id: projectId
+      }),
+      cacheClient.getAudience(String(audience.id))
+    ]).then(function() {
+      running.audience_ids = [audience.id];
+      return cacheClient.deleteAudience(String(audience.id));
+    }).then(function() {
+      done(new Error("Expected a rejection"));
+    }, function(error) {
+      assert.ok(error instanceof OptimizelyClient.ConflictError);
+      audience.conditions = JSON.stringify([{
+        "type": "dimension",
+        "id": dimension.id
+      }]);
+      return cacheClient.deleteDimension(String(dimension.id));
+    }).then(function() {
+      done(new Error("Expected a rejection"));
+    }, function(error) {
+      assert.ok(error instanceof OptimizelyClient.ConflictError);
+      assert.deepEqual(error.body.experiment_ids, [running.id]);
+      done();
+    }).then(null, done);
+  });
+  it('should keep shared entries apart per token', function(done) {
+    var cache = new OptimizelyClient.ResponseCache();
+    var first = new OptimizelyClient(token, {
+      url: baseUrl,
+      cache: cache
+    });
+    var second = new OptimizelyClient("another:token", {
+      url: baseUrl,
+      cache: cache
+    });
+    var before = server.requests;
+    first.getProject(String(project.id)).then(function() {
+      return second.getProject(String(project.id));
+    }).then(function() {
+      assert.equal(server.requests - before, 2);
+      return second.updateProject({
+        id: project.id,
+        project_name: PROJECTNAME
+      });
+    }).then(function() {
+      before = server.requests;
+      return first.getProject(String(project.id));
+    }).then(function() {
+      assert.equal(server.requests - before, 1);
+      done();
+    }).then(null, done);
+  });
+  it('should use a pluggable store', function(done) {
+    var data = {};
+    var store = {
+      get: function(key) {
+        return Promise.resolve(data[key] && JSON.parse(data[key]));
+      },
+      set: function(key, entry) {
+        data[key] = JSON.stringify(entry);
+        return Promise.resolve();
+      },
+      del: function(key) {
+        delete data[key];
+        return Promise.resolve();
+      },
+      keys: function() {
+        return Promise.resolve(Object.keys(data));
+      }
+    };
+    var cacheClient = new OptimizelyClient(token, {
+      url: baseUrl,
+      cache: {
+        store: store
+      }
+    });
+    cacheClient.getProject(String(project.id)).then(function() {
+      assert.equal(Object.keys(data).length, 1);
+      assert.ok(/^[0-9a-f]{16} GET /.test(Object.keys(data)[0]));
+      assert.equal(Object.keys(data)[0].split(" GET ")[1], baseUrl +
+        "projects/" + project.id);
+      assert.equal(Object.keys(data)[0].indexOf(token), -1);
+      return cacheClient.updateProject({
+        id: project.id,
+        project_name: "Renamed"
+      });
+    }).then(function() {
+      assert.deepEqual(Object.keys(data), []);
+      done();
+    }).then(null, done);
+  });
+});
+
+////////////////////////
+//Middleware Tests
+////////////////////////
+describe("Middleware", function() {
+  var server = new OptimizelyClient.FakeServer();
+  var baseUrl;
+  var project;
+  before(function(done) {
+    server.listen().then(function(fakeUrl) {
+      baseUrl = fakeUrl;
+      project = server.seed("projects", {
+        "project_name": PROJECTNAME
+      })[0];
+      done();
+    }, done);
+  });
+  after(function(done) {
+    server.close().then(function() {
+      done();
+    }, done);
+  });
+  it('should reject middleware that is not a function', function() {
+    var middlewareClient = new OptimizelyClient(token, {
+      url: baseUrl
+    });
+    assert.throws(function() {
+      middlewareClient.use("log");
+    }, OptimizelyClient.ValidationError);
+  });
+  it('should run middleware in order around every request', function(done) {
+    var calls = [];
+    var handle = server._handle;
+    var received;
+    server._handle = function(request, response) {
+      received = request.headers;
+      handle.call(this, request, response);
+    }
+    var restore = function(error) {
+      server._handle = handle;
+      done(error);
+    }
+    var middlewareClient = new OptimizelyClient(token, {
+      url: baseUrl,
+      middleware: [function(request, next) {
+        calls.push("outer " + request.method + " " + request.url);
+        return next().then(function(response) {
+          calls.push("outer " + response.status);
+          return response;
+        });
+      }]
+    }).use(function(request, next) {
+      calls.push("inner");
+      request.headers["X-Trace-Id"] = "abc";
+      return next(request).then(function(response) {
+        calls.push("inner " + response.status);
+        response.body = _.assign({}, response.body, {
+          project_name: "Intercepted"
+        });
+        return response;
+      });
+    });
+    middlewareClient.getProject(String(project.id)).then(function(fetched) {
+      assert.equal(received["x-trace-id"], "abc");
+      assert.deepEqual(calls, ["outer GET " + baseUrl + "projects/" + project.id,
+        "inner", "inner 200", "outer 200"
+      ]);
+      assert.equal(fetched.project_name, "Intercepted");
+      restore();
+    }).then(null, restore);
+  });
+  it('should let middleware short-circuit a request', function(done) {
+    var before = server.requests;
+    var middlewareClient = new OptimizelyClient(token, {
+      url: baseUrl
+    }).use(function(request, next) {
+      if (request.method !== "GET") return next();
+      return {
+        status: 200,
+        headers: {},
+        body: [{
+          id: 1,
+          project_name: "Canned"
+        }]
+      };
+    });
+    middlewareClient.getProjects().then(function(projects) {
+      assert.equal(server.requests, before);
+      assert.equal(projects[0].project_name, "Canned");
+      done();
+    }).then(null, done);
+  });
+  it('should reject short-circuited failures with the matching error', function(done) {
+    var middlewareClient = new OptimizelyClient(token, {
+      url: baseUrl
+    }).use(function() {
+      return {
+        status: 404,
+        headers: {},
+        body: {
+          message: "Not here"
+        }
+      };
+    });
+    middlewareClient.getProject("1").then(function() {
+      done(new Error("Expected a rejection"));
+    }, function(error) {
+      assert.ok(error instanceof OptimizelyClient.NotFoundError);
+      assert.equal(error.message, "Not here");
+      done();
+    }).then(null, done);
+  });
+  it('should show errors to middleware and let it recover', function(done) {
+    var seen;
+    var middlewareClient = new OptimizelyClient(token, {
+      url: baseUrl
+    }).use(function(request, next) {
+      return next().then(null, function(error) {
+        seen = error;
+        return {
+          status: 200,
+          headers: {},
+          body: {
+            id: 0,
+            project_name: "Fallback"
+          }
+        };
+      });
+    });
+    middlewareClient.getProject("999999").then(function(fetched) {
+      assert.ok(seen instanceof OptimizelyClient.NotFoundError);
+      assert.equal(fetched.project_name, "Fallback");
+      done();
+    }).then(null, done);
+  });
+  it('should pass every retry through the middleware', function(done) {
+    var attempts = 0;
+    var middlewareClient = new OptimizelyClient(token, {
+      url: baseUrl,
+      retry: {
+        maxAttempts: 3,
+        baseDelay: 1
+      }
+    }).use(function(request, next) {
+      attempts++;
+      if (attempts < 3) return {
+        status: 503,
+        headers: {},
+        body: ""
+      };
+      return next();
+    });
+    middlewareClient.getProject(String(project.id)).then(function(fetched) {
+      assert.equal(attempts, 3);
+      assert.equal(fetched.project_name, PROJECTNAME);
+      done();
+    }).then(null, done);
+  });
+});
+
+////////////////////////
+//Traffic Allocation Tests
+////////////////////////
+describe("Traffic Allocation", function() {
+  var server = new OptimizelyClient.FakeServer();
+  var allocationClient;
+  var experiment;
+  var ids;
+  before(function(done) {
+    server.listen().then(function(fakeUrl) {
+      allocationClient = new OptimizelyClient(token, {
+        url: fakeUrl
+      });
+      done();
+    }, done);
+  });
+  beforeEach(function() {
+    experiment = server.seed("experiments", {
+      "project_id": PROJECTID,
+      "description": EXPERIMENTDESCRIPTION
+    })[0];
+    ids = _.pluck(server.seed("variations", [{
+      "experiment_id": experiment.id,
+      "description": "Original",
+      "weight": 5000
+    }, {
+      "experiment_id": experiment.id,
+      "description": "Variation #1",
+      "weight": 5000
+    }, {
+      "experiment_id": experiment.id,
+      "description": "Variation #2",
+      "weight": 0
+    }]), "id").map(String);
+    experiment.variation_ids = ids;
+  });
+  after(function(done) {
+    server.close().then(function() {
+      done();
+    }, done);
+  });
+  var weightsOf = function() {
+    return ids.map(function(id) {
+      return server.store.variations[id].weight;
+    });
+  }
+  it('should list the variations of an experiment', function(done) {
+    allocationClient.getVariations(experiment.id).then(function(variations) {
+      assert.deepEqual(_.pluck(variations, "id").map(String), ids);
+      done();
+    }).then(null, done);
+  });
+  it('should set weights in basis points or percentages', function(done) {
+    var weights = {};
+    weights[ids[0]] = 2000;
+    weights[ids[1]] = "30%";
+    weights[ids[2]] = 5000;
+    allocationClient.setTrafficAllocation(experiment.id, weights)
+      .then(function(variations) {
+        assert.deepEqual(_.pluck(variations, "weight"), [2000, 3000, 5000]);
+        assert.deepEqual(weightsOf(), [2000, 3000, 5000]);
+        done();
+      }).then(null, done);
+  });
+  it('should reject weights that do not add up to 100%', function(done) {
+    var weights = {};
+    weights[ids[2]] = 1000;
+    var before = server.requests;
+    allocationClient.setTrafficAllocation(experiment.id, weights)
+      .then(function() {
+        done(new Error("Expected a rejection"));
+      }, function(error) {
+        assert.ok(error instanceof OptimizelyClient.ValidationError);
+        assert.equal(error.message, "Weights sum to 11000, expected 10000 (100%)");
+        assert.equal(server.requests - before, 1);
+        assert.deepEqual(weightsOf(), [5000, 5000, 0]);
+        done();
+      }).then(null, done);
+  });
+  it('should reject unknown variations and invalid weights', function(done) {
+    allocationClient.setTrafficAllocation(experiment.id, {
+      "1": 10000
+    }).then(function() {
+      done(new Error("Expected a rejection"));
+    }, function(error) {
+      assert.ok(error instanceof OptimizelyClient.ValidationError);
+      assert.equal(error.message, "Variation 1 is not part of the experiment");
+      var weights = {};
+      weights[ids[0]] = 50.5;
+      return allocationClient.setTrafficAllocation(experiment.id, weights);
+    }).then(function() {
+      done(new Error("Expected a rejection"));
+    }, function(error) {
+      assert.ok(error instanceof OptimizelyClient.ValidationError);
+      assert.ok(/Invalid weight/.test(error.message));
+      done();
+    }).then(null, done);
+  });
+  it('should rebalance evenly on request', function(done) {
+    allocationClient.setTrafficAllocation(experiment.id, null, {
+      rebalance: true
+    }).then(function() {
+      assert.deepEqual(weightsOf(), [3334, 3333, 3333]);
+      var weights = {};
+      weights[ids[0]] = "50%";
+      return allocationClient.setTrafficAllocation(experiment.id, weights, {
+        rebalance: true
+      });
+    }).then(function() {
+      assert.deepEqual(weightsOf(), [5000, 2500, 2500]);
+      done();
+    }).then(null, done);
+  });
+  it('should lower weights before raising others', function(done) {
+    var written = [];
+    var orderClient = new OptimizelyClient(token, {
+      url: allocationClient.baseUrl
+    }).use(function(request, next) {
+      if (request.method === "PUT") written.push(request.url.split("/").pop());
+      return next();
+    });
+    var weights = {};
+    weights[ids[0]] = 3000;
+    weights[ids[1]] = 2000;
+    weights[ids[2]] = 5000;
+    orderClient.setTrafficAllocation(experiment.id, weights).then(function() {
+      assert.deepEqual(written, [ids[1], ids[0], ids[2]]);
+      done();
+    }).then(null, done);
+  });
+  it('should roll back earlier writes when one fails', function(done) {
+    var failingClient = new OptimizelyClient(token, {
+      url: allocationClient.baseUrl
+    }).use(function(request, next) {
+      if (request.method === "PUT" && /\/variations\//.test(request.url) &&
+        request.url.split("/").pop() === ids[2]) return {
+        status: 500,
+        headers: {},
+        body: {
+          message: "Boom"
+        }
+      };
+      return next();
+    });
+    var weights = {};
+    weights[ids[0]] = 4000;
+    weights[ids[1]] = 4000;
+    weights[ids[2]] = 2000;
+    failingClient.setTrafficAllocation(experiment.id, weights).then(function() {
+      done(new Error("Expected a rejection"));
+    }, function(error) {
+      assert.ok(error instanceof OptimizelyClient.OptimizelyError);
+      assert.ok(error.cause instanceof OptimizelyClient.ServerError);
+      assert.deepEqual(error.body, {
+        failed: ids[2],
+        rolledBack: [ids[1], ids[0]],
+        rollbackFailed: []
+      });
+      assert.deepEqual(weightsOf(), [5000, 5000, 0]);
+      done();
+    }).then(null, done);
+  });
+});
+
+////////////////////////
+//Templates Tests
+////////////////////////
+describe("Templates", function() {
+  var server = new OptimizelyClient.FakeServer();
+  var templateClient;
+  var source;
+  var target;
+  var experiment;
+  var audience;
+  var targetAudience;
+  var targetGoal;
+  var experimentsIn = function(project) {
+    return _.values(server.store.experiments).filter(function(item) {
+      return String(item.project_id) === String(project.id);
+    });
+  }
+  var variationsOf = function(created) {
+    return created.variation_ids.map(function(id) {
+      return _.pick(server.store.variations[id], ["description",
+        "js_component", "weight"
+      ]);
+    });
+  }
+  before(function(done) {
+    server.listen().then(function(fakeUrl) {
+      templateClient = new OptimizelyClient(token, {
+        url: fakeUrl
+      });
+      var projects = server.seed("projects", [{
+        "project_name": "Source"
+      }, {
+        "project_name": "Target"
+      }]);
+      source = projects[0];
+      target = projects[1];
+      audience = server.seed("audiences", {
+        "project_id": source.id,
+        "name": "Mobile"
+      })[0];
+      targetAudience = server.seed("audiences", {
+        "project_id": target.id,
+        "name": "Mobile"
+      })[0];
+      experiment = server.seed("experiments", {
+        "project_id": source.id,
+        "description": EXPERIMENTDESCRIPTION,
+        "edit_url": EDITURL,
+        "custom_css": "h1 { color: red; }",
+        "custom_js": "window.loaded = true;",
+        "audience_ids": [audience.id]
+      })[0];
+      experiment.variation_ids = _.pluck(server.seed("variations", [{
+        "experiment_id": experiment.id,
+        "description": "Original",
+        "js_component": "",
+        "weight": 3000
+      }, {
+        "experiment_id": experiment.id,
+        "description": "Red button",
+        "js_component": "$('button').css({color: 'red'});",
+        "weight": 7000
+      }]), "id");
+      server.seed("goals", {
+        "project_id": source.id,
+        "title": "Signup",
+        "goal_type": 0,
+        "experiment_ids": [experiment.id]
+      });
+      targetGoal = server.seed("goals", {
+        "project_id": target.id,
+        "title": "Signup",
+        "goal_type": 0,
+        "experiment_ids": []
+      })[0];
+      done();
+    }, done);
+  });
+  after(function(done) {
+    server.close().then(function() {
+      done();
+    }, done);
+  });
+  it('should list and fill in placeholders', function() {
+    var template = {
+      description: "Headline on {{page}}",
+      variations: [{
+        js_component: "$('{{ selector }}').text('{{copy}}');"
+      }]
+    };
+    var templates = OptimizelyClient.templates;
+    assert.deepEqual(templates.placeholders(template), ["copy", "page",
+      "selector"
+    ]);
+    assert.deepEqual(templates.render(template, {
+      page: "pricing",
+      selector: "h1",
+      copy: "Start free"
+    }), {
+      description: "Headline on pricing",
+      variations: [{
+        js_component: "$('h1').text('Start free');"
+      }]
+    });
+    assert.throws(function() {
+      templates.render(template, {
+        page: "pricing"
+      });
+    }, /Missing template values: copy, selector/);
+  });
+  it('should clone an experiment within its project', function(done) {
+    templateClient.cloneExperiment(experiment.id, {
+      overrides: {
+        description: "Copy"
+      }
+    }).then(function(created) {
+      assert.notEqual(created.id, experiment.id);
+      assert.equal(created.project_id, source.id);
+      assert.equal(created.description, "Copy");
+      assert.equal(created.custom_css, experiment.custom_css);
+      assert.equal(created.custom_js, experiment.custom_js);
+      assert.deepEqual(created.audience_ids, [audience.id]);
+      assert.deepEqual(variationsOf(created), variationsOf(experiment));
+      assert.deepEqual(_.pluck(_.filter(server.store.variations, {
+        "experiment_id": created.id
+      }), "id"), created.variation_ids);
+      var goal = _.find(server.store.goals, {
+        title: "Signup",
+        project_id: source.id
+      });
+      assert.deepEqual(goal.experiment_ids, [experiment.id, created.id]);
+      done();
+    }).then(null, done);
+  });
+  it('should clone into another project, matching audiences and goals by name', function(done) {
+    templateClient.cloneExperiment(experiment.id, {
+      targetProjectId: target.id
+    }).then(function(created) {
+      assert.equal(created.project_id, target.id);
+      assert.deepEqual(created.audience_ids, [targetAudience.id]);
+      assert.deepEqual(variationsOf(created), variationsOf(experiment));
+      assert.deepEqual(server.store.goals[targetGoal.id].experiment_ids, [
+        created.id
+      ]);
+      done();
+    }).then(null, done);
+  });
+  it('should refuse to clone when a goal has no match in the target', function(done) {
+    var empty = server.seed("projects", {
+      "project_name": "Empty"
+    })[0];
+    templateClient.cloneExperiment(experiment.id, {
+      targetProjectId: empty.id,
+      overrides: {
+        audience_ids: []
+      }
+    }).then(function() {
+      done(new Error("Expected a rejection"));
+    }, function(error) {
+      assert.ok(error instanceof OptimizelyClient.ValidationError);
+      assert.ok(/title "Signup" from goal_ids/.test(error.message));
+      assert.equal(experimentsIn(empty).length, 0);
+      done();
+    }).then(null, done);
+  });
+  it('should instantiate a template many times', function(done) {
+    var template = {
+      description: "Headline on {{page}}",
+      edit_url: "https://example.com/{{page}}",
+      variations: [{
+        description: "Original",
+        weight: 5000
+      }, {
+        description: "{{copy}}",
+        weight: 5000,
+        js_component: "$('{{selector}}').text('{{copy}}');"
+      }],
+      goal_ids: [targetGoal.id]
+    };
+    Promise.each(["pricing", "signup"], function(page) {
+      return templateClient.createExperimentFromTemplate(template, {
+        project_id: target.id,
+        values: {
+          page: page,
+          selector: "h1",
+          copy: "Start free"
+        }
+      });
+    }).then(function() {
+      var created = experimentsIn(target).filter(function(item) {
+        return /^Headline/.test(item.description);
+      });
+      assert.deepEqual(_.pluck(created, "edit_url"), [
+        "https://example.com/pricing", "https://example.com/signup"
+      ]);
+      assert.equal(variationsOf(created[1])[1].js_component,
+        "$('h1').text('Start free');");
+      done();
+    }).then(null, done);
+  });
+  it('should update the default variations before creating or deleting any', function(done) {
+    var handle = server._handle;
+    var sent = [];
+    server._handle = function(request, response) {
+      if (/variations/.test(request.url)) sent.push(request.method);
+      return handle.call(this, request, response);
+    }
+    var variations = [{
+      description: "Original",
+      weight: 3000
+    }, {
+      description: "Blue",
+      weight: 3000
+    }, {
+      description: "Green",
+      weight: 4000
+    }];
+    var createFrom = function(definition) {
+      return templateClient.createExperimentFromTemplate(definition, {
+        project_id: target.id
+      });
+    }
+    createFrom({
+      description: "Three variations",
+      edit_url: EDITURL,
+      variations: variations
+    }).then(function(created) {
+      assert.deepEqual(sent, ["PUT", "PUT", "POST"]);
+      assert.deepEqual(_.pluck(variationsOf(created), "description"), [
+        "Original", "Blue", "Green"
+      ]);
+      sent = [];
+      return createFrom({
+        description: "One variation",
+        edit_url: EDITURL,
+        variations: variations.slice(0, 1)
+      });
+    }).then(function(created) {
+      server._handle = handle;
+      assert.deepEqual(sent, ["PUT", "DELETE"]);
+      assert.deepEqual(_.pluck(variationsOf(created), "description"), [
+        "Original"
+      ]);
+      assert.deepEqual(_.pluck(_.filter(server.store.variations, {
+        "experiment_id": created.id
+      }), "id"), created.variation_ids);
+      done();
+    }).then(null, function(error) {
+      server._handle = handle;
+      done(error);
+    });
+  });
+  it('should remove a partly created experiment when a step fails', function(done) {
+    var before = experimentsIn(target).length;
+    templateClient.createExperimentFromTemplate({
+      description: "Broken",
+      edit_url: EDITURL,
+      goal_ids: [targetGoal.id, 999999]
+    }, {
+      project_id: target.id
+    }).then(function() {
+      done(new Error("Expected a rejection"));
+    }, function(error) {
+      assert.ok(error instanceof OptimizelyClient.NotFoundError);
+      assert.equal(experimentsIn(target).length, before);
+      assert.equal(server.store.goals[targetGoal.id].experiment_ids.length, 3);
+      done();
+    }).then(null, done);
+  });
+});
+
+////////////////////////
+//Variation Code Tests
+////////////////////////
+describe("Variation Code", function() {
+  var fs = require("fs");
+  var path = require("path");
+  var code = OptimizelyClient.code;
+  var server = new OptimizelyClient.FakeServer({
+    token: token
+  });
+  var codeClient;
+  var variation;
+  var experiment;
+  var dir = path.join(require("os").tmpdir(), "optimizely-code-" + process.pid);
+  var files = {
+    "hero.js": "$('h1').text('Hello');\n$('h1').css({color: 'red'});\n",
+    "broken.js": "$('h1').text('Hello');\n$('h1').css({color: 'red'};\n",
+    "hero.css": "h1 {\n  color: red;\n}\n",
+    "broken.css": "h1 {\n  color: red;\n",
+    "notes.txt": "hello\n"
+  };
+  before(function(done) {
+    fs.mkdirSync(dir);
+    Object.keys(files).forEach(function(name) {
+      fs.writeFileSync(path.join(dir, name), files[name]);
+    });
+    server.listen().then(function(fakeUrl) {
+      codeClient = new OptimizelyClient(token, {
+        url: fakeUrl
+      });
+      experiment = server.seed("experiments", {
+        "project_id": PROJECTID,
+        "edit_url": EDITURL,
+        "custom_css": "h1 {\n  color: blue;\n}\n",
+        "custom_js": ""
+      })[0];
+      variation = server.seed("variations", {
+        "experiment_id": experiment.id,
+        "description": VARIATIONDESCRIPTION,
+        "js_component": "$('h1').text('Hello');\n"
+      })[0];
+      done();
+    }, done);
+  });
+  after(function(done) {
+    Object.keys(files).forEach(function(name) {
+      fs.unlinkSync(path.join(dir, name));
+    });
+    fs.rmdirSync(dir);
+    server.close().then(function() {
+      done();
+    }, done);
+  });
+  var file = function(name) {
+    return path.join(dir, name);
+  }
+  it('should render unified diffs', function() {
+    assert.equal(code.diff("a\nb\nc\nd\ne\nf\ng\nh\ni\n", "a\nB\nc\nd\ne\nf\ng\nh\ni\nj\n", {
+      fromName: "live",
+      toName: "local",
+      context: 1
+    }), [
+      "--- live",
+      "+++ local",
+      "@@ -1,3 +1,3 @@",
+      " a",
+      "-b",
+      "+B",
+      " c",
+      "@@ -9 +9,2 @@",
+      " i",
+      "+j",
+      ""
+    ].join("\n"));
+    assert.equal(code.diff("", "x"), "--- a\n+++ b\n@@ -0,0 +1 @@\n+x\n");
+    assert.equal(code.diff("same\n", "same"), "");
+  });
+  it('should check syntax without running the code', function() {
+    assert.doesNotThrow(function() {
+      code.check("process.exit(1);", "javascript");
+    });
+    assert.throws(function() {
+      code.readFile(file("broken.js"));
+    }, function(error) {
+      return error instanceof OptimizelyClient.ValidationError &&
+        error.message.indexOf(file("broken.js") + ":2: ") === 0;
+    });
+    assert.throws(function() {
+      code.readFile(file("broken.css"));
+    }, /broken\.css:1: Unclosed \{/);
+    assert.throws(function() {
+      code.readFile(file("notes.txt"));
+    }, /Expected a \.js or \.css file/);
+    assert.throws(function() {
+      code.readFile(file("hero.js"), "css");
+    }, /Expected css code/);
+  });
+  it('should upload code read from files', function(done) {
+    codeClient.updateVariation({
+      id: variation.id,
+      js_component_file: file("hero.js")
+    }).then(function(updated) {
+      assert.equal(updated.js_component, files["hero.js"]);
+      assert.equal(updated.js_component_file, undefined);
+      return codeClient.updateExperiment({
+        id: experiment.id,
+        custom_css_file: file("hero.css")
+      });
+    }).then(function(updated) {
+      assert.equal(updated.custom_css, files["hero.css"]);
+      done();
+    }).then(null, done);
+  });
+  it('should refuse to upload code that does not parse', function(done) {
+    var before = server.requests;
+    codeClient.updateVariation({
+      id: variation.id,
+      js_component_file: file("broken.js")
+    }).then(function() {
+      done(new Error("Expected a rejection"));
+    }, function(error) {
+      assert.ok(error instanceof OptimizelyClient.ValidationError);
+      assert.equal(server.requests, before);
+      done();
+    }).then(null, done);
+  });
+  it('should diff live code against local code', function(done) {
+    server.store.variations[variation.id].js_component = "$('h1').text('Hello');\n";
+    server.store.experiments[experiment.id].custom_css = files["hero.css"];
+    codeClient.diffVariation({
+      id: variation.id,
+      js_component_file: file("hero.js")
+    }).then(function(diff) {
+      assert.equal(diff, [
+        "--- variations/" + variation.id + " js_component",
+        "+++ " + file("hero.js"),
+        "@@ -1 +1,2 @@",
+        " $('h1').text('Hello');",
+        "+$('h1').css({color: 'red'});",
+        ""
+      ].join("\n"));
+      return codeClient.diffExperiment({
+        id: experiment.id,
+        custom_css_file: file("hero.css")
+      });
+    }).then(function(diff) {
+      assert.equal(diff, "");
+      done();
+    }).then(null, done);
+  });
+  it('should preview a push without writing', function(done) {
+    var live = "$('h1').text('Hello');\n";
+    server.store.variations[variation.id].js_component = live;
+    var before = server.requests;
+    codeClient.pushVariation({
+      id: variation.id,
+      js_component_file: file("hero.js"),
+      dryRun: true
+    }).then(function(diff) {
+      assert.ok(diff.indexOf("+$('h1').css({color: 'red'});") > -1);
+      assert.equal(server.requests - before, 1);
+      assert.equal(server.store.variations[variation.id].js_component, live);
+      return codeClient.pushVariation({
+        js_component_file: file("hero.js"),
+        dryRun: true
+      });
+    }).then(function() {
+      done(new Error("Expected a rejection"));
+    }, function(error) {
+      assert.ok(error instanceof OptimizelyClient.ValidationError);
+      done();
+    }).then(null, done);
+  });
+  it('should show the diff before pushing from the command line', function(done) {
+    var cli = require("../lib/cli");
+    var run = function(argv) {
+      var io = {
+        stdout: {
+          text: "",
+          write: function(chunk) {
+            this.text += chunk;
+          }
+        },
+        stderr: {
+          text: "",
+          write: function(chunk) {
+            this.text += chunk;
+          }
+        }
+      };
+      return cli.run(argv, {
+        OPTIMIZELY_API_TOKEN: token,
+        OPTIMIZELY_API_URL: codeClient.baseUrl,
+        OPTIMIZELY_CONFIG: "/nonexistent/.optimizelyrc"
+      }, io).then(function(exitCode) {
+        io.code = exitCode;
+        return io;
+      });
+    }
+    var live = "$('h1').text('Hello');\n";
+    server.store.variations[variation.id].js_component = live;
+    var argv = ["variations", "push", String(variation.id),
+      "--js_component_file", file("hero.js")
+    ];
+    run(argv.concat("--dry-run")).then(function(io) {
+      assert.equal(io.code, 0);
+      assert(io.stdout.text.indexOf("+$('h1').css({color: 'red'});\n") > -1);
+      assert.equal(server.store.variations[variation.id].js_component, live);
+      return run(argv);
+    }).then(function(io) {
+      assert.equal(io.code, 0);
+      assert(io.stdout.text.indexOf("@@ -1 +1,2 @@") > -1);
+      assert.equal(server.store.variations[variation.id].js_component,
+        files["hero.js"]);
+      done();
+    }).then(null, done);
+  });
+});
+
+////////////////////////
+//Transport Tests
+////////////////////////
+describe("Transport", function() {
+  var http = require("http");
+  var server = new OptimizelyClient.FakeServer();
+  var baseUrl;
+  var project;
+  // A local server answering every request with a JSON echo after a delay
+  var echo = http.createServer(function(request, response) {
+    setTimeout(function() {
+      response.writeHead(200, {
+        "Content-Type": "application/json"
+      });
+      response.end(JSON.stringify({
+        path: request.url
+      }));
+    }, Number(request.headers["x-delay"]) || 0);
+  });
+  var echoUrl;
+  var connections = 0;
+  echo.on("connection", function() {
+    connections++;
+  });
+  var listen = function(httpServer) {
+    return new Promise(function(resolve) {
+      httpServer.listen(0, "127.0.0.1", function() {
+        resolve("http://127.0.0.1:" + httpServer.address().port);
+      });
+    });
+  }
+  before(function(done) {
+    Promise.all([server.listen(), listen(echo)]).spread(function(fakeUrl, theEchoUrl) {
+      baseUrl = fakeUrl;
+      echoUrl = theEchoUrl + "/";
+      project = server.seed("projects", {
+        "project_name": PROJECTNAME
+      })[0];
+      done();
+    }).then(null, done);
+  });
+  after(function(done) {
+    echo.close();
+    server.close().then(function() {
+      done();
+    }, done);
+  });
+  it('should send requests through a custom transport', function(done) {
+    var sent = [];
+    var transportClient = new OptimizelyClient(token, {
+      url: "https://custom.optimizelyapis.com/experiment/v1/",
+      transport: {
+        request: function(method, url, headers, body) {
+          sent.push([method, url, headers.Token, body]);
+          if (method === "DELETE") return Promise.resolve({
+            status: 404,
+            headers: {},
+            body: '{"message": "Gone"}'
+          });
+          return Promise.resolve({
+            status: 200,
+            headers: {},
+            body: '{"id": 1, "project_name": "Custom"}'
+          });
+        }
+      }
+    });
+    transportClient.updateProject({
+      id: 1,
+      project_name: "Custom"
+    }).then(function(updated) {
+      assert.equal(updated.project_name, "Custom");
+      assert.deepEqual(sent[0], ["PUT",
+        "https://custom.optimizelyapis.com/experiment/v1/projects/1", token,
+        '{"id":1,"project_name":"Custom"}'
+      ]);
+      return transportClient.deleteExperiment("2");
+    }).then(function() {
+      done(new Error("Expected a rejection"));
+    }, function(error) {
+      assert.ok(error instanceof OptimizelyClient.NotFoundError);
+      assert.equal(error.message, "Gone");
+      done();
+    }).then(null, done);
+  });
+  it('should apply timeouts per client', function(done) {
+    var impatient = new OptimizelyClient(token, {
+      url: echoUrl,
+      transport: {
+        timeout: 20
+      }
+    });
+    var patient = new OptimizelyClient(token, {
+      url: echoUrl
+    });
+    var slow = function(request, next) {
+      request.headers["X-Delay"] = "100";
+      return next(request);
+    }
+    impatient.use(slow);
+    patient.use(slow);
+    impatient.getProject("1").then(function() {
+      done(new Error("Expected a rejection"));
+    }, function(error) {
+      assert.ok(error instanceof OptimizelyClient.NetworkError);
+      assert.equal(error.cause.code, "ETIMEDOUT");
+      return patient.getProject("1");
+    }).then(function(echoed) {
+      assert.equal(echoed.path, "/projects/1");
+      done();
+    }).then(null, done);
+  });
+  it('should reuse connections with keepAlive', function(done) {
+    var transport = new OptimizelyClient.HttpTransport({
+      keepAlive: true
+    });
+    var keepAliveClient = new OptimizelyClient(token, {
+      url: echoUrl,
+      transport: transport
+    });
+    var before = connections;
+    keepAliveClient.getProject("1").then(function() {
+      return keepAliveClient.getProject("2");
+    }).then(function(echoed) {
+      assert.equal(echoed.path, "/projects/2");
+      assert.equal(connections - before, 1);
+      transport.agents.http.destroy();
+      done();
+    }).then(null, done);
+  });
+  it('should send requests through an HTTP proxy', function(done) {
+    var seen = [];
+    var proxy = http.createServer(function(request, response) {
+      seen.push([request.url, request.headers["proxy-authorization"]]);
+      var forwarded = http.request(_.assign(require("url").parse(request.url), {
+        method: request.method,
+        headers: _.omit(request.headers, "proxy-authorization")
+      }), function(upstream) {
+        response.writeHead(upstream.statusCode, upstream.headers);
+        upstream.pipe(response);
+      });
+      request.pipe(forwarded);
+    });
+    listen(proxy).then(function(proxyUrl) {
+      var proxied = new OptimizelyClient(token, {
+        url: baseUrl,
+        transport: {
+          proxy: proxyUrl.replace("http://", "http://user:secret@")
+        }
+      });
+      return proxied.getProject(String(project.id));
+    }).then(function(fetched) {
+      proxy.close();
+      assert.equal(fetched.project_name, PROJECTNAME);
+      assert.deepEqual(seen, [
+        [baseUrl + "projects/" + project.id,
+          "Basic " + Buffer.from("user:secret").toString("base64")
+        ]
+      ]);
+      done();
+    }).then(null, function(error) {
+      proxy.close();
+      done(error);
+    });
+  });
+});
+describe("Timeouts and Cancellation", function() {
+  var http = require("http");
+  var server = new OptimizelyClient.FakeServer();
+  var baseUrl;
+  var project;
+  // A local server answering with a JSON echo after the delay in X-Delay,
+  // counting the requests dropped before their response
+  var dropped = 0;
+  var echo = http.createServer(function(request, response) {
+    var timer = setTimeout(function() {
+      response.writeHead(200, {
+        "Content-Type": "application/json"
+      });
+      response.end(JSON.stringify({
+        path: request.url
+      }));
+    }, Number(request.headers["x-delay"]) || 0);
+    response.on("close", function() {
+      if (response.writableFinished) return;
+      clearTimeout(timer);
+      dropped++;
+    });
+  });
+  var echoUrl;
+  var slow = function(request, next) {
+    request.headers["X-Delay"] = "200";
+    return next(request);
+  }
+  before(function(done) {
+    server.listen().then(function(fakeUrl) {
+      baseUrl = fakeUrl;
+      project = server.seed("projects", {
+        "project_name": PROJECTNAME
+      })[0];
+      server.seed("experiments", _.range(5).map(function(index) {
+        return {
+          project_id: project.id,
+          description: EXPERIMENTDESCRIPTION + " " + index
+        };
+      }));
+      echo.listen(0, "127.0.0.1", function() {
+        echoUrl = "http://127.0.0.1:" + echo.address().port + "/";
+        done();
+      });
+    }, done);
+  });
+  after(function(done) {
+    echo.close();
+    server.close().then(function() {
+      done();
+    }, done);
+  });
+  it('should time out a call and abort its request', function(done) {
+    var before = dropped;
+    var timeoutClient = new OptimizelyClient(token, {
+      url: echoUrl
+    }).use(slow);
+    timeoutClient.getProject({
+      id: "1",
+      timeout: 20
+    }).then(function() {
+      done(new Error("Expected a rejection"));
+    }, function(error) {
+      assert.ok(error instanceof OptimizelyClient.TimeoutError);
+      assert.equal(error.message, "GET " + echoUrl +
+        "projects/1 timed out after 20ms");
+      return Promise.delay(20);
+    }).then(function() {
+      assert.equal(dropped - before, 1);
+      done();
+    }).then(null, done);
+  });
+  it('should time out each request after the client timeout', function(done) {
+    var timeoutClient = new OptimizelyClient(token, {
+      url: echoUrl,
+      timeout: 20,
+      retry: {
+        maxAttempts: 5,
+        baseDelay: 1
+      }
+    }).use(slow);
+    var started = Date.now();
+    timeoutClient.getProject("1").then(function() {
+      done(new Error("Expected a rejection"));
+    }, function(error) {
+      assert.ok(error instanceof OptimizelyClient.TimeoutError);
+      assert.ok(Date.now() - started < 150);
+      done();
+    }).then(null, done);
+  });
+  it('should refuse a client timeout that is not a number', function() {
+    ["5000", -1, NaN].forEach(function(timeout) {
+      assert.throws(function() {
+        new OptimizelyClient(token, {
+          url: baseUrl,
+          timeout: timeout
+        });
+      }, OptimizelyClient.ValidationError);
+    });
+  });
+  it('should reject invalid timeouts and signals', function(done) {
+    var validatingClient = new OptimizelyClient(token, {
+      url: baseUrl
+    });
+    var before = server.requests;
+    validatingClient.getProject({
+      id: project.id,
+      timeout: "soon"
+    }).then(function() {
+      done(new Error("Expected a rejection"));
+    }, function(error) {
+      assert.ok(error instanceof OptimizelyClient.ValidationError);
+      return validatingClient.getProject({
+        id: project.id,
+        signal: true
+      });
+    }).then(function() {
+      done(new Error("Expected a rejection"));
+    }, function(error) {
+      assert.ok(error instanceof OptimizelyClient.ValidationError);
+      assert.equal(server.requests, before);
+      done();
+    }).then(null, done);
+  });
+  it('should not send requests for an aborted signal', function(done) {
+    var abortClient = new OptimizelyClient(token, {
+      url: baseUrl
+    });
+    var controller = new OptimizelyClient.AbortController();
+    var reason = new Error("Changed my mind");
+    controller.abort(reason);
+    var before = server.requests;
+    abortClient.getProject({
+      id: project.id,
+      signal: controller.signal
+    }).then(function() {
+      done(new Error("Expected a rejection"));
+    }, function(error) {
+      assert.ok(error instanceof OptimizelyClient.AbortError);
+      assert.equal(error.cause, reason);
+      assert.equal(server.requests, before);
+      done();
+    }).then(null, done);
+  });
+  it('should abort requests in flight', function(done) {
+    var before = dropped;
+    var abortClient = new OptimizelyClient(token, {
+      url: echoUrl
+    }).use(slow);
+    var controller = new OptimizelyClient.AbortController();
+    var pending = abortClient.getProject({
+      id: "1",
+      signal: controller.signal
+    });
+    Promise.delay(20).then(function() {
+      controller.abort();
+      return pending;
+    }).then(function() {
+      done(new Error("Expected a rejection"));
+    }, function(error) {
+      assert.ok(error instanceof OptimizelyClient.AbortError);
+      assert.equal(error.url, echoUrl + "projects/1");
+      return Promise.delay(20);
+    }).then(function() {
+      assert.equal(dropped - before, 1);
+      done();
+    }).then(null, done);
+  });
+  it('should drop queued requests', function(done) {
+    var scheduler = new OptimizelyClient.RequestScheduler();
+    var queuedClient = new OptimizelyClient(token, {
+      url: baseUrl,
+      scheduler: scheduler
+    });
+    var controller = new OptimizelyClient.AbortController();
+    var before = server.requests;
+    scheduler.pause();
+    var calls = [project.id, project.id].map(function(id) {
+      return queuedClient.getProject({
+        id: id,
+        signal: controller.signal
+      }).then(function() {
+        throw new Error("Expected a rejection");
+      }, function(error) {
+        assert.ok(error instanceof OptimizelyClient.AbortError);
+      });
+    });
+    Promise.delay(5).then(function() {
+      assert.equal(scheduler.size(), 2);
+      controller.abort();
+      return Promise.all(calls);
+    }).then(function() {
+      assert.equal(scheduler.size(), 0);
+      scheduler.resume();
+      return Promise.delay(5);
+    }).then(function() {
+      assert.equal(scheduler.pending(), 0);
+      assert.equal(server.requests, before);
+      done();
+    }).then(null, done);
+  });
+  it('should cancel the remaining requests of a bulk call', function(done) {
+    var bulkClient = new OptimizelyClient(token, {
+      url: baseUrl
+    });
+    var controller = new OptimizelyClient.AbortController();
+    var handle = server._handle;
+    var pages = 0;
+    server._handle = function(request, response) {
+      if (++pages === 2) controller.abort();
+      handle.call(this, request, response);
+    }
+    var restore = function(error) {
+      server._handle = handle;
+      done(error);
+    }
+    bulkClient.getAllExperiments({
+      project_id: project.id,
+      per_page: 1,
+      signal: controller.signal
+    }).then(function() {
+      restore(new Error("Expected a rejection"));
+    }, function(error) {
+      assert.ok(error instanceof OptimizelyClient.AbortError);
+      return Promise.delay(20);
+    }).then(function() {
+      assert.equal(pages, 2);
+      restore();
+    }).then(null, restore);
+  });
+  // Aborts the controller once the first write of a call has been answered
+  var abortAfterFirstWrite = function(controller, method) {
+    var fired = false;
+    return function(request, next) {
+      return next(request).then(function(response) {
+        if (!fired && request.method === method) {
+          fired = true;
+          controller.abort();
+        }
+        return response;
+      });
+    };
+  }
+  it('should roll back traffic allocation when cancelled', function(done) {
+    var controller = new OptimizelyClient.AbortController();
+    var allocationClient = new OptimizelyClient(token, {
+      url: baseUrl
+    }).use(abortAfterFirstWrite(controller, "PUT"));
+    var experiment = server.seed("experiments", {
+      "project_id": "cancelled-allocation",
+      "description": EXPERIMENTDESCRIPTION
+    })[0];
+    var variations = server.seed("variations", [{
+      "experiment_id": experiment.id,
+      "weight": 5000
+    }, {
+      "experiment_id": experiment.id,
+      "weight": 5000
+    }]);
+    var weights = {};
+    weights[variations[0].id] = 2000;
+    weights[variations[1].id] = 8000;
+    allocationClient.setTrafficAllocation(experiment.id, weights, {
+      signal: controller.signal
+    }).then(function() {
+      done(new Error("Expected a rejection"));
+    }, function(error) {
+      assert.ok(error instanceof OptimizelyClient.AbortError);
+      assert.deepEqual(error.body, {
+        failed: String(variations[0].id),
+        rolledBack: [String(variations[0].id)],
+        rollbackFailed: []
+      });
+      assert.equal(server.store.variations[variations[0].id].weight, 5000);
+      assert.equal(server.store.variations[variations[1].id].weight, 5000);
+      done();
+    }).then(null, done);
+  });
+  it('should remove a partly created experiment when cancelled',
+    function(done) {
+      var controller = new OptimizelyClient.AbortController();
+      var templateClient = new OptimizelyClient(token, {
+        url: baseUrl
+      }).use(abortAfterFirstWrite(controller, "PUT"));
+      var target = server.seed("projects", {
+        "project_name": PROJECTNAME
+      })[0];
+      var goal = server.seed("goals", {
+        "project_id": target.id,
+        "title": GOALSNAME,
+        "experiment_ids": []
+      })[0];
+      var before = _.size(server.store.experiments);
+      templateClient.createExperimentFromTemplate({
+        description: "Cancelled",
+        edit_url: EDITURL,
+        goal_ids: [goal.id]
+      }, {
+        project_id: target.id,
+        signal: controller.signal
+      }).then(function() {
+        done(new Error("Expected a rejection"));
+      }, function(error) {
+        assert.ok(error instanceof OptimizelyClient.AbortError);
+        assert.equal(_.size(server.store.experiments), before);
+        assert.deepEqual(goal.experiment_ids, []);
+        done();
+      }).then(null, done);
+    });
+  it('should not hand the deadline of a call to its models', function(done) {
+    var modelClient = new OptimizelyClient(token, {
+      url: baseUrl,
+      models: true
+    });
+    modelClient.getProject({
+      id: project.id,
+      timeout: 30
+    }).then(function(fetched) {
+      assert.equal(fetched.client, modelClient);
+      return Promise.delay(40).then(function() {
+        return fetched.getExperiments();
+      });
+    }).then(function(experiments) {
+      assert.equal(experiments.length, 5);
+      done();
+    }).then(null, done);
+  });
+});